@@ -7,6 +7,7 @@ import { FileText } from "lucide-react";
 import NotFound from "@/pages/not-found";
 import UploadPage from "@/pages/upload";
 import ResultsPage from "@/pages/results";
+import SearchPage from "@/pages/search";
 import { Link, useLocation } from "wouter";
 import { cn } from "@/lib/utils";
 
@@ -51,6 +52,18 @@ function Header() {
             >
               Results
             </Link>
+            <Link 
+              href="/search"
+              className={cn(
+                "px-3 py-2 text-sm font-medium rounded-md transition-colors",
+                location === "/search" 
+                  ? "bg-primary text-primary-foreground" 
+                  : "hover:bg-accent hover:text-accent-foreground"
+              )}
+              data-testid="nav-search"
+            >
+              Search
+            </Link>
           </nav>
         </div>
       </div>
@@ -63,6 +76,7 @@ function Router() {
     <Switch>
       <Route path="/" component={UploadPage} />
       <Route path="/results" component={ResultsPage} />
+      <Route path="/search" component={SearchPage} />
       <Route component={NotFound} />
     </Switch>
   );
@@ -0,0 +1,66 @@
+import { Download, Table } from "lucide-react";
+import { Button } from "@/components/ui/button";
+
+/**
+ * Tables found in a processed document, each with a CSV download
+ *
+ * The first row is shown as the header; detection does not know whether a
+ * table has one, but statements and invoices almost always do.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.documentId - Processed document ID, for the CSV links
+ * @param {Object[]} props.tables - DocumentTable list from the processed document
+ * @returns {JSX.Element|null} One block per table, or nothing without tables
+ */
+export default function DocumentTables({ documentId, tables }) {
+  if (!tables?.length) return null;
+
+  return (
+    <div className="space-y-6" data-testid="document-tables">
+      <h3 className="text-xl font-semibold flex items-center">
+        <Table className="h-6 w-6 text-muted-foreground mr-2" />
+        Tables
+      </h3>
+      {tables.map((table, index) => {
+        const [header, ...body] = table.rows;
+        return (
+          <div key={index} className="space-y-2" data-testid={`table-${index}`}>
+            <div className="flex items-center justify-between gap-4">
+              <div className="text-sm text-muted-foreground">
+                Table {index + 1} · page {table.pageNumber} · {table.rows.length} rows
+                {table.source === "ocr" && ` · ${Math.round(table.confidence)}% OCR confidence`}
+              </div>
+              <a href={`/api/processed-documents/${documentId}/tables/${index}.csv`} download>
+                <Button variant="secondary" size="sm" data-testid={`button-table-csv-${index}`}>
+                  <Download className="h-4 w-4 mr-2" />
+                  Download CSV
+                </Button>
+              </a>
+            </div>
+            <div className="overflow-x-auto rounded-lg border">
+              <table className="w-full text-sm">
+                <thead className="bg-muted">
+                  <tr>
+                    {header.map((cell, cellIndex) => (
+                      <th key={cellIndex} className="px-3 py-2 text-left font-medium whitespace-nowrap">{cell}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {body.map((row, rowIndex) => (
+                    <tr key={rowIndex} className="border-t">
+                      {row.map((cell, cellIndex) => (
+                        <td key={cellIndex} className="px-3 py-2 align-top">{cell}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,6 +1,10 @@
 import { useCallback, useState } from "react";
 import { CloudUpload, File, X } from "lucide-react";
 import { cn } from "@/lib/utils";
+import { MAX_UPLOAD_SIZE, acceptedExtensions, acceptedFormatLabels, documentFormats, findDocumentFormat } from "@shared/formats";
+
+// Extensions and MIME types for the file picker
+const ACCEPT = [...acceptedExtensions, ...documentFormats.flatMap((format) => format.mimeTypes)].join(",");
 
 export default function FileUpload({ onFileSelect, selectedFile, onFileRemove }) {
   const [dragActive, setDragActive] = useState(false);
@@ -39,15 +43,13 @@ export default function FileUpload({ onFileSelect, selectedFile, onFileRemove })
   }, [onFileSelect]);
 
   const validateFile = (file) => {
-    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
-    const maxSize = 10 * 1024 * 1024; // 10MB
-    
-    if (!allowedTypes.includes(file.type)) {
-      alert('Please select a PDF, JPG, or PNG file.');
+    // Browsers report an empty type for formats they do not know (often HEIC), so the extension is checked too
+    if (!findDocumentFormat(file.type, file.name)) {
+      alert(`Please select a ${acceptedFormatLabels} file.`);
       return false;
     }
     
-    if (file.size > maxSize) {
+    if (file.size > MAX_UPLOAD_SIZE) {
       alert('File size must be less than 10MB.');
       return false;
     }
@@ -82,7 +84,7 @@ export default function FileUpload({ onFileSelect, selectedFile, onFileRemove })
           id="file-input"
           type="file"
           className="hidden"
-          accept=".pdf,.jpg,.jpeg,.png"
+          accept={ACCEPT}
           onChange={handleChange}
           data-testid="file-input"
         />
@@ -92,7 +94,7 @@ export default function FileUpload({ onFileSelect, selectedFile, onFileRemove })
             <div className="text-muted-foreground">
               <CloudUpload className="h-12 w-12 mx-auto mb-4" />
               <p className="text-lg font-medium">Drop your file here or click to browse</p>
-              <p className="text-sm">Supports PDF, JPG, PNG files up to 10MB</p>
+              <p className="text-sm">Supports {acceptedFormatLabels} files up to 10MB</p>
             </div>
           </div>
         ) : (
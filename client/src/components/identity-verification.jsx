@@ -0,0 +1,72 @@
+import { CheckCircle2, HelpCircle, ShieldCheck, XCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const FIELDS = [
+  { key: "firstName", label: "First name" },
+  { key: "lastName", label: "Last name" },
+  { key: "dateOfBirth", label: "Date of birth" },
+];
+
+const STATUS = {
+  verified: { label: "Details verified", className: "border-green-600 bg-green-50 text-green-800" },
+  mismatch: { label: "Details do not match the document", className: "border-destructive bg-destructive/10 text-destructive" },
+  incomplete: { label: "Some details were not found in the document", className: "border-amber-500 bg-amber-50 text-amber-800" },
+};
+
+const VERDICTS = {
+  match: { label: "Match", icon: CheckCircle2, className: "text-green-700" },
+  mismatch: { label: "Mismatch", icon: XCircle, className: "text-destructive" },
+  not_found: { label: "Not found", icon: HelpCircle, className: "text-amber-700" },
+};
+
+const METHOD_LABELS = { standard: "standard extraction", ai: "AI extraction" };
+
+/**
+ * Submitted name and date of birth checked against the document
+ *
+ * Shows the overall outcome, then each field with its verdict, score and the
+ * value found, and which extraction method found it.
+ *
+ * @component
+ * @param {Object} props
+ * @param {IdentityVerification|null} props.verification - Verification from the processed document
+ * @returns {JSX.Element|null} The verification summary, or nothing for documents processed before verification
+ */
+export default function IdentityVerification({ verification }) {
+  if (!verification) return null;
+
+  const status = STATUS[verification.status];
+
+  return (
+    <div className={cn("border-2 rounded-lg p-4 space-y-4", status.className)} data-testid="identity-verification">
+      <h3 className="text-lg font-semibold flex items-center" data-testid="text-verification-status">
+        <ShieldCheck className="h-5 w-5 mr-2" />
+        {status.label}
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {FIELDS.map(({ key, label }) => {
+          const field = verification.fields[key];
+          const verdict = VERDICTS[field.verdict];
+          const Icon = verdict.icon;
+          return (
+            <div key={key} className="bg-background text-foreground rounded-lg p-3 text-sm" data-testid={`verification-${key}`}>
+              <div className="flex items-center justify-between">
+                <span className="text-muted-foreground">{label}</span>
+                <span className={cn("flex items-center font-medium", verdict.className)}>
+                  <Icon className="h-4 w-4 mr-1" />
+                  {verdict.label}
+                </span>
+              </div>
+              <div className="font-semibold mt-1">{field.submitted}</div>
+              {field.found && (
+                <div className="text-xs text-muted-foreground mt-1">
+                  Document: “{field.found}” · {Math.round(field.score * 100)}% · {METHOD_LABELS[field.source]}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { BookUser, CheckCircle2, XCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const CHECK_LABELS = {
+  documentNumber: "Document number",
+  dateOfBirth: "Date of birth",
+  expiryDate: "Expiry date",
+  optionalData: "Optional data",
+  composite: "Composite",
+};
+
+/**
+ * Passport or ID card fields read from the machine-readable zone
+ *
+ * Shows the decoded fields, the result of every check digit and the zone as
+ * read after OCR corrections.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Mrz|null} props.mrz - Machine-readable zone from the processed document
+ * @returns {JSX.Element|null} The MRZ fields, or nothing when the document has none
+ */
+export default function PassportMrz({ mrz }) {
+  if (!mrz) return null;
+
+  const details = [
+    ["Surname", mrz.surname],
+    ["Given names", mrz.givenNames],
+    ["Document number", mrz.documentNumber],
+    ["Nationality", mrz.nationality],
+    ["Date of birth", mrz.dateOfBirth],
+    ["Sex", mrz.sex ? mrz.sex[0].toUpperCase() + mrz.sex.slice(1) : "Unspecified"],
+    ["Expiry date", mrz.expiryDate],
+    ["Issuing country", mrz.issuingCountry],
+    ["Optional data", mrz.optionalData],
+  ].filter(([, value]) => value);
+
+  return (
+    <div className="space-y-4" data-testid="passport-mrz">
+      <h3 className="text-xl font-semibold flex items-center">
+        <BookUser className="h-6 w-6 text-muted-foreground mr-2" />
+        Machine-Readable Zone
+        <span className="ml-2 text-sm font-normal text-muted-foreground">
+          {mrz.format} · page {mrz.pageNumber}
+        </span>
+      </h3>
+
+      <dl className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+        {details.map(([label, value]) => (
+          <div key={label}>
+            <dt className="text-muted-foreground">{label}</dt>
+            <dd className="font-medium">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <div className="flex flex-wrap gap-4 text-sm" data-testid="mrz-checks">
+        {Object.entries(mrz.checks).map(([check, ok]) => {
+          const Icon = ok ? CheckCircle2 : XCircle;
+          return (
+            <span key={check} className={cn("flex items-center", ok ? "text-green-700" : "text-destructive")}>
+              <Icon className="h-4 w-4 mr-1" />
+              {CHECK_LABELS[check]}
+            </span>
+          );
+        })}
+      </div>
+
+      <pre className="bg-muted p-3 rounded-lg text-xs font-mono overflow-x-auto">{mrz.lines.join("\n")}</pre>
+      {mrz.corrected && (
+        <p className="text-xs text-muted-foreground">Common OCR misreadings (O for 0, K for &lt;) were corrected before checking.</p>
+      )}
+    </div>
+  );
+}
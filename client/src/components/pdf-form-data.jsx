@@ -0,0 +1,107 @@
+import { ClipboardList, ExternalLink, MessageSquare } from "lucide-react";
+
+function formatFieldValue(field) {
+  if (field.type === "checkbox") return field.value ? "Yes" : "No";
+  if (Array.isArray(field.value)) return field.value.join(", ") || "—";
+  return field.value || "—";
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : null;
+}
+
+/**
+ * Document information, form fields and annotations read from a PDF
+ *
+ * Form values come straight from the PDF's AcroForm, so they are exact even
+ * where the page text would need OCR or AI extraction.
+ *
+ * @component
+ * @param {Object} props
+ * @param {PdfMetadata|null} props.metadata - Document information, null for other formats
+ * @param {PdfFormField[]} props.formFields - Filled-in form fields
+ * @param {PdfAnnotation[]} props.annotations - Comments and links
+ * @returns {JSX.Element|null} The PDF details, or nothing for other formats
+ */
+export default function PdfFormData({ metadata, formFields = [], annotations = [] }) {
+  if (!metadata && formFields.length === 0 && annotations.length === 0) return null;
+
+  const details = metadata
+    ? [
+        ["Title", metadata.title],
+        ["Author", metadata.author],
+        ["Subject", metadata.subject],
+        ["Keywords", metadata.keywords],
+        ["Created", formatDate(metadata.creationDate)],
+        ["Modified", formatDate(metadata.modificationDate)],
+        ["Creator", metadata.creator],
+        ["Producer", metadata.producer],
+        ["Pages", metadata.pageCount],
+        ["PDF version", metadata.pdfVersion],
+      ].filter(([, value]) => value !== null && value !== undefined)
+    : [];
+
+  return (
+    <div className="space-y-6" data-testid="pdf-form-data">
+      <h3 className="text-xl font-semibold flex items-center">
+        <ClipboardList className="h-6 w-6 text-muted-foreground mr-2" />
+        PDF Details
+      </h3>
+
+      {formFields.length > 0 && (
+        <div className="space-y-3">
+          <h4 className="font-medium text-sm">Form Fields</h4>
+          <div className="space-y-2" data-testid="pdf-form-fields">
+            {formFields.map((field) => (
+              <div key={field.name} className="flex justify-between gap-4 py-2 px-3 bg-accent rounded text-sm">
+                <span className="font-medium" title={field.name}>{field.label || field.name}:</span>
+                <span className="text-right break-all">{formatFieldValue(field)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {annotations.length > 0 && (
+        <div className="space-y-3">
+          <h4 className="font-medium text-sm">Annotations</h4>
+          <ul className="space-y-2 text-sm" data-testid="pdf-annotations">
+            {annotations.map((annotation, index) => (
+              <li key={index} className="flex items-start gap-2">
+                {annotation.url
+                  ? <ExternalLink className="h-4 w-4 mt-0.5 text-muted-foreground shrink-0" />
+                  : <MessageSquare className="h-4 w-4 mt-0.5 text-muted-foreground shrink-0" />}
+                <div>
+                  {annotation.contents && <div>{annotation.contents}</div>}
+                  {annotation.url && (
+                    <a href={annotation.url} target="_blank" rel="noreferrer" className="underline break-all">
+                      {annotation.url}
+                    </a>
+                  )}
+                  <div className="text-xs text-muted-foreground">
+                    Page {annotation.pageNumber} · {annotation.type}
+                    {annotation.author && ` · ${annotation.author}`}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {details.length > 0 && (
+        <div className="space-y-3">
+          <h4 className="font-medium text-sm">Document Information</h4>
+          <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm" data-testid="pdf-metadata">
+            {details.map(([label, value]) => (
+              <div key={label} className="contents">
+                <dt className="text-muted-foreground">{label}</dt>
+                <dd>{value}</dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import { CheckCircle2, Circle, Loader2, XCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+/**
+ * Fold the job's event stream into the state of each pipeline step.
+ *
+ * @param {Object[]} events - Events from /api/jobs/:id/events, oldest first
+ * @returns {Object} Summary used to render the step list
+ */
+function summarizeEvents(events) {
+  const summary = {
+    status: "queued",
+    uploadReceived: false,
+    stages: {},
+    pages: {},
+    ocrPercent: null,
+    ocrLanguages: null,
+    imagePreprocessed: false,
+    aiRequestsSent: 0,
+    aiResponsesParsed: 0,
+    aiRequest: null,
+    aiRetry: null,
+    saved: false,
+  };
+
+  for (const event of events) {
+    switch (event.type) {
+      case "status":
+        summary.status = event.status;
+        break;
+      case "stage":
+        summary.stages[event.stage] = event.status;
+        break;
+      case "upload_received":
+        summary.uploadReceived = true;
+        break;
+      case "pdf_page_parsed":
+      case "image_page_parsed":
+        summary.pages[event.stage] = {
+          page: event.page,
+          totalPages: event.totalPages,
+          parsedPages: event.parsedPages,
+          selectedPages: event.selectedPages,
+        };
+        break;
+      case "image_preprocessed":
+        summary.imagePreprocessed = true;
+        break;
+      case "ocr_language_detected":
+        summary.ocrLanguages = event.languages;
+        break;
+      case "ocr_progress":
+        summary.ocrPercent = event.percent;
+        break;
+      case "ai_request_sent":
+        summary.aiRequestsSent++;
+        summary.aiRequest = event.request;
+        break;
+      case "ai_retry":
+        summary.aiRetry = event;
+        break;
+      case "ai_response_parsed":
+        summary.aiResponsesParsed++;
+        summary.aiRetry = null;
+        break;
+      case "saved":
+        summary.saved = true;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return summary;
+}
+
+function stageState(summary, stage) {
+  switch (summary.stages[stage]) {
+    case "running":
+      return "active";
+    case "succeeded":
+      return "done";
+    case "failed":
+      return "failed";
+    default:
+      return "pending";
+  }
+}
+
+// With a page range, "page 7 of 80" says little about how far along the job is
+function describePages(pages) {
+  if (pages.selectedPages && pages.selectedPages < pages.totalPages) {
+    return `Parsed page ${pages.page} (${pages.parsedPages} of ${pages.selectedPages} selected pages)`;
+  }
+  return `Parsed page ${pages.page} of ${pages.totalPages}`;
+}
+
+function describeExtraction(summary) {
+  const pages = summary.pages.standardExtraction;
+  if (summary.ocrPercent !== null) {
+    return `Recognizing text (OCR${summary.ocrLanguages ? `, ${summary.ocrLanguages}` : ""}) ${summary.ocrPercent}%`;
+  }
+  if (summary.ocrLanguages) return `Detected languages: ${summary.ocrLanguages}`;
+  if (summary.imagePreprocessed) return "Image cleaned up, starting OCR";
+  if (pages) return describePages(pages);
+  return "Reading the document";
+}
+
+function describeAi(summary) {
+  const pages = summary.pages.aiExtraction;
+  if (summary.aiRetry) {
+    const { status, outcome, retryInMs, attempt } = summary.aiRetry;
+    const cause = outcome === "timeout" ? "did not answer in time" : status ? `answered ${status}` : "could not be reached";
+    return `AI service ${cause}, retrying in ${Math.ceil(retryInMs / 1000)}s (attempt ${attempt + 1})`;
+  }
+  if (summary.aiRequestsSent > summary.aiResponsesParsed) {
+    return summary.aiRequest === "classification" ? "Detecting the document type" : "Request sent, waiting for the AI response";
+  }
+  if (summary.aiResponsesParsed > 0) return `${summary.aiResponsesParsed} AI response${summary.aiResponsesParsed === 1 ? "" : "s"} parsed`;
+  if (pages) return describePages(pages);
+  return "Preparing the AI request";
+}
+
+const STATE_ICONS = {
+  done: <CheckCircle2 className="h-5 w-5 text-primary" />,
+  active: <Loader2 className="h-5 w-5 text-primary animate-spin" />,
+  failed: <XCircle className="h-5 w-5 text-destructive" />,
+  pending: <Circle className="h-5 w-5 text-muted-foreground" />,
+};
+
+/**
+ * Stage-by-stage view of a processing job
+ *
+ * Shows upload, text extraction (with PDF page and OCR progress), classification,
+ * rule-based field extraction, AI extraction, identity verification and saving, each marked pending, active, done or failed from the live events.
+ * AI extraction is left out in standard mode, where it does not run.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object[]} props.events - Job events received so far
+ * @param {'standard'|'ai'} props.processingMethod - Processing method the job was started with
+ * @returns {JSX.Element} Step list
+ */
+export default function ProcessingProgress({ events, processingMethod }) {
+  const summary = summarizeEvents(events);
+
+  const steps = [
+    {
+      key: "upload",
+      label: "Upload received",
+      state: summary.uploadReceived ? "done" : "active",
+      detail: summary.uploadReceived ? null : "Waiting for a free processing slot",
+    },
+    {
+      key: "standardExtraction",
+      label: "Extracting text",
+      state: stageState(summary, "standardExtraction"),
+      detail: describeExtraction(summary),
+      percent: summary.ocrPercent,
+    },
+    {
+      key: "classification",
+      label: "Classifying the document",
+      state: stageState(summary, "classification"),
+    },
+    {
+      key: "ruleExtraction",
+      label: "Finding fields in the text",
+      state: stageState(summary, "ruleExtraction"),
+    },
+    processingMethod === "ai" && {
+      key: "aiExtraction",
+      label: "AI extraction",
+      state: stageState(summary, "aiExtraction"),
+      detail: describeAi(summary),
+    },
+    {
+      key: "verification",
+      label: "Checking your details",
+      state: stageState(summary, "verification"),
+    },
+    {
+      key: "saving",
+      label: "Saving results",
+      state: summary.saved ? "done" : stageState(summary, "saving"),
+    },
+  ].filter(Boolean);
+
+  return (
+    <ol className="space-y-4 text-left" data-testid="processing-progress">
+      {steps.map((step) => (
+        <li key={step.key} className="flex items-start space-x-3" data-testid={`progress-step-${step.key}`}>
+          <div className="mt-0.5">{STATE_ICONS[step.state]}</div>
+          <div className="flex-1">
+            <div className={cn("font-medium", step.state === "pending" && "text-muted-foreground")}>
+              {step.label}
+            </div>
+            {step.state === "active" && step.detail && (
+              <div className="text-sm text-muted-foreground">{step.detail}</div>
+            )}
+            {step.state === "active" && typeof step.percent === "number" && (
+              <div className="mt-2 h-1.5 w-full rounded bg-muted overflow-hidden">
+                <div className="h-full bg-primary transition-all" style={{ width: `${step.percent}%` }} />
+              </div>
+            )}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,77 @@
+import { CheckCircle2, IdCard, XCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const CITIZENSHIP_LABELS = {
+  citizen: "South African citizen",
+  permanent_resident: "Permanent resident",
+  refugee: "Refugee",
+};
+
+const SOURCE_LABELS = { standard: "standard", ai: "AI" };
+
+function formatIdNumber(idNumber) {
+  return `${idNumber.slice(0, 6)} ${idNumber.slice(6, 10)} ${idNumber.slice(10)}`;
+}
+
+function Check({ ok, children }) {
+  const Icon = ok ? CheckCircle2 : XCircle;
+  return (
+    <span className={cn("flex items-center", ok ? "text-green-700" : "text-destructive")}>
+      <Icon className="h-4 w-4 mr-1" />
+      {children}
+    </span>
+  );
+}
+
+/**
+ * South African ID numbers found in the document
+ *
+ * Each number shows whether it is valid, what it says about the holder and
+ * whether its date of birth agrees with the one entered on the form.
+ *
+ * @component
+ * @param {Object} props
+ * @param {SaIdNumber[]} props.idNumbers - ID numbers from the processed document
+ * @returns {JSX.Element|null} One row per ID number, or nothing when none were found
+ */
+export default function SaIdNumbers({ idNumbers }) {
+  if (!idNumbers?.length) return null;
+
+  return (
+    <div className="space-y-4" data-testid="sa-id-numbers">
+      <h3 className="text-xl font-semibold flex items-center">
+        <IdCard className="h-6 w-6 text-muted-foreground mr-2" />
+        South African ID Numbers
+      </h3>
+      {idNumbers.map((id) => (
+        <div key={id.idNumber} className="bg-accent rounded-lg p-4 text-sm space-y-2" data-testid={`sa-id-${id.idNumber}`}>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <span className="font-mono text-base font-semibold">{formatIdNumber(id.idNumber)}</span>
+            <Check ok={id.valid}>{id.valid ? "Valid" : id.checksumValid ? "Invalid" : "Check digit incorrect"}</Check>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            <div>
+              <div className="text-muted-foreground">Date of birth</div>
+              <div>{id.dateOfBirth}</div>
+            </div>
+            <div>
+              <div className="text-muted-foreground">Gender</div>
+              <div className="capitalize">{id.gender}</div>
+            </div>
+            <div>
+              <div className="text-muted-foreground">Citizenship</div>
+              <div>{CITIZENSHIP_LABELS[id.citizenship] || "Unknown"}</div>
+            </div>
+            <div>
+              <div className="text-muted-foreground">Submitted date of birth</div>
+              <Check ok={id.dateOfBirthMatches}>{id.dateOfBirthMatches ? "Matches" : "Does not match"}</Check>
+            </div>
+          </div>
+          <div className="text-xs text-muted-foreground">
+            Found by {id.sources.map((source) => SOURCE_LABELS[source]).join(" and ")} extraction
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
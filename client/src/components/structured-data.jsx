@@ -0,0 +1,151 @@
+import { AlertTriangle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { findDocumentType } from "@shared/schema";
+
+// Confidence from which a value counts as well backed by the document, and as doubtful
+const HIGH_CONFIDENCE = 0.85;
+const LOW_CONFIDENCE = 0.5;
+
+// "supplierVatNumber" -> "supplier Vat Number", capitalized by CSS
+function fieldLabel(key) {
+  return key.replace(/([A-Z])/g, " $1").trim();
+}
+
+function FieldValue({ value }) {
+  if (value === null || value === undefined || value === "") {
+    return <span className="text-muted-foreground italic">Not found</span>;
+  }
+  if (Array.isArray(value)) {
+    if (!value.length) return <span className="text-muted-foreground italic">None</span>;
+    if (typeof value[0] !== "object") return <span>{value.join(", ")}</span>;
+    return <span>{value.length} {value.length === 1 ? "entry" : "entries"}</span>;
+  }
+  if (typeof value === "object") return <span>{JSON.stringify(value)}</span>;
+  return <span>{String(value)}</span>;
+}
+
+function ConfidenceBadge({ provenance, onShowSource }) {
+  if (!provenance) return null;
+  const percent = `${Math.round(provenance.confidence * 100)}%`;
+  const className = provenance.hallucination || provenance.confidence < LOW_CONFIDENCE
+    ? "bg-destructive/10 text-destructive"
+    : provenance.confidence < HIGH_CONFIDENCE ? "bg-amber-100 text-amber-800" : "bg-green-100 text-green-800";
+  const label = provenance.hallucination ? "Not in document" : percent;
+  const title = provenance.hallucination
+    ? "Not found in the document text: possibly made up by the model"
+    : `${percent} confidence${provenance.pageNumber ? `, page ${provenance.pageNumber}` : ""}${provenance.source === "ai" ? ", AI text only" : ""}`;
+
+  if (!provenance.span) {
+    return <span className={cn("px-1.5 py-0.5 rounded text-xs whitespace-nowrap", className)} title={title}>{label}</span>;
+  }
+  return (
+    <button
+      type="button"
+      className={cn("px-1.5 py-0.5 rounded text-xs whitespace-nowrap underline-offset-2 hover:underline", className)}
+      title={`${title}. Show in the document text`}
+      onClick={() => onShowSource?.(provenance)}
+    >
+      {label}
+    </button>
+  );
+}
+
+// Lists of objects (invoice lines, jobs) read best as a table
+function EntriesTable({ name, entries, provenance, onShowSource }) {
+  const columns = [...new Set(entries.flatMap((entry) => Object.keys(entry)))];
+  return (
+    <div className="space-y-1">
+      <div className="font-medium text-sm capitalize">{fieldLabel(name)}</div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs border-collapse">
+          <thead>
+            <tr>
+              {columns.map((column) => (
+                <th key={column} className="text-left font-medium capitalize border-b px-2 py-1">{fieldLabel(column)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry, index) => (
+              <tr key={index}>
+                {columns.map((column) => (
+                  <td key={column} className="border-b px-2 py-1">
+                    <div className="flex items-center gap-1">
+                      <FieldValue value={entry[column]} />
+                      <ConfidenceBadge provenance={provenance[`${name}[${index}].${column}`]} onShowSource={onShowSource} />
+                    </div>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Structured data from rule-based or AI extraction
+ *
+ * Documents of a known type show every field of the type's schema in schema
+ * order, including the ones the document does not contain, and say when the
+ * values did not match the schema. Other documents show whatever keys were
+ * found. Each value has a confidence badge, red when the value is not in the
+ * document; clicking it shows where the value was found.
+ *
+ * @component
+ * @param {Object} props
+ * @param {AiExtractionResult|RuleExtractionResult} props.extractedData - Structured data of the processed document
+ * @param {'standard'|'ai'} [props.method="ai"] - Extraction method the data came from
+ * @param {(provenance: FieldProvenance) => void} [props.onShowSource] - Called when a confidence badge is clicked
+ * @returns {JSX.Element|null} The fields, or nothing when there is no structured data
+ */
+export default function StructuredData({ extractedData, method = "ai", onShowSource }) {
+  const data = extractedData?.structuredData;
+  if (!data || extractedData.errorOccurred || !Object.keys(data).length) return null;
+
+  const documentType = findDocumentType(extractedData.documentType);
+  const keys = documentType ? Object.keys(documentType.schema.shape) : Object.keys(data);
+  // Documents processed before provenance was recorded have none
+  const provenance = extractedData.fieldProvenance || {};
+  const entryLists = keys.filter((key) => Array.isArray(data[key]) && data[key].length && typeof data[key][0] === "object");
+
+  return (
+    <div className="space-y-3">
+      <h4 className="font-medium text-sm flex items-center justify-between">
+        Structured Information
+        {documentType && (
+          <span className="px-2 py-1 bg-secondary text-secondary-foreground text-xs rounded" data-testid={`text-${method}-document-type`}>
+            {documentType.label}{extractedData.documentTypeDetected ? " (detected)" : ""}
+          </span>
+        )}
+      </h4>
+      {extractedData.schemaValid === false && (
+        <div className="bg-amber-50 text-amber-800 p-3 rounded-lg text-xs" data-testid={`${method}-schema-validation-errors`}>
+          <div className="font-medium flex items-center">
+            <AlertTriangle className="h-4 w-4 mr-1" />
+            Some fields do not match the {documentType?.label ?? "document"} format
+          </div>
+          <ul className="list-disc ml-5 mt-1">
+            {extractedData.validationErrors.map((error) => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+      <div className="space-y-2" data-testid={`${method}-structured-data`}>
+        {keys.filter((key) => !entryLists.includes(key)).map((key) => (
+          <div key={key} className="flex justify-between gap-4 py-2 px-3 bg-accent rounded text-sm" data-testid={`${method}-structured-field-${key}`}>
+            <span className="font-medium capitalize">{fieldLabel(key)}:</span>
+            <span className="flex items-center gap-2 text-right">
+              <FieldValue value={data[key]} />
+              <ConfidenceBadge provenance={provenance[key]} onShowSource={onShowSource} />
+            </span>
+          </div>
+        ))}
+      </div>
+      {entryLists.map((key) => (
+        <EntriesTable key={key} name={key} entries={data[key]} provenance={provenance} onShowSource={onShowSource} />
+      ))}
+    </div>
+  );
+}
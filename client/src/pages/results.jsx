@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { useQuery } from "@tanstack/react-query";
 import { Link } from "wouter";
 import { Plus, FileText, Brain, Cog, Clock, Download, Copy, Share } from "lucide-react";
@@ -6,10 +6,41 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { Skeleton } from "@/components/ui/skeleton";
 import { useToast } from "@/hooks/use-toast";
+import DocumentTables from "@/components/document-tables";
+import PdfFormData from "@/components/pdf-form-data";
+import IdentityVerification from "@/components/identity-verification";
+import SaIdNumbers from "@/components/sa-id-numbers";
+import PassportMrz from "@/components/passport-mrz";
+import StructuredData from "@/components/structured-data";
+import { cn } from "@/lib/utils";
+import { aiProviders, findDocumentCategory } from "@shared/schema";
+
+// OCR words below this confidence (0-100) are flagged for review
+const LOW_CONFIDENCE_THRESHOLD = 60;
+const MAX_FLAGGED_WORDS = 30;
+
+// Text with the characters a structured data value came from marked
+function HighlightedText({ text, span, markRef }) {
+  if (!span) return text;
+  return (
+    <>
+      {text.slice(0, span.start)}
+      <mark ref={markRef} className="bg-yellow-200 rounded" data-testid="text-source-highlight">{text.slice(span.start, span.end)}</mark>
+      {text.slice(span.end)}
+    </>
+  );
+}
 
 export default function ResultsPage() {
   const { toast } = useToast();
   const [currentResult, setCurrentResult] = useState(null);
+  const [selectedPage, setSelectedPage] = useState(null);     // Page shown in the standard text, null for all pages
+  const [sourceHighlight, setSourceHighlight] = useState(null); // Provenance of the structured data value being shown
+  const highlightRef = useRef(null);
+
+  useEffect(() => {
+    highlightRef.current?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [sourceHighlight, selectedPage]);
 
   // Check for result in sessionStorage first
   useEffect(() => {
@@ -24,11 +55,42 @@ export default function ResultsPage() {
   }, []);
 
   const { data: recentResults, isLoading } = useQuery({
-    queryKey: ["/api/processed-documents"],
+    queryKey: ["/api/processed-documents?limit=1"],
     enabled: !currentResult,
   });
 
-  const result = currentResult || (recentResults && recentResults[0]);
+  const result = currentResult || recentResults?.documents?.[0];
+  const ocrPages = result?.pageSources?.filter((page) => page.source === "ocr") || [];
+  const ocrScripts = [...new Set(ocrPages.map((page) => page.script).filter(Boolean))];
+  const preprocessedPages = ocrPages.filter((page) => page.preprocessing);
+  // Documents processed before per-page text was stored only have the whole text
+  const pageTexts = result?.pageTexts || [];
+  const shownPage = pageTexts.find((page) => page.pageNumber === selectedPage);
+  const standardText = shownPage
+    ? shownPage.text || "[Error extracting text from this page]"
+    : result?.standardExtractedText || "No text extracted";
+  const standardHighlight = sourceHighlight?.source === "standard" && shownPage?.pageNumber === sourceHighlight.pageNumber
+    ? sourceHighlight.span
+    : null;
+  const aiHighlight = sourceHighlight?.source === "ai" ? sourceHighlight.span : null;
+
+  // Spans index a single page's text, so jump to that page
+  const showSource = (provenance) => {
+    setSourceHighlight(provenance);
+    if (provenance.source === "standard") setSelectedPage(provenance.pageNumber);
+  };
+  // Documents processed before providers were selectable were all read by GPT-5
+  const aiProviderLabel = aiProviders.find((provider) => provider.id === result?.aiExtractedData?.provider)?.label;
+  const aiMethod = aiProviderLabel
+    ? [aiProviderLabel, result.aiExtractedData.model].filter(Boolean).join(" ")
+    : "OpenAI GPT-5";
+  // Tries that did not get an answer: errors, timeouts and calls held back by an open circuit
+  const failedAiAttempts = result?.aiExtractedData?.attempts?.filter((attempt) => attempt.outcome !== "success") || [];
+  const lowConfidenceWords = (result?.pageLayouts || [])
+    .filter((page) => page.source === "ocr")
+    .flatMap((page) => page.blocks.flatMap((block) => block.lines.flatMap((line) => line.words))
+      .filter((word) => word.confidence < LOW_CONFIDENCE_THRESHOLD)
+      .map((word) => ({ ...word, pageNumber: page.pageNumber })));
 
   const handleDownload = () => {
     if (!result) return;
@@ -126,7 +188,7 @@ export default function ResultsPage() {
             </div>
 
             {/* Personal Information Summary */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+            <div className={cn("grid grid-cols-1 gap-4 mb-8", result.classification ? "md:grid-cols-4" : "md:grid-cols-3")}>
               <div className="bg-accent p-4 rounded-lg">
                 <div className="text-sm text-muted-foreground">Full Name</div>
                 <div className="text-lg font-semibold" data-testid="text-fullName">
@@ -145,10 +207,41 @@ export default function ResultsPage() {
                   {isAiMethod ? "AI Extraction" : "Standard Extraction"}
                 </div>
               </div>
+              {result.classification && (
+                <div className="bg-accent p-4 rounded-lg">
+                  <div className="text-sm text-muted-foreground">Document Type</div>
+                  <div className="text-lg font-semibold" data-testid="text-documentCategory">
+                    {findDocumentCategory(result.classification.category)?.label}
+                  </div>
+                  <div className="text-xs text-muted-foreground">
+                    {Math.round(result.classification.confidence * 100)}% confident · {result.classification.method === "ai" ? "AI" : "keywords and layout"}
+                  </div>
+                </div>
+              )}
             </div>
+
+            <IdentityVerification verification={result.verification} />
           </CardContent>
         </Card>
 
+        {/* South African ID numbers, checked without AI */}
+        {result.saIdNumbers?.length > 0 && (
+          <Card>
+            <CardContent className="p-6">
+              <SaIdNumbers idNumbers={result.saIdNumbers} />
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Passport and ID card machine-readable zone, read without AI */}
+        {result.mrz && (
+          <Card>
+            <CardContent className="p-6">
+              <PassportMrz mrz={result.mrz} />
+            </CardContent>
+          </Card>
+        )}
+
         {/* Results Display - Always Show Side by Side */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Standard Extraction Results */}
@@ -164,18 +257,98 @@ export default function ResultsPage() {
                 )}
               </h3>
               <div className="space-y-4">
-                <div className="bg-muted p-4 rounded-lg max-h-80 overflow-y-auto">
-                  <pre className="whitespace-pre-wrap text-sm font-mono" data-testid="text-standard-extraction">
-                    {result.standardExtractedText || "No text extracted"}
+                <StructuredData extractedData={result.standardExtractedData} method="standard" onShowSource={showSource} />
+                {pageTexts.length > 1 && (
+                  <div className="flex flex-wrap gap-2" data-testid="page-selector">
+                    <Button
+                      size="sm"
+                      variant={selectedPage === null ? "default" : "outline"}
+                      onClick={() => setSelectedPage(null)}
+                      data-testid="button-page-all"
+                    >
+                      All pages
+                    </Button>
+                    {pageTexts.map((page) => (
+                      <Button
+                        key={page.pageNumber}
+                        size="sm"
+                        variant={selectedPage === page.pageNumber ? "default" : "outline"}
+                        onClick={() => setSelectedPage(page.pageNumber)}
+                        data-testid={`button-page-${page.pageNumber}`}
+                      >
+                        Page {page.pageNumber}
+                      </Button>
+                    ))}
+                  </div>
+                )}
+                <div className="bg-muted p-4 rounded-lg max-h-80 overflow-auto">
+                  {/* Layout-mode text is aligned with spaces, so wrapping would break its columns */}
+                  <pre
+                    className={cn("text-sm font-mono", result.textLayout === "layout" ? "whitespace-pre" : "whitespace-pre-wrap")}
+                    data-testid="text-standard-extraction"
+                  >
+                    <HighlightedText text={standardText} span={standardHighlight} markRef={highlightRef} />
                   </pre>
                 </div>
+                {result.pageRange && (
+                  <div className="text-xs text-muted-foreground" data-testid="text-page-range">
+                    Pages read: {result.pageRange.replace(/,/g, ", ")}
+                    {result.pdfMetadata && ` of ${result.pdfMetadata.pageCount}`}
+                  </div>
+                )}
+                {result.pageSources?.some((page) => page.source === "ocr") && result.fileType === "application/pdf" && (
+                  <div className="text-xs text-muted-foreground" data-testid="text-ocr-pages">
+                    Scanned pages read with OCR: {result.pageSources
+                      .filter((page) => page.source === "ocr")
+                      .map((page) => page.pageNumber)
+                      .join(", ")}
+                  </div>
+                )}
+                {ocrPages.length > 0 && (
+                  <div className="text-xs text-muted-foreground" data-testid="text-ocr-languages">
+                    OCR languages: {[...new Set(ocrPages.map((page) => page.languages).filter(Boolean))].join(", ") || result.ocrLanguage}
+                    {ocrScripts.length > 0 && ` (detected ${ocrScripts.join(", ")} script)`}
+                  </div>
+                )}
+                {preprocessedPages.map((page) => (
+                  <div key={page.pageNumber} className="text-xs text-muted-foreground" data-testid={`text-preprocessing-${page.pageNumber}`}>
+                    {result.fileType === "application/pdf" || result.pageSources.length > 1 ? `Page ${page.pageNumber} cleaned up` : "Image cleaned up"}
+                    {page.preprocessing.rotation !== 0 && `, turned ${page.preprocessing.rotation}°`}
+                    {page.preprocessing.skewAngle !== 0 && `, straightened ${page.preprocessing.skewAngle}°`}
+                    {page.preprocessing.scale !== 1 && `, upscaled ${page.preprocessing.scale}x`}
+                    {`: OCR confidence ${Math.round(page.preprocessing.confidence)}%`}
+                    {typeof page.preprocessing.originalConfidence === "number" &&
+                      ` (${Math.round(page.preprocessing.originalConfidence)}% without cleanup)`}
+                  </div>
+                ))}
+                {lowConfidenceWords.length > 0 && (
+                  <div className="text-xs" data-testid="text-low-confidence-words">
+                    <div className="text-muted-foreground mb-1">
+                      {lowConfidenceWords.length} OCR word{lowConfidenceWords.length === 1 ? "" : "s"} below {LOW_CONFIDENCE_THRESHOLD}% confidence:
+                    </div>
+                    <div className="flex flex-wrap gap-1">
+                      {lowConfidenceWords.slice(0, MAX_FLAGGED_WORDS).map((word, index) => (
+                        <span
+                          key={index}
+                          className="px-1.5 py-0.5 rounded bg-destructive/10 text-destructive font-mono"
+                          title={`Page ${word.pageNumber}, ${Math.round(word.confidence)}% confidence`}
+                        >
+                          {word.text}
+                        </span>
+                      ))}
+                      {lowConfidenceWords.length > MAX_FLAGGED_WORDS && (
+                        <span className="text-muted-foreground">and {lowConfidenceWords.length - MAX_FLAGGED_WORDS} more</span>
+                      )}
+                    </div>
+                  </div>
+                )}
                 <div className="text-xs text-muted-foreground flex items-center justify-between">
                   <div className="flex items-center">
                     <Clock className="h-3 w-3 mr-1" />
                     Method: Tesseract.js + pdfjs-dist
                   </div>
                   <div>
-                    Characters: {(result.standardExtractedText || "").length}
+                    Characters: {(shownPage ? shownPage.text : result.standardExtractedText || "").length}
                   </div>
                 </div>
               </div>
@@ -194,60 +367,81 @@ export default function ResultsPage() {
                   </span>
                 )}
               </h3>
-              <div className="space-y-4">
-                {/* Error State */}
-                {result.aiExtractedData?.errorOccurred && (
-                  <div className="bg-destructive/10 text-destructive p-3 rounded-lg text-sm">
-                    <div className="font-medium">AI Extraction Error</div>
-                    <div className="text-xs mt-1">
-                      {result.aiExtractedData.structuredData?.reason || "AI service unavailable"}
+              {!result.aiExtractedData ? (
+                <p className="text-sm text-muted-foreground" data-testid="text-ai-not-run">
+                  Not run: with Standard Extraction the document is not sent to an AI service.
+                </p>
+              ) : (
+                <div className="space-y-4">
+                  {/* Error State */}
+                  {result.aiExtractedData?.errorOccurred && (
+                    <div className="bg-destructive/10 text-destructive p-3 rounded-lg text-sm">
+                      <div className="font-medium">AI Extraction Error</div>
+                      <div className="text-xs mt-1">
+                        {result.aiExtractedData.structuredData?.reason || "AI service unavailable"}
+                      </div>
                     </div>
-                  </div>
-                )}
+                  )}
 
-                {/* Structured Data */}
-                {result.aiExtractedData?.structuredData && !result.aiExtractedData.errorOccurred && Object.keys(result.aiExtractedData.structuredData).length > 0 && (
-                  <div className="space-y-3">
-                    <h4 className="font-medium text-sm">Structured Information</h4>
-                    <div className="space-y-2" data-testid="ai-structured-data">
-                      {Object.entries(result.aiExtractedData.structuredData).map(([key, value]) => (
-                        <div key={key} className="flex justify-between py-2 px-3 bg-accent rounded text-sm">
-                          <span className="font-medium capitalize">
-                            {key.replace(/([A-Z])/g, ' $1').trim()}:
-                          </span>
-                          <span className="text-right">{String(value)}</span>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                )}
+                  {/* Structured Data */}
+                  <StructuredData extractedData={result.aiExtractedData} method="ai" onShowSource={showSource} />
 
-                {/* Raw Text */}
-                <div>
-                  <h4 className="font-medium text-sm mb-2">
-                    {result.aiExtractedData?.errorOccurred ? "Fallback Text (Standard)" : "AI Extracted Text"}
-                  </h4>
-                  <div className="bg-muted p-3 rounded-lg max-h-40 overflow-y-auto">
-                    <pre className="whitespace-pre-wrap text-xs font-mono" data-testid="text-ai-raw">
-                      {result.aiExtractedData?.rawText || result.rawExtractedText || "No text extracted"}
-                    </pre>
+                  {/* Raw Text */}
+                  <div>
+                    <h4 className="font-medium text-sm mb-2">
+                      {result.aiExtractedData?.errorOccurred ? "Fallback Text (Standard)" : "AI Extracted Text"}
+                    </h4>
+                    <div className="bg-muted p-3 rounded-lg max-h-40 overflow-y-auto">
+                      <pre className="whitespace-pre-wrap text-xs font-mono" data-testid="text-ai-raw">
+                        {result.aiExtractedData?.rawText
+                          ? <HighlightedText text={result.aiExtractedData.rawText} span={aiHighlight} markRef={highlightRef} />
+                          : result.rawExtractedText || "No text extracted"}
+                      </pre>
+                    </div>
                   </div>
-                </div>
 
-                <div className="text-xs text-muted-foreground flex items-center justify-between">
-                  <div className="flex items-center">
-                    <Clock className="h-3 w-3 mr-1" />
-                    Method: OpenAI GPT-5
-                  </div>
-                  <div>
-                    Characters: {(result.aiExtractedData?.rawText || result.rawExtractedText || "").length}
+                  <div className="text-xs text-muted-foreground flex items-center justify-between">
+                    <div className="flex items-center">
+                      <Clock className="h-3 w-3 mr-1" />
+                      Method: {aiMethod}
+                    </div>
+                    <div>
+                      Characters: {(result.aiExtractedData?.rawText || result.rawExtractedText || "").length}
+                    </div>
                   </div>
+                  {failedAiAttempts.length > 0 && (
+                    <div className="text-xs text-muted-foreground" data-testid="text-ai-attempts">
+                      {failedAiAttempts.length} of {result.aiExtractedData.attempts.length} AI requests failed:{" "}
+                      {failedAiAttempts
+                        .map((attempt) => attempt.status ?? (attempt.outcome === "timeout" ? "timeout" : attempt.outcome === "circuit_open" ? "not sent" : "no response"))
+                        .join(", ")}
+                      {result.aiExtractedData.circuit?.state === "open" && ` · ${aiProviderLabel ?? "AI"} calls paused after repeated failures`}
+                    </div>
+                  )}
                 </div>
-              </div>
+              )}
             </CardContent>
           </Card>
         </div>
 
+        {/* Tables found by standard extraction */}
+        {result.tables?.length > 0 && (
+          <Card>
+            <CardContent className="p-6">
+              <DocumentTables documentId={result.id} tables={result.tables} />
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Metadata, form fields and annotations of PDFs */}
+        {result.pdfMetadata && (
+          <Card>
+            <CardContent className="p-6">
+              <PdfFormData metadata={result.pdfMetadata} formFields={result.formFields} annotations={result.annotations} />
+            </CardContent>
+          </Card>
+        )}
+
         {/* Action Buttons */}
         <Card>
           <CardContent className="p-6">
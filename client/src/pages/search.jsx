@@ -0,0 +1,139 @@
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { useLocation } from "wouter";
+import { Search, FileText, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { useToast } from "@/hooks/use-toast";
+
+const FIELD_LABELS = {
+  standardExtractedText: "Standard text",
+  rawExtractedText: "AI text",
+  structuredData: "Structured data",
+  formFields: "Form fields",
+};
+
+/**
+ * Document Search Page
+ *
+ * Full-text search over every processed document's extracted text and AI
+ * structured data. Results are ranked by the server and show highlighted
+ * snippets; opening a result loads it into the results page.
+ *
+ * @component
+ * @returns {JSX.Element} Search page interface
+ */
+export default function SearchPage() {
+  const [, setLocation] = useLocation();
+  const { toast } = useToast();
+  const [input, setInput] = useState("");
+  const [submittedQuery, setSubmittedQuery] = useState("");
+
+  const { data, isFetching, error } = useQuery({
+    queryKey: [`/api/search?q=${encodeURIComponent(submittedQuery)}`],
+    enabled: submittedQuery.length > 0,
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSubmittedQuery(input.trim());
+  };
+
+  // Load the full document and hand it to the results page the same way uploads do
+  const openDocument = async (id) => {
+    try {
+      const response = await fetch(`/api/processed-documents/${id}`);
+      if (!response.ok) {
+        throw new Error("Document could not be loaded");
+      }
+      sessionStorage.setItem("lastProcessingResult", JSON.stringify(await response.json()));
+      setLocation("/results");
+    } catch (openError) {
+      toast({
+        title: "Failed to open document",
+        description: openError.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <main className="container mx-auto px-4 py-8 max-w-4xl">
+      <Card>
+        <CardContent className="p-8">
+          <div className="text-center mb-8">
+            <h2 className="text-2xl font-semibold mb-2">Search Documents</h2>
+            <p className="text-muted-foreground">
+              Find processed documents by any text, reference number or extracted field
+            </p>
+          </div>
+
+          <form onSubmit={handleSubmit} className="flex gap-2">
+            <Input
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="e.g. INV-2024-017"
+              data-testid="input-search"
+            />
+            <Button type="submit" disabled={!input.trim() || isFetching} data-testid="button-search">
+              {isFetching ? <Loader2 className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+              <span className="ml-2">Search</span>
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert className="mt-6" variant="destructive">
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      {data && (
+        <div className="mt-6 space-y-4">
+          <p className="text-sm text-muted-foreground" data-testid="text-search-total">
+            {data.total === 0
+              ? `No documents match "${data.query}"`
+              : `${data.total} document${data.total === 1 ? "" : "s"} match "${data.query}"`}
+          </p>
+
+          {data.results.map(({ document, snippets }) => (
+            <Card key={document.id}>
+              <CardContent className="p-6">
+                <button
+                  type="button"
+                  onClick={() => openDocument(document.id)}
+                  className="flex items-center text-left font-semibold hover:underline"
+                  data-testid={`search-result-${document.id}`}
+                >
+                  <FileText className="h-4 w-4 mr-2 text-primary" />
+                  {document.fileName}
+                </button>
+                <div className="text-xs text-muted-foreground mt-1">
+                  {document.fullName} · {document.processingMethod === "ai" ? "AI Extraction" : "Standard Extraction"} · {new Date(document.createdAt).toLocaleString()}
+                </div>
+
+                <div className="mt-3 space-y-2">
+                  {snippets.map((snippet, index) => (
+                    <div key={index} className="text-sm bg-muted p-3 rounded">
+                      <span className="text-xs font-medium text-muted-foreground mr-2">
+                        {FIELD_LABELS[snippet.field] || snippet.field}
+                      </span>
+                      {snippet.segments.map((segment, segmentIndex) => (
+                        segment.highlight
+                          ? <mark key={segmentIndex} className="bg-yellow-200 rounded px-0.5">{segment.text}</mark>
+                          : <span key={segmentIndex}>{segment.text}</span>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+    </main>
+  );
+}
@@ -1,10 +1,11 @@
 import { useState } from "react";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
-import { useMutation } from "@tanstack/react-query";
+import { useMutation, useQuery } from "@tanstack/react-query";
 import { useLocation } from "wouter";
-import { ArrowRight, Cog, AlertCircle, CheckCircle2 } from "lucide-react";
+import { ArrowRight, AlertCircle, CheckCircle2 } from "lucide-react";
 import FileUpload from "@/components/file-upload";
+import ProcessingProgress from "@/components/processing-progress";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from "@/components/ui/form";
@@ -13,7 +14,10 @@ import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
 import { Label } from "@/components/ui/label";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import { useToast } from "@/hooks/use-toast";
-import { processDocumentRequestSchema } from "@shared/schema";
+import { documentTypes, ocrLanguages, processDocumentRequestSchema } from "@shared/schema";
+import { MAX_UPLOAD_SIZE, acceptedFormatLabels, findDocumentFormat } from "@shared/formats";
+
+const JOB_POLL_INTERVAL_MS = 1000;
 
 /**
  * Document Upload and Processing Page
@@ -27,7 +31,7 @@ import { processDocumentRequestSchema } from "@shared/schema";
  * - Personal information form with real-time validation
  * - Processing method selection (Standard OCR vs AI extraction)
  * - Comprehensive error handling with user-friendly messages
- * - Progress indicators and loading states
+ * - Asynchronous processing with live stage-by-stage progress
  * - Responsive design with accessibility support
  * 
  * @component
@@ -49,6 +53,7 @@ export default function UploadPage() {
   const [isProcessing, setIsProcessing] = useState(false);     // Processing state for loading indicators
   const [submitError, setSubmitError] = useState(null);        // Form submission errors
   const [fileError, setFileError] = useState(null);           // File validation errors
+  const [progressEvents, setProgressEvents] = useState([]);   // Live events of the processing job
 
   // Form management with validation using react-hook-form and Zod
   const form = useForm({
@@ -58,16 +63,94 @@ export default function UploadPage() {
       lastName: "",            // User's last name  
       dateOfBirth: "",         // Birth date (YYYY-MM-DD format)
       processingMethod: "standard", // Default to standard extraction method
+      textLayout: "plain",     // PDF text in reading order rather than page layout
+      language: "eng",         // OCR languages joined with "+", or "auto"
+      preprocessing: "none",   // Image cleanup before OCR: "none" or "auto"
+      comparePreprocessing: "false", // Also OCR the untouched image to compare confidence
+      pdfPassword: "",         // Opens password-protected PDFs; sent only when filled in
+      pages: "",               // Page range such as "1-3,7"; empty reads every page
+      aiProvider: "",          // AI provider; empty uses the server's default
+      aiModel: "",             // Model name; empty uses the provider's default
+      documentType: "auto",    // Schema for AI structured data; "auto" lets the model pick
     },
   });
 
+  // AI providers the server offers, with their default models and whether a key is set
+  const { data: aiProviderInfo } = useQuery({
+    queryKey: ["/api/ai/providers"],
+  });
+
+  /**
+   * Follow a job's Server-Sent Events stream until the job finishes
+   * 
+   * Appends every event to progressEvents for the progress view. Resolves when
+   * the job succeeds or fails, or as soon as the stream breaks; pollJob then
+   * fetches the outcome either way.
+   * 
+   * @param {string} eventsUrl - Job events URL
+   * @returns {Promise<void>}
+   */
+  const followJobEvents = (eventsUrl) => new Promise((resolve) => {
+    const source = new EventSource(eventsUrl);
+    const finish = () => {
+      source.close();
+      resolve();
+    };
+
+    source.onmessage = (message) => {
+      const event = JSON.parse(message.data);
+      setProgressEvents((previous) => [...previous, event]);
+      if (event.type === "status" && (event.status === "succeeded" || event.status === "failed")) {
+        finish();
+      }
+    };
+    source.onerror = finish;
+  });
+
+  /**
+   * Poll an asynchronous processing job until it finishes
+   * 
+   * Resolves with the processed document, or throws the job's error in the
+   * same shape as a failed synchronous request.
+   * 
+   * @param {string} statusUrl - Job status URL returned by the 202 response
+   * @returns {Promise<Object>} Processed document
+   */
+  const pollJob = async (statusUrl) => {
+    while (true) {
+      const response = await fetch(statusUrl);
+      const job = await response.json();
+
+      if (!response.ok) {
+        const error = new Error(job.error || job.message || "Failed to check processing status");
+        error.details = job.details;
+        error.statusCode = response.status;
+        throw error;
+      }
+
+      if (job.status === "succeeded") {
+        return job.document;
+      }
+      if (job.status === "failed") {
+        const error = new Error(job.error?.error || "Failed to process document");
+        error.details = job.error?.details;
+        error.statusCode = job.error?.statusCode;
+        error.code = job.error?.code;
+        throw error;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+  };
+
   /**
    * Document processing mutation using TanStack Query
    * 
    * Handles the complete document upload and processing workflow:
    * 1. Clears previous error states for fresh submission
    * 2. Creates FormData with file and form fields
-   * 3. Submits to backend API with proper error handling
+   * 3. Submits to backend API in asynchronous mode, follows the job's live
+   *    events and fetches its outcome
    * 4. Parses structured error responses for user feedback
    * 
    * @param {Object} data - Form data including file and user information
@@ -76,6 +159,15 @@ export default function UploadPage() {
    * @param {string} data.lastName - User's last name  
    * @param {string} data.dateOfBirth - Date of birth (YYYY-MM-DD)
    * @param {string} data.processingMethod - Processing method ("standard" | "ai")
+   * @param {string} data.textLayout - PDF text reconstruction ("plain" | "layout")
+   * @param {string} data.language - OCR languages ("afr+eng") or "auto"
+   * @param {string} data.preprocessing - Image cleanup before OCR ("none" | "auto")
+   * @param {boolean} data.comparePreprocessing - Also report OCR confidence without cleanup
+   * @param {string} [data.pdfPassword] - Password for a password-protected PDF
+   * @param {string} [data.pages] - Pages to read, e.g. "1-3,7"
+   * @param {string} [data.aiProvider] - AI provider ("openai" | "gemini" | "mock")
+   * @param {string} [data.aiModel] - AI model name
+   * @param {string} data.documentType - Document type id for the AI schema, or "auto"
    * @returns {Promise<Object>} Processing results from backend
    */
   const processMutation = useMutation({
@@ -83,6 +175,7 @@ export default function UploadPage() {
       // Reset error states for fresh submission attempt
       setSubmitError(null);
       setFileError(null);
+      setProgressEvents([]);
       
       // Create FormData for multipart file upload
       const formData = new FormData();
@@ -91,9 +184,26 @@ export default function UploadPage() {
       formData.append("lastName", data.lastName);
       formData.append("dateOfBirth", data.dateOfBirth);
       formData.append("processingMethod", data.processingMethod);
+      formData.append("textLayout", data.textLayout);
+      formData.append("language", data.language);
+      formData.append("preprocessing", data.preprocessing);
+      formData.append("comparePreprocessing", String(data.comparePreprocessing));
+      if (data.pdfPassword) {
+        formData.append("pdfPassword", data.pdfPassword);
+      }
+      if (data.pages) {
+        formData.append("pages", data.pages);
+      }
+      if (data.aiProvider) {
+        formData.append("aiProvider", data.aiProvider);
+      }
+      if (data.aiModel) {
+        formData.append("aiModel", data.aiModel);
+      }
+      formData.append("documentType", data.documentType);
 
-      // Submit to backend API
-      const response = await fetch("/api/process-document", {
+      // Submit to backend API; the server queues the work and answers with a job
+      const response = await fetch("/api/process-document?async=true", {
         method: "POST",
         body: formData,
       });
@@ -107,11 +217,14 @@ export default function UploadPage() {
         error.details = errorData.details;        // Additional error context
         error.field = errorData.field;            // Field-specific error targeting
         error.statusCode = response.status;       // HTTP status code
+        error.code = errorData.code;              // Machine-readable cause, e.g. PDF_PASSWORD_REQUIRED
         
         throw error;
       }
 
-      return response.json();
+      const { statusUrl } = await response.json();
+      await followJobEvents(`${statusUrl}/events`);
+      return pollJob(statusUrl);
     },
     // Success handler - processing completed successfully
     onSuccess: (data) => {
@@ -134,8 +247,18 @@ export default function UploadPage() {
       // Handle different types of errors with specific messages
       let errorMessage = error.message;
       
-      // Handle field-specific errors
-      if (error.field) {
+      // Handle field-specific errors; locked PDFs point at the password field
+      if (error.code === "PDF_PASSWORD_REQUIRED" || error.code === "PDF_PASSWORD_INCORRECT") {
+        form.setError("pdfPassword", {
+          type: "server",
+          message: errorMessage
+        });
+      } else if (error.code === "PAGE_RANGE_OUT_OF_BOUNDS") {
+        form.setError("pages", {
+          type: "server",
+          message: errorMessage
+        });
+      } else if (error.field) {
         form.setError(error.field, { 
           type: "server",
           message: errorMessage 
@@ -176,10 +299,7 @@ export default function UploadPage() {
     }
 
     // Client-side file validation
-    const maxSize = 10 * 1024 * 1024; // 10MB
-    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
-    
-    if (selectedFile.size > maxSize) {
+    if (selectedFile.size > MAX_UPLOAD_SIZE) {
       setFileError("File is too large. Please select a file smaller than 10MB.");
       toast({
         title: "File too large",
@@ -189,11 +309,11 @@ export default function UploadPage() {
       return;
     }
     
-    if (!allowedTypes.includes(selectedFile.type)) {
-      setFileError("Invalid file type. Please select a PDF, JPG, JPEG, or PNG file.");
+    if (!findDocumentFormat(selectedFile.type, selectedFile.name)) {
+      setFileError(`Invalid file type. Please select a ${acceptedFormatLabels} file.`);
       toast({
         title: "Invalid file type",
-        description: "Please select a PDF, JPG, JPEG, or PNG file.",
+        description: `Please select a ${acceptedFormatLabels} file.`,
         variant: "destructive",
       });
       return;
@@ -211,6 +331,39 @@ export default function UploadPage() {
 
   const handleFileRemove = () => {
     setSelectedFile(null);
+    form.setValue("pdfPassword", "");
+    form.setValue("pages", "");
+  };
+
+  const selectedFormat = findDocumentFormat(selectedFile?.type, selectedFile?.name);
+  const isPdf = selectedFormat?.kind === "pdf";
+  // PDFs and TIFFs can have many pages; other formats are a single page
+  const hasPages = isPdf || selectedFormat?.id === "tiff";
+
+  const activeAiProviderId = form.watch("aiProvider") || aiProviderInfo?.defaultProvider;
+  const activeAiProvider = aiProviderInfo?.providers.find((provider) => provider.id === activeAiProviderId);
+
+  // OCR language selection is kept in the form as "auto" or codes joined with "+"
+  const ocrLanguage = form.watch("language");
+  const isAutoLanguage = ocrLanguage === "auto";
+  const selectedLanguageCodes = isAutoLanguage ? [] : ocrLanguage.split("+").filter(Boolean);
+
+  const toggleOcrLanguage = (code) => {
+    const codes = selectedLanguageCodes.includes(code)
+      ? selectedLanguageCodes.filter((selected) => selected !== code)
+      : [...selectedLanguageCodes, code];
+    form.setValue("language", codes.join("+"), { shouldValidate: true });
+  };
+
+  const isPreprocessing = form.watch("preprocessing") !== "none";
+
+  const togglePreprocessing = () => {
+    form.setValue("preprocessing", isPreprocessing ? "none" : "auto");
+    if (isPreprocessing) form.setValue("comparePreprocessing", "false");
+  };
+
+  const toggleAutoLanguage = () => {
+    form.setValue("language", isAutoLanguage ? "eng" : "auto", { shouldValidate: true });
   };
 
   return (
@@ -327,7 +480,7 @@ export default function UploadPage() {
                     <Label htmlFor="standard" className="flex-1 cursor-pointer" data-testid="radio-standard">
                       <div className="font-medium">Standard Extraction</div>
                       <div className="text-sm text-muted-foreground">
-                        Uses Tesseract.js for images and pdfjs-dist for PDFs. Fast and reliable for basic text extraction.
+                        Uses Tesseract.js for images and pdfjs-dist for PDFs. Fast and reliable for basic text extraction, and the document stays on this server.
                       </div>
                     </Label>
                   </div>
@@ -344,7 +497,7 @@ export default function UploadPage() {
                     <Label htmlFor="ai" className="flex-1 cursor-pointer" data-testid="radio-ai">
                       <div className="font-medium">AI Extraction</div>
                       <div className="text-sm text-muted-foreground">
-                        Uses OpenAI for enhanced text extraction with better accuracy and context understanding.
+                        Uses {activeAiProvider?.label || "an AI model"} for enhanced text extraction with better accuracy and context understanding.
                       </div>
                     </Label>
                   </div>
@@ -356,6 +509,243 @@ export default function UploadPage() {
                 )}
               </div>
 
+              {/* AI provider and model for the AI extraction path */}
+              <div>
+                <label className="text-sm font-medium leading-none">AI Provider</label>
+                <div className="flex flex-wrap gap-6 mt-2">
+                  {(aiProviderInfo?.providers || []).map((provider) => (
+                    <div key={provider.id} className="flex items-start space-x-2">
+                      <input
+                        type="radio"
+                        id={`aiProvider-${provider.id}`}
+                        name="aiProvider"
+                        value={provider.id}
+                        checked={activeAiProviderId === provider.id}
+                        onChange={() => form.setValue("aiProvider", provider.id)}
+                        className="aspect-square h-4 w-4 rounded-full border border-primary text-primary shadow focus:outline-none focus-visible:ring-1 focus-visible:ring-ring mt-0.5"
+                      />
+                      <Label htmlFor={`aiProvider-${provider.id}`} className="cursor-pointer" data-testid={`radio-aiProvider-${provider.id}`}>
+                        <div className="font-medium">{provider.label}</div>
+                        <div className="text-xs text-muted-foreground">
+                          {provider.configured ? provider.defaultModel : "No API key set"}
+                        </div>
+                      </Label>
+                    </div>
+                  ))}
+                </div>
+                {form.formState.errors.aiProvider && (
+                  <p className="text-sm text-destructive mt-2">
+                    {form.formState.errors.aiProvider.message}
+                  </p>
+                )}
+              </div>
+
+              <FormField
+                control={form.control}
+                name="aiModel"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>AI Model (optional)</FormLabel>
+                    <FormControl>
+                      <Input
+                        placeholder={activeAiProvider ? `Leave empty for ${activeAiProvider.defaultModel}` : "Leave empty for the provider's default"}
+                        data-testid="input-aiModel"
+                        {...field}
+                      />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              {/* Document type: picks the fields AI extraction returns */}
+              <div>
+                <label className="text-sm font-medium leading-none">Document Type</label>
+                <div className="flex flex-wrap gap-6 mt-2">
+                  {[
+                    { id: "auto", label: "Auto-detect", hint: "The AI decides what the document is" },
+                    ...documentTypes.map((documentType) => ({ id: documentType.id, label: documentType.label, hint: `Fields of ${documentType.description}` })),
+                  ].map((option) => (
+                    <div key={option.id} className="flex items-start space-x-2">
+                      <input
+                        type="radio"
+                        id={`documentType-${option.id}`}
+                        name="documentType"
+                        value={option.id}
+                        checked={form.watch("documentType") === option.id}
+                        onChange={() => form.setValue("documentType", option.id)}
+                        className="aspect-square h-4 w-4 rounded-full border border-primary text-primary shadow focus:outline-none focus-visible:ring-1 focus-visible:ring-ring mt-0.5"
+                      />
+                      <Label htmlFor={`documentType-${option.id}`} className="cursor-pointer" data-testid={`radio-documentType-${option.id}`}>
+                        <div className="font-medium">{option.label}</div>
+                        <div className="text-xs text-muted-foreground">{option.hint}</div>
+                      </Label>
+                    </div>
+                  ))}
+                </div>
+                {form.formState.errors.documentType && (
+                  <p className="text-sm text-destructive mt-2">
+                    {form.formState.errors.documentType.message}
+                  </p>
+                )}
+              </div>
+
+              {/* PDF Text Layout Selection */}
+              <div>
+                <label className="text-sm font-medium leading-none">PDF Text Layout</label>
+                <div className="flex flex-wrap gap-6 mt-2">
+                  {[
+                    { value: "plain", label: "Reading order", hint: "Lines in reading order, columns one after another" },
+                    { value: "layout", label: "Preserve layout", hint: "Keeps columns and table alignment" },
+                  ].map((option) => (
+                    <div key={option.value} className="flex items-start space-x-2">
+                      <input
+                        type="radio"
+                        id={`textLayout-${option.value}`}
+                        name="textLayout"
+                        value={option.value}
+                        checked={form.watch("textLayout") === option.value}
+                        onChange={() => form.setValue("textLayout", option.value)}
+                        className="aspect-square h-4 w-4 rounded-full border border-primary text-primary shadow focus:outline-none focus-visible:ring-1 focus-visible:ring-ring mt-0.5"
+                      />
+                      <Label htmlFor={`textLayout-${option.value}`} className="cursor-pointer" data-testid={`radio-textLayout-${option.value}`}>
+                        <div className="font-medium">{option.label}</div>
+                        <div className="text-xs text-muted-foreground">{option.hint}</div>
+                      </Label>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* OCR Language Selection */}
+              <div>
+                <label className="text-sm font-medium leading-none">OCR Languages</label>
+                <p className="text-xs text-muted-foreground mt-1">
+                  Used for images and scanned PDF pages. Automatic detection identifies the script first.
+                </p>
+                <div className="flex flex-wrap gap-x-6 gap-y-2 mt-2">
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      id="language-auto"
+                      checked={isAutoLanguage}
+                      onChange={toggleAutoLanguage}
+                      className="h-4 w-4 rounded border border-primary accent-primary"
+                    />
+                    <Label htmlFor="language-auto" className="cursor-pointer" data-testid="checkbox-language-auto">
+                      Detect automatically
+                    </Label>
+                  </div>
+                  {ocrLanguages.map((language) => (
+                    <div key={language.code} className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        id={`language-${language.code}`}
+                        checked={selectedLanguageCodes.includes(language.code)}
+                        disabled={isAutoLanguage}
+                        onChange={() => toggleOcrLanguage(language.code)}
+                        className="h-4 w-4 rounded border border-primary accent-primary disabled:opacity-50"
+                      />
+                      <Label
+                        htmlFor={`language-${language.code}`}
+                        className={isAutoLanguage ? "text-muted-foreground" : "cursor-pointer"}
+                        data-testid={`checkbox-language-${language.code}`}
+                      >
+                        {language.label}
+                      </Label>
+                    </div>
+                  ))}
+                </div>
+                {form.formState.errors.language && (
+                  <p className="text-sm text-destructive mt-2">
+                    {form.formState.errors.language.message}
+                  </p>
+                )}
+              </div>
+
+              {/* Image Preprocessing */}
+              <div>
+                <label className="text-sm font-medium leading-none">Image Cleanup</label>
+                <p className="text-xs text-muted-foreground mt-1">
+                  Straightens, turns upright and evens out the lighting of photos and scans before OCR.
+                </p>
+                <div className="flex flex-col gap-2 mt-2">
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      id="preprocessing"
+                      checked={isPreprocessing}
+                      onChange={togglePreprocessing}
+                      className="h-4 w-4 rounded border border-primary accent-primary"
+                    />
+                    <Label htmlFor="preprocessing" className="cursor-pointer" data-testid="checkbox-preprocessing">
+                      Clean up images before OCR
+                    </Label>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      id="comparePreprocessing"
+                      checked={form.watch("comparePreprocessing") === "true"}
+                      disabled={!isPreprocessing}
+                      onChange={(e) => form.setValue("comparePreprocessing", e.target.checked ? "true" : "false")}
+                      className="h-4 w-4 rounded border border-primary accent-primary disabled:opacity-50"
+                    />
+                    <Label
+                      htmlFor="comparePreprocessing"
+                      className={isPreprocessing ? "cursor-pointer" : "text-muted-foreground"}
+                      data-testid="checkbox-comparePreprocessing"
+                    >
+                      Compare OCR confidence with the original image (slower)
+                    </Label>
+                  </div>
+                </div>
+              </div>
+
+              {/* Page range for long documents */}
+              {hasPages && (
+                <FormField
+                  control={form.control}
+                  name="pages"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Pages (optional)</FormLabel>
+                      <FormControl>
+                        <Input
+                          placeholder="e.g. 1-3,7 (leave empty for every page)"
+                          data-testid="input-pages"
+                          {...field}
+                        />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              )}
+
+              {/* Password for locked PDFs */}
+              {isPdf && (
+                <FormField
+                  control={form.control}
+                  name="pdfPassword"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>PDF Password (optional)</FormLabel>
+                      <FormControl>
+                        <Input
+                          type="password"
+                          autoComplete="off"
+                          placeholder="Only needed for password-protected PDFs"
+                          data-testid="input-pdfPassword"
+                          {...field}
+                        />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              )}
+
               {/* Submit Button */}
               <div className="pt-4">
                 <Button 
@@ -376,13 +766,8 @@ export default function UploadPage() {
           {isProcessing && (
             <Card className="mt-6">
               <CardContent className="p-6">
-                <div className="text-center">
-                  <div className="processing-animation mb-4">
-                    <Cog className="h-8 w-8 mx-auto text-primary animate-spin" />
-                  </div>
-                  <h3 className="text-lg font-semibold mb-2">Processing Your Document</h3>
-                  <p className="text-muted-foreground">Please wait while we extract text from your document...</p>
-                </div>
+                <h3 className="text-lg font-semibold mb-4 text-center">Processing Your Document</h3>
+                <ProcessingProgress events={progressEvents} processingMethod={form.watch("processingMethod")} />
               </CardContent>
             </Card>
           )}
@@ -0,0 +1,18 @@
+CREATE TABLE "processed_documents" (
+	"id" varchar(36) PRIMARY KEY NOT NULL,
+	"first_name" varchar(100) NOT NULL,
+	"last_name" varchar(100) NOT NULL,
+	"date_of_birth" varchar(10) NOT NULL,
+	"full_name" varchar(201) NOT NULL,
+	"age" integer NOT NULL,
+	"file_name" varchar(255) NOT NULL,
+	"file_type" varchar(100) NOT NULL,
+	"processing_method" varchar(20) NOT NULL,
+	"standard_extracted_text" text,
+	"ai_extracted_data" jsonb,
+	"raw_extracted_text" text,
+	"processing_time" integer,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX "processed_documents_created_at_idx" ON "processed_documents" USING btree ("created_at");
\ No newline at end of file
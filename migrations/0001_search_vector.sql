@@ -0,0 +1,4 @@
+ALTER TABLE "processed_documents" ADD COLUMN "search_vector" "tsvector";--> statement-breakpoint
+CREATE INDEX "processed_documents_search_vector_idx" ON "processed_documents" USING gin ("search_vector");--> statement-breakpoint
+-- Backfill rows stored before search existed. New rows are tokenized by buildSearchText() in server/services/search.js.
+UPDATE "processed_documents" SET "search_vector" = to_tsvector('simple', lower(concat_ws(' ', "standard_extracted_text", "raw_extracted_text", "ai_extracted_data"->'structuredData'))) WHERE "search_vector" IS NULL;
@@ -0,0 +1 @@
+ALTER TABLE "processed_documents" ADD COLUMN "text_layout" varchar(10) DEFAULT 'plain' NOT NULL;
\ No newline at end of file
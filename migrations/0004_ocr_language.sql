@@ -0,0 +1 @@
+ALTER TABLE "processed_documents" ADD COLUMN "ocr_language" varchar(100) DEFAULT 'eng' NOT NULL;
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "processed_documents" ADD COLUMN "page_layouts" jsonb;
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "processed_documents" ADD COLUMN "preprocessing" varchar(100) DEFAULT 'none' NOT NULL;
\ No newline at end of file
@@ -0,0 +1,3 @@
+ALTER TABLE "processed_documents" ADD COLUMN "pdf_metadata" jsonb;--> statement-breakpoint
+ALTER TABLE "processed_documents" ADD COLUMN "form_fields" jsonb;--> statement-breakpoint
+ALTER TABLE "processed_documents" ADD COLUMN "annotations" jsonb;
\ No newline at end of file
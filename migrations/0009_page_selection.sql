@@ -0,0 +1,2 @@
+ALTER TABLE "processed_documents" ADD COLUMN "page_range" varchar(100);--> statement-breakpoint
+ALTER TABLE "processed_documents" ADD COLUMN "page_texts" jsonb;
\ No newline at end of file
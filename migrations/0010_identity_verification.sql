@@ -0,0 +1 @@
+ALTER TABLE "processed_documents" ADD COLUMN "verification" jsonb;
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "processed_documents" ADD COLUMN "sa_id_numbers" jsonb;
\ No newline at end of file
@@ -0,0 +1,3 @@
+ALTER TABLE "processed_documents" ADD COLUMN "document_category" varchar(30);--> statement-breakpoint
+ALTER TABLE "processed_documents" ADD COLUMN "classification" jsonb;--> statement-breakpoint
+CREATE INDEX "processed_documents_document_category_idx" ON "processed_documents" USING btree ("document_category");
\ No newline at end of file
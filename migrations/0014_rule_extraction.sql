@@ -0,0 +1 @@
+ALTER TABLE "processed_documents" ADD COLUMN "standard_extracted_data" jsonb;
\ No newline at end of file
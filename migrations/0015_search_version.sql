@@ -0,0 +1,3 @@
+-- Existing rows get a null version; DatabaseStorage.reindexSearch() re-indexes them on startup with the
+-- same buildSearchText() as new rows (server/services/search.js).
+ALTER TABLE "processed_documents" ADD COLUMN "search_version" integer;
@@ -0,0 +1,62 @@
+import { pgTable, varchar, text, integer, jsonb, timestamp, index, customType } from "drizzle-orm/pg-core";
+
+// drizzle has no built-in tsvector column type
+const tsvector = customType({
+  dataType() {
+    return "tsvector";
+  },
+});
+
+/**
+ * PostgreSQL Table Definitions
+ * 
+ * Drizzle schema for the database storage backend. Kept out of shared/schema.js
+ * so the client bundle never pulls in drizzle. Column names are snake_case in
+ * the database and camelCase in JavaScript, matching the ProcessingResult shape
+ * so rows can be returned from the API without any mapping.
+ * 
+ * After changing a table run `npm run db:generate` to add a migration.
+ * 
+ * @see ProcessingResult in shared/schema.js
+ */
+export const processedDocuments = pgTable("processed_documents", {
+  id: varchar("id", { length: 36 }).primaryKey(),
+  firstName: varchar("first_name", { length: 100 }).notNull(),
+  lastName: varchar("last_name", { length: 100 }).notNull(),
+  dateOfBirth: varchar("date_of_birth", { length: 10 }).notNull(),
+  fullName: varchar("full_name", { length: 201 }).notNull(),
+  age: integer("age").notNull(),
+  fileName: varchar("file_name", { length: 255 }).notNull(),
+  fileType: varchar("file_type", { length: 100 }).notNull(),
+  processingMethod: varchar("processing_method", { length: 20 }).notNull(),
+  textLayout: varchar("text_layout", { length: 10 }).notNull().default("plain"),
+  ocrLanguage: varchar("ocr_language", { length: 100 }).notNull().default("eng"),
+  preprocessing: varchar("preprocessing", { length: 100 }).notNull().default("none"),
+  pageRange: varchar("page_range", { length: 100 }),
+  standardExtractedText: text("standard_extracted_text"),
+  pageTexts: jsonb("page_texts"),
+  pageSources: jsonb("page_sources"),
+  pageLayouts: jsonb("page_layouts"),
+  tables: jsonb("tables"),
+  pdfMetadata: jsonb("pdf_metadata"),
+  formFields: jsonb("form_fields"),
+  annotations: jsonb("annotations"),
+  mrz: jsonb("mrz"),
+  documentCategory: varchar("document_category", { length: 30 }),
+  classification: jsonb("classification"),
+  standardExtractedData: jsonb("standard_extracted_data"),
+  aiExtractedData: jsonb("ai_extracted_data"),
+  rawExtractedText: text("raw_extracted_text"),
+  verification: jsonb("verification"),
+  saIdNumbers: jsonb("sa_id_numbers"),
+  processingTime: integer("processing_time"),
+  createdAt: timestamp("created_at", { withTimezone: true }).notNull().defaultNow(),
+  // Tokens from buildSearchText() in server/services/search.js, never returned by the API
+  searchVector: tsvector("search_vector"),
+  // SEARCH_INDEX_VERSION the vector was built with; older rows are re-indexed on startup
+  searchVersion: integer("search_version"),
+}, (table) => [
+  index("processed_documents_created_at_idx").on(table.createdAt),
+  index("processed_documents_document_category_idx").on(table.documentCategory),
+  index("processed_documents_search_vector_idx").using("gin", table.searchVector),
+]);
@@ -0,0 +1,22 @@
+import path from "path";
+import pg from "pg";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { migrate } from "drizzle-orm/node-postgres/migrator";
+import * as schema from "./db-schema.js";
+
+// Generated by `npm run db:generate`, applied on startup by runMigrations()
+const MIGRATIONS_FOLDER = path.resolve(process.cwd(), "migrations");
+
+export function createDatabase(connectionString = process.env.DATABASE_URL) {
+  if (!connectionString) {
+    throw new Error("DATABASE_URL must be set to use the PostgreSQL storage backend.");
+  }
+
+  const pool = new pg.Pool({ connectionString });
+  const db = drizzle(pool, { schema });
+  return { pool, db };
+}
+
+export async function runMigrations(db) {
+  await migrate(db, { migrationsFolder: MIGRATIONS_FOLDER });
+}
@@ -1,6 +1,9 @@
 // TypeScript entry point that runs the JavaScript server
 import express from "express";
 import { registerRoutes } from "./routes.js";
+import { storage } from "./storage.js";
+import { ocrPool } from "./services/ocr-pool.js";
+import { jobQueue } from "./services/jobs.js";
 import { setupVite, serveStatic, log } from "./vite.js";
 
 const app = express();
@@ -38,6 +41,9 @@ app.use((req, res, next) => {
 });
 
 (async () => {
+  await storage.init();
+  log(`using ${storage.constructor.name} for processed documents`);
+
   const server = await registerRoutes(app);
 
   app.use((err, _req, res, _next) => {
@@ -57,4 +63,20 @@ app.use((req, res, next) => {
   server.listen(PORT, "0.0.0.0", () => {
     log(`serving on port ${PORT}`);
   });
+
+  // Stop accepting connections, fail queued jobs and end their event streams,
+  // let running jobs and requests finish, then release the OCR workers and
+  // database connections
+  const shutdown = async (signal) => {
+    log(`${signal} received, shutting down`);
+    const closed = new Promise((resolve) => server.close(resolve));
+    await jobQueue.shutdown();
+    server.closeIdleConnections();
+    await closed;
+    await ocrPool.shutdown();
+    await storage.close();
+    process.exit(0);
+  };
+  process.once("SIGTERM", shutdown);
+  process.once("SIGINT", shutdown);
 })();
\ No newline at end of file
@@ -2,29 +2,56 @@ import { createServer } from "http";
 import multer from "multer";
 import path from "path";
 import fs from "fs/promises";
-import { storage } from "./storage.js";
-import { processDocumentRequestSchema, fileValidationSchema, calculateAge, generateFullName } from "../shared/schema.js";
-import { extractTextFromDocument } from "./services/extraction.js";
-import { extractWithOpenAI } from "./services/openai.js";
+import { storage, decodeCursor } from "./storage.js";
+import { processDocumentRequestSchema, fileValidationSchema, listDocumentsQuerySchema, searchQuerySchema, calculateAge, generateFullName } from "../shared/schema.js";
+import { MAX_UPLOAD_SIZE, acceptedFormatLabels, findDocumentFormat } from "../shared/formats.js";
+import { processDocument, describeProcessingError } from "./services/processing.js";
+import { jobQueue } from "./services/jobs.js";
+import { ocrPool } from "./services/ocr-pool.js";
+import { tableToCsv } from "./services/table-detection.js";
+import { defaultAiProviderId, listAiProviders } from "./services/providers/index.js";
 
 // Configure multer for file uploads
 const upload = multer({
   dest: "uploads/",
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_UPLOAD_SIZE,
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
-    if (allowedTypes.includes(file.mimetype)) {
+    const format = findDocumentFormat(file.mimetype, file.originalname);
+    if (format) {
+      // Files sent as application/octet-stream (HEIC from most browsers) get their format's type
+      if (!format.mimeTypes.includes(file.mimetype)) {
+        file.mimetype = format.mimeTypes[0];
+      }
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, JPG, and PNG files are allowed.'));
+      cb(new Error(`Invalid file type. Only ${acceptedFormatLabels} files are allowed.`));
     }
   },
 });
 
 // calculateAge function now imported from shared/schema.js
 
+// Keeps idle progress streams open through proxies
+const SSE_HEARTBEAT_MS = 15000;
+
+// Public view of a job; failed jobs expose the same error fields as synchronous requests
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    metadata: job.metadata,
+    queuedAt: job.queuedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    stages: job.stages,
+    documentId: job.result?.id ?? null,
+    document: job.result,
+    error: job.error ? describeProcessingError(job.error) : null,
+  };
+}
+
 export async function registerRoutes(app) {
   // Document processing endpoint
   app.post('/api/process-document', upload.single('file'), async (req, res) => {
@@ -72,140 +99,90 @@ export async function registerRoutes(app) {
         });
       }
 
-      const { firstName, lastName, dateOfBirth, processingMethod } = bodyValidation.data;
+      const { firstName, lastName, dateOfBirth, processingMethod, textLayout, language, preprocessing, comparePreprocessing, pdfPassword, pages, aiProvider, aiModel, documentType } = bodyValidation.data;
       const file = req.file;
       
       console.log('Processing method received:', processingMethod, typeof processingMethod);
-      console.log('Request body:', req.body);
-      
-      const startTime = Date.now();
+      // The PDF password is only ever handed to pdfjs
+      console.log('Request body:', { ...req.body, ...(req.body.pdfPassword && { pdfPassword: '[redacted]' }) });
       
+      // Calculate age and full name with proper error handling
+      let age, fullName;
       try {
-        // Calculate age and full name with proper error handling
-        let age, fullName;
-        try {
-          age = calculateAge(dateOfBirth);
-          fullName = generateFullName(firstName, lastName);
-          
-          // Validate calculated age
-          if (age < 5 || age > 120) {
-            throw new Error("Invalid date of birth - calculated age is outside reasonable range");
-          }
-        } catch (ageError) {
-          // Clean up uploaded file
-          await fs.unlink(file.path).catch(() => {});
-          return res.status(400).json({
-            message: "Invalid date of birth",
-            error: ageError.message,
-            field: "dateOfBirth",
-            details: "Please provide a valid birth date for age calculation",
-            timestamp: new Date().toISOString()
-          });
-        }
+        age = calculateAge(dateOfBirth);
+        fullName = generateFullName(firstName, lastName);
         
-        // Always run standard extraction for comparison
-        console.log('Running standard extraction...');
-        let standardText;
+        // Validate calculated age
+        if (age < 5 || age > 120) {
+          throw new Error("Invalid date of birth - calculated age is outside reasonable range");
+        }
+      } catch (ageError) {
+        // Clean up uploaded file
+        await fs.unlink(file.path).catch(() => {});
+        return res.status(400).json({
+          message: "Invalid date of birth",
+          error: ageError.message,
+          field: "dateOfBirth",
+          details: "Please provide a valid birth date for age calculation",
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const input = {
+        file,
+        person: { firstName, lastName, dateOfBirth, fullName, age },
+        processingMethod,
+        textLayout,
+        language,
+        preprocessing,
+        comparePreprocessing,
+        pdfPassword,
+        pages,
+        aiProvider,
+        aiModel,
+        documentType,
+      };
+
+      // Asynchronous mode: queue the work and let the client poll the job
+      if (req.query.async === 'true') {
+        let job;
         try {
-          standardText = await extractTextFromDocument(file.path, file.mimetype);
-          
-          // Validate extraction result
-          if (!standardText || standardText.trim().length === 0) {
-            console.warn('Standard extraction returned empty text');
-            standardText = "No text could be extracted from the document using standard methods.";
-          }
-        } catch (standardError) {
-          console.error('Standard extraction failed:', standardError);
-          // Clean up uploaded file
+          job = jobQueue.enqueue(
+            (reporter) => processDocument(input, reporter),
+            { fileName: file.originalname, fileType: file.mimetype, processingMethod, textLayout, language, preprocessing, pages, aiProvider, aiModel, documentType },
+            // processDocument removes the upload when it runs; a job dropped at shutdown never does
+            { onCancel: () => fs.unlink(file.path).catch(() => {}) }
+          );
+        } catch (queueError) {
           await fs.unlink(file.path).catch(() => {});
-          return res.status(500).json({
+          const { statusCode, error, details } = describeProcessingError(queueError);
+          return res.status(statusCode).json({
             message: "Document processing failed",
-            error: "Could not extract text from the document. Please ensure the file is not corrupted and contains readable text.",
-            details: standardError.message,
+            error,
+            details,
             timestamp: new Date().toISOString()
           });
         }
-        
-        // Always attempt AI extraction for side-by-side comparison
-        let aiExtractedData = null;
-        console.log('Running AI extraction...');
-        try {
-          aiExtractedData = await extractWithOpenAI(file.path, file.mimetype);
-          
-          // Validate AI extraction result
-          if (!aiExtractedData) {
-            throw new Error("AI extraction returned null result");
-          }
-        } catch (aiError) {
-          console.error('AI extraction failed:', aiError);
-          // Create fallback AI result with detailed error information
-          const errorReason = aiError.message || "Unknown error";
-          const isQuotaError = errorReason.includes("quota") || errorReason.includes("429");
-          
-          aiExtractedData = {
-            structuredData: {
-              error: "AI extraction failed",
-              reason: isQuotaError ? "AI service quota exceeded" : "AI service temporarily unavailable",
-              fallback: "Using standard extraction as fallback"
-            },
-            rawText: standardText,
-            errorOccurred: true
-          };
-        }
-        
-        // Determine primary extracted text based on selected method
-        const rawExtractedText = processingMethod === 'ai' && !aiExtractedData.errorOccurred 
-          ? aiExtractedData.rawText || standardText 
-          : standardText;
-        
-        const processingTime = Date.now() - startTime;
-        
-        // Save to storage
-        const processedDocument = await storage.createProcessedDocument({
-          firstName,
-          lastName,
-          dateOfBirth,
-          fullName,
-          age,
-          fileName: file.originalname,
-          fileType: file.mimetype,
-          processingMethod,
-          standardExtractedText: standardText,
-          aiExtractedData,
-          rawExtractedText,
-          processingTime,
+        const statusUrl = `/api/jobs/${job.id}`;
+        return res.status(202).location(statusUrl).json({
+          jobId: job.id,
+          status: job.status,
+          statusUrl,
         });
-        
-        // Clean up uploaded file
-        await fs.unlink(file.path).catch(() => {});
-        
+      }
+
+      try {
+        const processedDocument = await processDocument(input);
         res.json(processedDocument);
       } catch (processingError) {
-        // Clean up uploaded file on processing error
-        await fs.unlink(file.path).catch(() => {});
         console.error('Document processing error:', processingError);
-        
-        // Provide detailed error responses based on error type
-        let statusCode = 500;
-        let errorMessage = "An unexpected error occurred while processing your document";
-        let details = processingError instanceof Error ? processingError.message : String(processingError);
-        
-        // Handle specific processing error types
-        if (details.includes('ENOENT')) {
-          errorMessage = "The uploaded file could not be found or accessed";
-          details = "Please try uploading the file again";
-        } else if (details.includes('storage')) {
-          errorMessage = "Failed to save processing results";
-          details = "There was an issue saving your document. Please try again";
-        } else if (details.includes('timeout')) {
-          errorMessage = "Document processing timed out";
-          details = "The document is taking too long to process. Please try again with a smaller file";
-        }
+        const { statusCode, error, details, code } = describeProcessingError(processingError);
         
         res.status(statusCode).json({ 
           message: "Document processing failed",
-          error: errorMessage,
-          details: details,
+          error,
+          details,
+          ...(code && { code }),
           timestamp: new Date().toISOString()
         });
       }
@@ -246,12 +223,35 @@ export async function registerRoutes(app) {
     }
   });
 
-  // Get recent processed documents
+  // List processed documents with filters, sorting and cursor pagination
   app.get('/api/processed-documents', async (req, res) => {
+    const queryValidation = listDocumentsQuerySchema.safeParse(req.query);
+    if (!queryValidation.success) {
+      const firstError = queryValidation.error.errors[0];
+      return res.status(400).json({
+        message: "Invalid query parameters",
+        error: firstError?.message || "Query validation failed",
+        field: firstError?.path?.[0] || "unknown",
+        details: queryValidation.error.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const query = queryValidation.data;
+    const cursor = query.cursor ? decodeCursor(query.cursor, query.sortBy) : null;
+    if (query.cursor && !cursor) {
+      return res.status(400).json({
+        message: "Invalid query parameters",
+        error: "The pagination cursor is invalid",
+        field: "cursor",
+        details: "Use the nextCursor value from a previous response with the same sortBy",
+        timestamp: new Date().toISOString()
+      });
+    }
+
     try {
-      const limit = req.query.limit ? parseInt(req.query.limit) : 10;
-      const documents = await storage.getRecentProcessedDocuments(limit);
-      res.json(documents);
+      const page = await storage.queryProcessedDocuments(query, cursor);
+      res.json(page);
     } catch (error) {
       console.error('Error fetching processed documents:', error);
       res.status(500).json({ 
@@ -263,6 +263,102 @@ export async function registerRoutes(app) {
     }
   });
 
+  // Status of an asynchronous processing job
+  app.get('/api/jobs/:id', async (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        message: "Job not found",
+        error: "The requested job does not exist or has expired",
+        details: "Jobs are kept for an hour after they finish",
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      res.json(serializeJob(job));
+    } catch (error) {
+      console.error('Error fetching job:', error);
+      res.status(500).json({
+        message: "Failed to fetch job",
+        error: "Unable to retrieve the job status",
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Live job progress as Server-Sent Events; the stream ends once the job finishes
+  app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        message: "Job not found",
+        error: "The requested job does not exist or has expired",
+        details: "Jobs are kept for an hour after they finish",
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+
+    let unsubscribe = () => {};
+    let stopOnShutdown = () => {};
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      stopOnShutdown();
+      res.end();
+    };
+
+    unsubscribe = jobQueue.subscribe(job.id, (event) => {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+      if (event.type === 'status' && (event.status === 'succeeded' || event.status === 'failed')) {
+        // Let the replayed history finish before closing
+        setImmediate(close);
+      }
+    });
+
+    // End the stream on shutdown so the server can close; clients fall back to polling the job
+    stopOnShutdown = jobQueue.onShutdown(close);
+    req.on('close', close);
+  });
+
+  // Full-text search across extracted text and structured data
+  app.get('/api/search', async (req, res) => {
+    const queryValidation = searchQuerySchema.safeParse(req.query);
+    if (!queryValidation.success) {
+      const firstError = queryValidation.error.errors[0];
+      return res.status(400).json({
+        message: "Invalid search query",
+        error: firstError?.message || "Query validation failed",
+        field: firstError?.path?.[0] || "unknown",
+        details: queryValidation.error.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const { q, limit } = queryValidation.data;
+      const { total, results } = await storage.searchProcessedDocuments(q, limit);
+      res.json({ query: q, total, results });
+    } catch (error) {
+      console.error('Error searching documents:', error);
+      res.status(500).json({
+        message: "Search failed",
+        error: "Unable to search processed documents",
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
   // Get specific processed document
   app.get('/api/processed-documents/:id', async (req, res) => {
     try {
@@ -287,6 +383,54 @@ export async function registerRoutes(app) {
     }
   });
 
+  // Download one of a document's tables as CSV; tables are numbered from 0 in document order
+  app.get('/api/processed-documents/:id/tables/:index.csv', async (req, res) => {
+    try {
+      const document = await storage.getProcessedDocument(req.params.id);
+      const index = Number(req.params.index);
+      const table = Number.isInteger(index) ? document?.tables?.[index] : undefined;
+      if (!table) {
+        return res.status(404).json({
+          message: document ? "Table not found" : "Document not found",
+          error: document ? `The document has ${document.tables?.length || 0} table(s), numbered from 0` : "The requested document does not exist",
+          details: "Please check the document ID and table number and try again",
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const baseName = path.parse(document.fileName).name.replace(/[^\w.-]+/g, '_') || 'document';
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.attachment(`${baseName}-table-${index + 1}.csv`);
+      // Byte order mark so spreadsheet programs read the file as UTF-8
+      res.send(`\uFEFF${tableToCsv(table)}\r\n`);
+    } catch (error) {
+      console.error('Error exporting table:', error);
+      res.status(500).json({
+        message: "Failed to export table",
+        error: "Unable to build the CSV for this table",
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // OCR worker pool and job queue statistics for capacity tuning
+  app.get('/api/ocr/pool', (req, res) => {
+    res.json({
+      pool: ocrPool.stats(),
+      jobs: jobQueue.stats(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // AI providers for the upload form: which have an API key set, and their default models
+  app.get('/api/ai/providers', (req, res) => {
+    res.json({
+      defaultProvider: defaultAiProviderId(),
+      providers: listAiProviders(),
+    });
+  });
+
   // Health check endpoint for Docker and monitoring
   app.get('/health', (req, res) => {
     res.status(200).json({ 
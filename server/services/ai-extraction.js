@@ -0,0 +1,263 @@
+import fs from "fs";
+import { reconstructPageText } from "./pdf-layout.js";
+import { readDocx, readImagePages, readPlainText } from "./format-readers.js";
+import { loadPdfDocument } from "./pdf-document.js";
+import { selectPages } from "./page-selection.js";
+import { resolveConfiguredAiProvider } from "./providers/index.js";
+import { toJsonSchema } from "./providers/json-schema.js";
+import { documentTypeInstructions } from "./providers/prompts.js";
+import { findDocumentFormat } from "../../shared/formats.js";
+import { findDocumentType } from "../../shared/schema.js";
+
+// A schema-invalid answer is sent back once with its errors before it is accepted as is
+const MAX_SCHEMA_ATTEMPTS = 2;
+
+/**
+ * Extract text and structured data with an AI provider.
+ *
+ * PDFs, Word documents and text files are sent as text; images are sent to the
+ * vision model, every page of a multi-page TIFF in one request, with formats the
+ * APIs do not take (TIFF, HEIC) converted to PNG.
+ *
+ * @param {string} filePath - Uploaded file path
+ * @param {string} mimeType - File MIME type
+ * @param {Object} [options]
+ * @param {(event: Object) => void} [options.onProgress] - Receives pdf_page_parsed,
+ *   ai_request_sent and ai_response_parsed events
+ * @param {'plain'|'layout'} [options.textLayout='plain'] - How PDF text is reconstructed before it is sent
+ * @param {string} [options.pdfPassword] - Password for a password-protected PDF
+ * @param {string} [options.pages] - Pages of PDFs and multi-page images to send, e.g. "1-3,7"; every page when empty
+ * @param {string} [options.provider] - "openai", "gemini" or "mock"; AI_PROVIDER when empty
+ * @param {string} [options.model] - Model name; the provider's default when empty
+ * @param {string} [options.documentType='other'] - Id from documentTypes whose schema the model fills,
+ *   or "other" for free-form data; processDocument classifies the document first
+ * @param {(attempt: AiAttempt) => void} [options.onAttempt] - Receives every try of every provider call
+ * @returns {Promise<AiExtractionResult>}
+ */
+export async function extractWithAI(filePath, mimeType, { onProgress = () => {}, textLayout = 'plain', pdfPassword, pages, provider: providerId, model: requestedModel, documentType = 'other', onAttempt } = {}) {
+  const { provider, model } = resolveConfiguredAiProvider(providerId, requestedModel);
+  const ai = { provider, model, onProgress, documentType, onAttempt };
+  try {
+    const format = findDocumentFormat(mimeType);
+    let result;
+    switch (format?.kind) {
+      case 'pdf': {
+        const pageTexts = await extractPDFText(filePath, onProgress, textLayout, pdfPassword, pages);
+        const extractedText = pageTexts.map((page) => page.text).filter(Boolean).join('\n\n');
+        result = { ...(await extractTextWithAI(extractedText, ai)), pageTexts };
+        break;
+      }
+      case 'image': {
+        const images = await readImagePages(filePath, format);
+        const selectedImages = selectPages(pages, images.length).map((pageNumber) => images[pageNumber - 1]);
+        result = await extractImageWithAI(selectedImages, ai);
+        break;
+      }
+      case 'document':
+      case 'text': {
+        const documentText = format.kind === 'document' ? (await readDocx(filePath)).text : await readPlainText(filePath);
+        if (!documentText.trim()) {
+          throw new Error('No text content found in document');
+        }
+        result = await extractTextWithAI(documentText.trim(), ai);
+        break;
+      }
+      default:
+        throw new Error(`Unsupported file type for AI extraction: ${mimeType}`);
+    }
+    return { ...result, provider: provider.id, model };
+  } catch (error) {
+    handleAIExtractionError(error, provider);
+  }
+}
+
+// A user-facing error that keeps the provider error's status and code, so
+// callers can still tell a rate limit or an open circuit apart
+function wrapAIError(message, error) {
+  const wrapped = new Error(message, { cause: error });
+  if (error && typeof error === 'object') {
+    if (error.status !== undefined) wrapped.status = error.status;
+    if (error.code !== undefined) wrapped.code = error.code;
+  }
+  return wrapped;
+}
+
+// OpenAI errors carry status/type/code; Gemini's ApiError carries status
+function handleAIExtractionError(error, provider) {
+  console.error(`${provider.label} extraction error:`, error);
+
+  if (error && typeof error === 'object') {
+    if (error.status || error.type || error.code) {
+      if (error.status === 429 || error.type === 'insufficient_quota' || error.code === 'rate_limit_exceeded') {
+        throw wrapAIError(`AI service quota exceeded. Please check your ${provider.label} account usage limits or try using Standard Extraction instead.`, error);
+      }
+      if (error.status === 401 || error.status === 403 || error.type === 'invalid_request_error' || error.code === 'invalid_api_key') {
+        throw wrapAIError(`AI service authentication failed. Please check your ${provider.label} API key configuration.`, error);
+      }
+      if (error.status >= 500) {
+        throw wrapAIError('AI service temporarily unavailable. Please try Standard Extraction or try again later.', error);
+      }
+    }
+    const errorMessage = error.message || String(error);
+    throw wrapAIError(`AI extraction failed: ${errorMessage}. Try using Standard Extraction as an alternative.`, error);
+  }
+  throw new Error(`AI extraction failed: ${String(error)}. Try using Standard Extraction as an alternative.`);
+}
+
+function describeIssues(error) {
+  return error.issues.map((issue) => `${issue.path.join('.') || 'response'}: ${issue.message}`);
+}
+
+/**
+ * Ask for structured data in the schema of the document's type.
+ *
+ * The answer is validated against the type's zod schema and, if it does not
+ * match, requested once more with the validation errors. An answer that still
+ * does not match is kept, flagged with schemaValid: false. Documents of no
+ * known type get free-form key-value pairs.
+ *
+ * @param {(schema?: StructuredSchema) => Promise<Object>} requestStructured - Sends one structured request
+ * @param {string} requestedType - Id from documentTypes, or "other"
+ * @param {(event: Object) => void} onProgress - Progress callback
+ */
+async function extractStructuredData(requestStructured, requestedType, onProgress) {
+  const documentType = findDocumentType(requestedType);
+
+  if (!documentType) {
+    onProgress({ type: 'ai_request_sent', request: 'structured' });
+    const structuredData = await requestStructured();
+    onProgress({ type: 'ai_response_parsed', request: 'structured' });
+    return { structuredData, documentType: 'other', schemaValid: null, validationErrors: [] };
+  }
+
+  const jsonSchema = toJsonSchema(documentType.schema);
+  let structuredData = {};
+  let validationErrors = [];
+  for (let attempt = 1; attempt <= MAX_SCHEMA_ATTEMPTS; attempt++) {
+    onProgress({ type: 'ai_request_sent', request: 'structured', attempt });
+    structuredData = await requestStructured({
+      name: documentType.id,
+      instructions: documentTypeInstructions(documentType, jsonSchema, validationErrors),
+      jsonSchema,
+    });
+    const parsed = documentType.schema.safeParse(structuredData);
+    onProgress({ type: 'ai_response_parsed', request: 'structured', attempt, valid: parsed.success });
+    if (parsed.success) {
+      return { structuredData: parsed.data, documentType: documentType.id, schemaValid: true, validationErrors: [] };
+    }
+    validationErrors = describeIssues(parsed.error);
+  }
+
+  console.warn(`AI: ${documentType.id} response did not match its schema:`, validationErrors);
+  return { structuredData, documentType: documentType.id, schemaValid: false, validationErrors };
+}
+
+// Text of the selected pages, shaped like the standard path's pageTexts. Pages without a
+// text layer are left out (this path does not OCR) and pages that fail to parse have empty text
+async function extractPDFText(filePath, onProgress, textLayout, pdfPassword, pages) {
+  try {
+    console.log('AI: Attempting PDF text extraction from:', filePath);
+    
+    const pdfBuffer = fs.readFileSync(filePath);
+    console.log('AI: PDF buffer size:', pdfBuffer.length, 'bytes');
+    
+    const pdfDocument = await loadPdfDocument(pdfBuffer, pdfPassword);
+    console.log('AI: PDF loaded successfully, pages:', pdfDocument.numPages);
+    const pageNumbers = selectPages(pages, pdfDocument.numPages);
+    
+    const pageTexts = [];
+
+    for (const [index, pageNum] of pageNumbers.entries()) {
+      try {
+        const page = await pdfDocument.getPage(pageNum);
+        const textContent = await page.getTextContent();
+        
+        // Rebuild lines and reading order so the model sees the page structure
+        const pageText = reconstructPageText(textContent, textLayout);
+        
+        if (pageText.trim()) {
+          pageTexts.push({ pageNumber: pageNum, text: pageText.trim() });
+        }
+      } catch (pageError) {
+        console.error(`AI: Error extracting text from page ${pageNum}:`, pageError);
+        pageTexts.push({ pageNumber: pageNum, text: '' });
+      }
+      onProgress({ type: 'pdf_page_parsed', page: pageNum, totalPages: pdfDocument.numPages, parsedPages: index + 1, selectedPages: pageNumbers.length });
+    }
+    
+    // Validate we extracted meaningful content
+    if (!pageTexts.some((page) => page.text)) {
+      throw new Error('No text content found in PDF document');
+    }
+    
+    console.log('AI: PDF text extraction successful, pages with text:', pageTexts.filter((page) => page.text).length);
+    return pageTexts;
+    
+  } catch (error) {
+    console.error('AI: PDF extraction error:', error);
+    throw new Error(`Failed to extract text from PDF: ${error.message}`);
+  }
+}
+
+async function extractImageWithAI(pages, { provider, model, onProgress, documentType, onAttempt }) {
+  try {
+    onProgress({ type: 'ai_request_sent', request: 'text' });
+    const rawText = await provider.imageToText(pages, { model, onAttempt });
+    onProgress({ type: 'ai_response_parsed', request: 'text' });
+
+    const structured = await extractStructuredData(
+      (schema) => provider.imageToStructured(pages, { model, schema, onAttempt }),
+      documentType,
+      onProgress,
+    );
+
+    return {
+      ...structured,
+      rawText,
+    };
+  } catch (error) {
+    console.error('Image AI extraction error:', error);
+    if (error && typeof error === 'object') {
+      if (error.status === 429 || error.type === 'insufficient_quota') {
+        throw wrapAIError(`AI service quota exceeded for image processing. Please check your ${provider.label} account limits.`, error);
+      }
+      
+      if (error.status === 400 || error.type === 'invalid_request_error') {
+        throw wrapAIError('Invalid image format for AI processing. Please ensure the image is clear and readable.', error);
+      }
+    }
+    
+    const errorMessage = (error && error.message) ? error.message : String(error);
+    throw wrapAIError(`AI image extraction failed: ${errorMessage}`, error);
+  }
+}
+
+async function extractTextWithAI(text, { provider, model, onProgress, documentType, onAttempt }) {
+  try {
+    const structured = await extractStructuredData(
+      (schema) => provider.textToStructured(text, { model, schema, onAttempt }),
+      documentType,
+      onProgress,
+    );
+
+    return {
+      ...structured,
+      rawText: text,
+    };
+  } catch (error) {
+    console.error('Text AI extraction error:', error);
+    
+    if (error && typeof error === 'object') {
+      if (error.status === 429 || error.type === 'insufficient_quota') {
+        throw wrapAIError(`AI service quota exceeded for text processing. Please check your ${provider.label} account limits.`, error);
+      }
+      
+      if (error.status === 400 && (error.code === 'context_length_exceeded' || error.type === 'invalid_request_error')) {
+        throw wrapAIError('Text content too large for AI processing. Please try with a smaller document.', error);
+      }
+    }
+    
+    const errorMessage = (error && error.message) ? error.message : String(error);
+    throw wrapAIError(`AI text extraction failed: ${errorMessage}`, error);
+  }
+}
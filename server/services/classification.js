@@ -0,0 +1,194 @@
+// Classifies an upload into one of the documentCategories before any fields are
+// extracted, so the AI path can use the category's schema.
+//
+// The heuristic works on the standard extraction alone: weighted keywords in
+// the text, plus layout evidence such as a machine-readable zone, table headers
+// and runs of date-led transaction lines. With processingMethod "ai" the
+// provider classifies the same text and the heuristic is the fallback.
+
+import { resolveConfiguredAiProvider } from "./providers/index.js";
+import { categoryInstructions } from "./providers/prompts.js";
+import { documentCategories, findDocumentCategory } from "../../shared/schema.js";
+
+// Evidence at which the best category is trusted fully
+const STRONG_EVIDENCE = 6;
+// Below this the document is "other"
+const MIN_CONFIDENCE = 0.35;
+// Lines starting with a date, as on a statement's transaction list
+const TRANSACTION_LINE = /^\s*(\d{1,2}[\/\-. ]\d{1,2}[\/\-. ]\d{2,4}|\d{4}-\d{2}-\d{2}|\d{1,2} [a-z]{3,9}( \d{2,4})?)\s+\S/;
+const MIN_TRANSACTION_LINES = 5;
+// The start of a document says what it is; the model does not need all of it
+const MAX_AI_CLASSIFICATION_CHARS = 8000;
+
+// [pattern, weight]: weight 3 names the document, 1 is merely typical of it
+const KEYWORDS = {
+  id: [
+    [/\bidentity (document|card)\b/, 3],
+    [/\bsmart id\b/, 3],
+    [/\bnational identity\b/, 3],
+    [/\b(id|identity) (no|number)\b/, 2],
+    [/\brepublic of south africa\b/, 1],
+    [/\bcountry of birth\b/, 1],
+    [/\bnationality\b/, 1],
+    [/\bdate of issue\b/, 1],
+  ],
+  passport: [
+    [/\bpass(port|eport|aporte)\b/, 3],
+    [/\bpassport (no|number)\b/, 2],
+    [/\bplace of birth\b/, 1],
+    [/\bdate of expiry\b/, 1],
+    [/\bissuing authority\b/, 1],
+    [/\bnationality\b/, 1],
+  ],
+  invoice: [
+    [/\b(tax )?invoice\b/, 3],
+    [/\binvoice (no|number|date)\b/, 2],
+    [/\bbill to\b/, 2],
+    [/\b(amount|balance) due\b/, 2],
+    [/\bsub ?total\b/, 1],
+    [/\bunit price\b/, 1],
+    [/\bqty\b|\bquantity\b/, 1],
+    [/\bvat\b/, 1],
+    [/\bdue date\b/, 1],
+  ],
+  bank_statement: [
+    [/\bbank statement\b/, 3],
+    [/\bstatement (period|date)\b/, 2],
+    [/\b(opening|closing) balance\b/, 2],
+    [/\bbalance brought forward\b/, 2],
+    [/\bbranch code\b/, 1],
+    [/\baccount (no|number)\b/, 1],
+    [/\btransactions?\b/, 1],
+    [/\bdebits?\b/, 1],
+    [/\bcredits?\b/, 1],
+  ],
+  utility_bill: [
+    [/\b(electricity|water|gas|municipal) (account|bill|statement)\b/, 3],
+    [/\butility bill\b/, 3],
+    [/\bmeter (no|number|reading)\b/, 2],
+    [/\b(previous|current) reading\b/, 2],
+    [/\bkwh\b/, 2],
+    [/\b(service|supply|property) address\b/, 1],
+    [/\b(refuse|sewerage|sanitation|rates)\b/, 1],
+    [/\belectricity\b|\bwater\b/, 1],
+    [/\baccount (no|number)\b/, 1],
+  ],
+  payslip: [
+    [/\bpay ?slip\b|\bsalary advice\b/, 3],
+    [/\b(gross|net) (pay|salary)\b/, 2],
+    [/\bpay (period|date)\b/, 2],
+    [/\bbasic salary\b/, 2],
+    [/\bdeductions\b/, 1],
+    [/\bearnings\b/, 1],
+    [/\bpaye\b|\buif\b/, 1],
+    [/\bemployee (no|number|code)\b/, 1],
+  ],
+};
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\S\n]+/g, ' ');
+}
+
+function layoutEvidence(text, { mrz, tables }) {
+  const evidence = {};
+  const add = (category, weight) => { evidence[category] = (evidence[category] || 0) + weight; };
+
+  // Only travel documents and ID cards have a machine-readable zone
+  if (mrz) add(mrz.documentType.startsWith('P') ? 'passport' : 'id', mrz.valid ? STRONG_EVIDENCE : 3);
+
+  for (const table of tables) {
+    const header = normalize((table.rows[0] || []).join(' '));
+    if (/\bbalance\b/.test(header)) add('bank_statement', 2);
+    if (/\b(qty|quantity|unit price)\b/.test(header)) add('invoice', 2);
+    if (/\b(earnings|deductions)\b/.test(header)) add('payslip', 2);
+  }
+
+  const transactionLines = text.split('\n').filter((line) => TRANSACTION_LINE.test(line)).length;
+  if (transactionLines >= MIN_TRANSACTION_LINES) add('bank_statement', 2);
+
+  return evidence;
+}
+
+function roundConfidence(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Classify a document from its standard extraction.
+ *
+ * Each category scores the weights of its keywords found in the text plus the
+ * layout evidence. Confidence grows with the winning score (full at
+ * STRONG_EVIDENCE) and shrinks with the runner-up's share of it, so a document
+ * that reads like both an invoice and a statement is not trusted much.
+ *
+ * @param {string} text - Standard extraction text
+ * @param {Object} [layout]
+ * @param {Mrz|null} [layout.mrz] - Machine-readable zone, if one was found
+ * @param {DocumentTable[]} [layout.tables] - Tables found in the document
+ * @returns {DocumentClassification} Category, confidence and the score of every category
+ */
+export function classifyByHeuristics(text, { mrz = null, tables = [] } = {}) {
+  const normalized = normalize(text);
+  const evidence = layoutEvidence(normalized, { mrz, tables });
+
+  const scores = {};
+  for (const [category, keywords] of Object.entries(KEYWORDS)) {
+    const keywordScore = keywords.reduce((sum, [pattern, weight]) => sum + (pattern.test(normalized) ? weight : 0), 0);
+    scores[category] = keywordScore + (evidence[category] || 0);
+  }
+
+  const [[best, top], [, second]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const confidence = top > 0 ? ((top - second) / top) * Math.min(1, top / STRONG_EVIDENCE) : 0;
+
+  if (confidence < MIN_CONFIDENCE) {
+    return { category: 'other', confidence: roundConfidence(1 - confidence), method: 'heuristic', scores };
+  }
+  return { category: best, confidence: roundConfidence(confidence), method: 'heuristic', scores };
+}
+
+/**
+ * Classify a document's text with an AI provider.
+ *
+ * @param {string} text - Standard extraction text; only the start is sent
+ * @param {Object} [options]
+ * @param {string} [options.provider] - "openai", "gemini" or "mock"; AI_PROVIDER when empty
+ * @param {string} [options.model] - Model name; the provider's default when empty
+ * @param {(attempt: AiAttempt) => void} [options.onAttempt] - Receives every try of the provider call
+ * @returns {Promise<DocumentClassification|null>} The model's answer, or null without a known category and a confidence
+ * @throws {Error} When the provider has no API key or the request fails
+ */
+export async function classifyWithAI(text, { provider: providerId, model: requestedModel, onAttempt } = {}) {
+  const { provider, model } = resolveConfiguredAiProvider(providerId, requestedModel);
+
+  const answer = await provider.textToStructured(text.slice(0, MAX_AI_CLASSIFICATION_CHARS), {
+    model,
+    onAttempt,
+    schema: {
+      name: 'document_category',
+      instructions: categoryInstructions(documentCategories),
+      jsonSchema: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', enum: documentCategories.map(({ id }) => id) },
+          confidence: { type: 'number', description: 'How sure you are, from 0 to 1' },
+        },
+        required: ['category', 'confidence'],
+        additionalProperties: false,
+      },
+    },
+  });
+
+  const confidence = Number(answer.confidence);
+  if (!findDocumentCategory(answer.category) || answer.confidence === null || !Number.isFinite(confidence)) return null;
+  return {
+    category: answer.category,
+    confidence: roundConfidence(Math.min(1, Math.max(0, confidence))),
+    method: 'ai',
+    provider: provider.id,
+    model,
+  };
+}
@@ -0,0 +1,64 @@
+// Dates as they are written in documents: ISO, day-first or month-first with
+// slashes, dots or dashes, and with month names in English, Afrikaans, French
+// and Portuguese.
+
+const MONTHS = new Map(Object.entries({
+  jan: 1, january: 1, januarie: 1, janvier: 1, janeiro: 1,
+  feb: 2, february: 2, februarie: 2, fevrier: 2, fevereiro: 2,
+  mar: 3, march: 3, maart: 3, mars: 3, marco: 3,
+  apr: 4, april: 4, avril: 4, abril: 4,
+  may: 5, mei: 5, mai: 5, maio: 5,
+  jun: 6, june: 6, junie: 6, juin: 6, junho: 6,
+  jul: 7, july: 7, julie: 7, juillet: 7, julho: 7,
+  aug: 8, august: 8, augustus: 8, aout: 8, agosto: 8,
+  sep: 9, sept: 9, september: 9, septembre: 9, setembro: 9,
+  oct: 10, october: 10, okt: 10, oktober: 10, octobre: 10, out: 10, outubro: 10,
+  nov: 11, november: 11, novembre: 11, novembro: 11,
+  dec: 12, december: 12, des: 12, desember: 12, decembre: 12, dez: 12, dezembro: 12,
+}));
+
+const DATE_PATTERNS = [
+  // 1990-05-15, 1990/05/15
+  { regex: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g, parts: (m) => [[m[1], m[2], m[3]]] },
+  // 15/05/1990 is read both ways, so 05/15/1990 also matches
+  { regex: /\b(\d{1,2})[-/. ](\d{1,2})[-/. ](\d{4})\b/g, parts: (m) => [[m[3], m[2], m[1]], [m[3], m[1], m[2]]] },
+  // 15 May 1990, 15 Mei 1990, 15-MAY-1990
+  { regex: /\b(\d{1,2})(?:st|nd|rd|th)?[\s.-]+(\p{L}{3,})\.?[\s,.-]+(\d{4})\b/gu, parts: (m) => [[m[3], m[2], m[1]]] },
+  // May 15, 1990
+  { regex: /\b(\p{L}{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/gu, parts: (m) => [[m[3], m[1], m[2]]] },
+];
+
+function normalize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function toIsoDate(year, month, day) {
+  const [y, m, d] = [Number(year), Number(month), Number(day)];
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Every date written in the text, as {text, index, dates}: the text as written,
+ * where it starts and the ISO dates it can mean (two for 05/06/1990, day first).
+ *
+ * @param {string} text - Text to search
+ * @returns {{text: string, index: number, dates: string[]}[]} Dates by pattern, not in text order
+ */
+export function findDates(text) {
+  const found = [];
+  for (const { regex, parts } of DATE_PATTERNS) {
+    for (const match of String(text).matchAll(regex)) {
+      const dates = parts(match).map(([year, month, day]) => {
+        const monthNumber = /^\d+$/.test(month) ? Number(month) : MONTHS.get(normalize(month));
+        return monthNumber ? toIsoDate(year, monthNumber, day) : null;
+      }).filter(Boolean);
+      if (dates.length) found.push({ text: match[0], index: match.index, dates: [...new Set(dates)] });
+    }
+  }
+  return found;
+}
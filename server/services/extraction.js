@@ -1,101 +1,350 @@
-import { createWorker } from 'tesseract.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { ocrPool } from './ocr-pool.js';
+import { resolveOcrLanguages } from './ocr-languages.js';
+import { preprocessImage, resolvePreprocessingSteps } from './image-preprocessing.js';
+import { readDocx, readImagePages, readPlainText } from './format-readers.js';
+import { detectTables } from './table-detection.js';
+import { findDocumentFormat } from '../../shared/formats.js';
+import { buildTextLayerBlocks, reconstructPageText } from './pdf-layout.js';
+import { readPdfAnnotations, readPdfMetadata } from './pdf-forms.js';
+import { isPdfPasswordError, loadPdfDocument } from './pdf-document.js';
+import { isPageRangeError, selectPages } from './page-selection.js';
+import { parseMrz } from './mrz.js';
+
+// PDF pages are rendered at 72 DPI x scale before OCR; 2.5 is 180 DPI
+const OCR_RENDER_SCALE = 2.5;
+
+/**
+ * Extract text from a PDF, image, Word document or text file.
+ *
+ * PDFs are read with pdfjs-dist (OCR for scanned pages), images with Tesseract
+ * (one pass per page of a multi-page TIFF), DOCX with mammoth and text files as
+ * they are. Formats come from shared/formats.js.
+ *
+ * @param {string} filePath - Uploaded file path
+ * @param {string} mimeType - File MIME type
+ * @param {Object} [options]
+ * @param {(event: Object) => void} [options.onProgress] - Receives pdf_page_parsed, image_page_parsed,
+ *   image_preprocessed, ocr_language_detected and ocr_progress events
+ * @param {'plain'|'layout'} [options.textLayout='plain'] - How PDF text-layer lines are reconstructed
+ * @param {string} [options.language='eng'] - OCR languages ('afr+eng') or 'auto' to detect the script first
+ * @param {string} [options.preprocessing='none'] - Image cleanup before OCR: 'none', 'auto' or e.g. 'orient,deskew'
+ * @param {boolean} [options.comparePreprocessing=false] - Also OCR the untouched image to compare confidence
+ * @param {string} [options.pdfPassword] - Password for a password-protected PDF
+ * @param {string} [options.pages] - Pages of PDFs and multi-page images to read, e.g. "1-3,7"; every page when empty
+ * @returns {Promise<{text: string, pageTexts: PageText[], pageSources: {pageNumber: number, source: 'text'|'ocr'|'error', languages?: string, script?: string|null, preprocessing?: PreprocessingReport}[], pageLayouts: PageLayout[], tables: DocumentTable[], mrz: Mrz|null, pdfMetadata?: PdfMetadata|null, formFields?: PdfFormField[], annotations?: PdfAnnotation[]}>}
+ *   Text of all read pages, separated by blank lines, and of each page; per page, whether it came from a
+ *   text layer (DOCX and text files are one text page) or OCR
+ *   (with the OCR languages used, in auto mode the detected script, and what
+ *   preprocessing did); the blocks, lines and words of each page with their
+ *   boxes and confidence; the tables found on the pages; the machine-readable
+ *   zone of a passport or ID card; and for PDFs the document information, form
+ *   field values and annotations
+ * @throws {Error} With code PDF_PASSWORD_REQUIRED or PDF_PASSWORD_INCORRECT when a PDF cannot be unlocked,
+ *   or PAGE_RANGE_OUT_OF_BOUNDS when a requested page is past the end of the document
+ */
+export async function extractTextFromDocument(filePath, mimeType, { onProgress = () => {}, textLayout = 'plain', language = 'eng', preprocessing = 'none', comparePreprocessing = false, pdfPassword, pages } = {}) {
+  const ocrOptions = { language, preprocessingSteps: resolvePreprocessingSteps(preprocessing), comparePreprocessing };
 
-export async function extractTextFromDocument(filePath, mimeType) {
   try {
-    // Route to appropriate extraction method based on file type
-    if (mimeType === 'application/pdf') {g
-      return await extractTextFromPDF(filePath);
-    } else if (mimeType.startsWith('image/')) {
-      return await extractTextFromImage(filePath);
+    // Route to appropriate extraction method based on the file's format
+    const format = findDocumentFormat(mimeType);
+    if (format?.kind === 'pdf') {
+      return withMrz(withDetectedTables(await extractTextFromPDF(filePath, onProgress, textLayout, ocrOptions, pdfPassword, pages)));
+    } else if (format?.kind === 'image') {
+      return withMrz(withDetectedTables(await extractTextFromImageFile(filePath, format, onProgress, ocrOptions, pages)));
+    } else if (format?.kind === 'document') {
+      // Word and text files are read as one page
+      selectPages(pages, 1);
+      const { text, tables } = await readDocx(filePath);
+      return withMrz({ ...toTextPageResult(text), tables });
+    } else if (format?.kind === 'text') {
+      selectPages(pages, 1);
+      return withMrz({ ...toTextPageResult(await readPlainText(filePath)), tables: [] });
     } else {
       throw new Error(`Unsupported file type: ${mimeType}`);
     }
   } catch (error) {
     console.error('Text extraction error:', error);
+    if (isPdfPasswordError(error) || isPageRangeError(error)) throw error;
     throw new Error(`Failed to extract text: ${error instanceof Error ? error.message : String(error)}`);
   }
 }
 
-async function extractTextFromPDF(filePath) {
+async function extractTextFromPDF(filePath, onProgress, textLayout, ocrOptions, pdfPassword, pages) {
   try {
     console.log('Attempting PDF extraction from:', filePath);
     
     const pdfBuffer = await fs.readFile(filePath);
     console.log('PDF buffer size:', pdfBuffer.length, 'bytes');
     
-    // Import pdfjs-dist legacy build optimized for Node.js server environments
-    const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
-    
-    const loadingTask = pdfjsLib.getDocument({
-      data: new Uint8Array(pdfBuffer),
-      useSystemFonts: true, 
-    });
-    
     // Load PDF document and get basic metadata
-    const pdfDocument = await loadingTask.promise;
+    const pdfDocument = await loadPdfDocument(pdfBuffer, pdfPassword);
     console.log('PDF loaded successfully, pages:', pdfDocument.numPages);
+    const pageNumbers = selectPages(pages, pdfDocument.numPages);
     
-    let extractedText = '';
+    const pageTexts = [];
+    const pageSources = [];
+    const pageLayouts = [];
     
-    // Process each page sequentially with individual error handling
-    for (let pageNum = 1; pageNum <= pdfDocument.numPages; pageNum++) {
+    // Process each selected page sequentially with individual error handling
+    for (const [index, pageNum] of pageNumbers.entries()) {
       try {
         const page = await pdfDocument.getPage(pageNum);
         const textContent = await page.getTextContent();
         
-        // Reconstruct text from individual text items
-        const pageText = textContent.items
-          .map(item => item.str)
-          .join(' '); 
-        
-        if (pageText.trim()) {
-          extractedText += `\n--- Page ${pageNum} ---\n${pageText}\n`;
+        // Page coordinates in points, origin at the top-left corner
+        const viewport = page.getViewport({ scale: 1 });
+        const pageSize = { width: roundTo(viewport.width, 2), height: roundTo(viewport.height, 2), unit: 'pt' };
+
+        // Rebuild lines and reading order from the text items' positions
+        let pageText = reconstructPageText(textContent, textLayout);
+        let pageSource = { pageNumber: pageNum, source: 'text' };
+        let pageLayout = { ...pageSource, ...pageSize, confidence: 100, blocks: buildTextLayerBlocks(textContent, viewport) };
+
+        // Scanned pages have no text layer: render them and OCR the image instead
+        if (!pageText.trim()) {
+          console.log(`Page ${pageNum} has no text layer, running OCR`);
+          const image = await renderPageToPng(pdfDocument, page);
+          const { text, layout, ...ocrDetails } = await extractTextFromImage(image, (event) => onProgress({ ...event, page: pageNum }), ocrOptions);
+          pageText = text;
+          pageSource = { pageNumber: pageNum, source: 'ocr', ...ocrDetails };
+          // The page was rendered at OCR_RENDER_SCALE, so scale its pixel boxes back to points
+          pageLayout = { pageNumber: pageNum, source: 'ocr', ...pageSize, confidence: layout.confidence, blocks: scaleBlocks(layout.blocks, 1 / OCR_RENDER_SCALE) };
         }
+        
+        // A scanned page OCR found no text on is still listed, with empty text
+        pageTexts.push({ pageNumber: pageNum, text: pageText.trim() });
+        pageSources.push(pageSource);
+        pageLayouts.push(pageLayout);
       } catch (pageError) {
         // Handle individual page errors gracefully - continue with other pages
         console.error(`Error extracting text from page ${pageNum}:`, pageError);
-        extractedText += `\n--- Page ${pageNum} ---\n[Error extracting text from this page]\n`;
+        pageTexts.push({ pageNumber: pageNum, text: '' });
+        pageSources.push({ pageNumber: pageNum, source: 'error' });
         // Don't throw here - partial extraction is better than total failure
       }
+      onProgress({ type: 'pdf_page_parsed', page: pageNum, totalPages: pdfDocument.numPages, parsedPages: index + 1, selectedPages: pageNumbers.length });
     }
     
-   
-    extractedText = extractedText.trim();
+    const extractedText = joinPageTexts(pageTexts);
     
     if (!extractedText || extractedText.length === 0) {
       throw new Error('No text content found in PDF document');
     }
     
     console.log('PDF text extraction successful, text length:', extractedText.length, 'characters');
-    return extractedText;
+
+    // Form fields and metadata are extras: a PDF whose forms pdfjs cannot read still has its text
+    let pdfMetadata = null;
+    let formFields = [];
+    let annotations = [];
+    try {
+      pdfMetadata = await readPdfMetadata(pdfDocument);
+      ({ formFields, annotations } = await readPdfAnnotations(pdfDocument, pageNumbers));
+    } catch (formError) {
+      console.error('Error reading PDF metadata, form fields or annotations:', formError);
+    }
+
+    return { text: extractedText, pageTexts, pageSources, pageLayouts, pdfMetadata, formFields, annotations };
     
   } catch (error) {
     console.error('PDF extraction error:', error);
+    if (isPdfPasswordError(error) || isPageRangeError(error)) throw error;
     throw new Error(`Failed to extract text from PDF: ${error.message}`);
   }
 }
 
+// Images are OCR'd page by page; a single-page image fails as a whole when it cannot be read
+async function extractTextFromImageFile(filePath, format, onProgress, ocrOptions, pages) {
+  const images = await readImagePages(filePath, format);
+  const pageNumbers = selectPages(pages, images.length);
+
+  if (images.length === 1) {
+    const { text, layout, ...ocrDetails } = await extractTextFromImage(images[0].image, onProgress, ocrOptions);
+    return {
+      text,
+      pageTexts: [{ pageNumber: 1, text }],
+      pageSources: [{ pageNumber: 1, source: 'ocr', ...ocrDetails }],
+      pageLayouts: [{ pageNumber: 1, source: 'ocr', unit: 'px', ...layout }],
+    };
+  }
+
+  const pageTexts = [];
+  const pageSources = [];
+  const pageLayouts = [];
+
+  for (const [index, pageNum] of pageNumbers.entries()) {
+    try {
+      const { text, layout, ...ocrDetails } = await extractTextFromImage(images[pageNum - 1].image, (event) => onProgress({ ...event, page: pageNum }), ocrOptions);
+      pageTexts.push({ pageNumber: pageNum, text });
+      pageSources.push({ pageNumber: pageNum, source: 'ocr', ...ocrDetails });
+      pageLayouts.push({ pageNumber: pageNum, source: 'ocr', unit: 'px', ...layout });
+    } catch (pageError) {
+      // Same as PDF pages: one unreadable page does not lose the others
+      console.error(`Error extracting text from image page ${pageNum}:`, pageError);
+      pageTexts.push({ pageNumber: pageNum, text: '' });
+      pageSources.push({ pageNumber: pageNum, source: 'error' });
+    }
+    onProgress({ type: 'image_page_parsed', page: pageNum, totalPages: images.length, parsedPages: index + 1, selectedPages: pageNumbers.length });
+  }
+
+  return { text: joinPageTexts(pageTexts), pageTexts, pageSources, pageLayouts };
+}
+
+// The whole-document text: pages in order, separated by a blank line
+function joinPageTexts(pageTexts) {
+  return pageTexts.map((page) => page.text).filter(Boolean).join('\n\n');
+}
+
+// Tables are found from the word boxes of the page model, for text-layer and OCR pages alike
+function withDetectedTables(result) {
+  return { ...result, tables: detectTables(result.pageLayouts) };
+}
+
+// The first page with a machine-readable zone, usually the photo page of a passport
+function withMrz(result) {
+  for (const page of result.pageTexts) {
+    const mrz = parseMrz(page.text);
+    if (mrz) return { ...result, mrz: { ...mrz, pageNumber: page.pageNumber } };
+  }
+  return { ...result, mrz: null };
+}
+
+// DOCX and text files have no page geometry: their text is a single text page without a layout
+function toTextPageResult(text) {
+  if (!text.trim()) {
+    throw new Error('No text content found in document');
+  }
+  return { text: text.trim(), pageTexts: [{ pageNumber: 1, text: text.trim() }], pageSources: [{ pageNumber: 1, source: 'text' }], pageLayouts: [] };
+}
+
+// Rasterize a PDF page with pdfjs' Node canvas (@napi-rs/canvas) for OCR
+async function renderPageToPng(pdfDocument, page) {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const { canvas, context } = pdfDocument.canvasFactory.create(viewport.width, viewport.height);
+  try {
+    await page.render({ canvasContext: context, viewport, canvas }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    pdfDocument.canvasFactory.destroy({ canvas, context });
+  }
+}
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function roundBox({ x0, y0, x1, y1 }) {
+  return { x0: roundTo(x0, 2), y0: roundTo(y0, 2), x1: roundTo(x1, 2), y1: roundTo(y1, 2) };
+}
+
+// Apply mapBox to the box of every block, line and word
+function mapBlocks(blocks, mapBox) {
+  return blocks.map((block) => ({
+    ...block,
+    bbox: roundBox(mapBox(block.bbox)),
+    lines: block.lines.map((line) => ({
+      ...line,
+      bbox: roundBox(mapBox(line.bbox)),
+      words: line.words.map((word) => ({ ...word, bbox: roundBox(mapBox(word.bbox)) })),
+    })),
+  }));
+}
+
+function scaleBlocks(blocks, scale) {
+  return mapBlocks(blocks, ({ x0, y0, x1, y1 }) => ({ x0: x0 * scale, y0: y0 * scale, x1: x1 * scale, y1: y1 * scale }));
+}
+
+/**
+ * Convert Tesseract's result to the page model.
+ *
+ * Tesseract nests lines in paragraphs inside blocks; paragraphs are flattened
+ * so OCR pages have the same blocks/lines/words shape as the PDF text layer.
+ * The image size comes from the page row of the TSV output.
+ */
+function toOcrPageLayout(data) {
+  const [pageRow = ''] = (data.tsv || '').split('\n');
+  const [, , , , , , , , width, height] = pageRow.split('\t').map(Number);
+
+  return {
+    width: width || null,
+    height: height || null,
+    confidence: roundTo(data.confidence, 1),
+    blocks: (data.blocks || []).map((block) => ({
+      bbox: block.bbox,
+      confidence: roundTo(block.confidence, 1),
+      lines: block.paragraphs.flatMap((paragraph) => paragraph.lines).map((line) => ({
+        bbox: line.bbox,
+        confidence: roundTo(line.confidence, 1),
+        text: line.text.trim(),
+        words: line.words.map((word) => ({ text: word.text, bbox: word.bbox, confidence: roundTo(word.confidence, 1) })),
+      })),
+    })),
+  };
+}
+
+// Accepts a file path or an image buffer; resolves with the text, the OCR languages used,
+// what preprocessing did and the page model (in pixels of the image as given, even when
+// preprocessing turned or enlarged the copy that was read)
+async function extractTextFromImage(image, onProgress, { language = 'eng', preprocessingSteps = [], comparePreprocessing = false } = {}) {
+  let lastPercent = -1;
 
-async function extractTextFromImage(filePath) {
-  let worker = null;
-  
   try {
-    worker = await createWorker('eng');
-  
+    let ocrImage = image;
+    let preprocessing = null;
+    let preprocessed = null;
+    if (preprocessingSteps.length > 0) {
+      preprocessed = await preprocessImage(image, preprocessingSteps);
+      ocrImage = preprocessed.image;
+      preprocessing = preprocessed.report;
+      onProgress({ type: 'image_preprocessed', ...preprocessing });
+    }
+
+    const { languages, script } = await resolveOcrLanguages(ocrImage, language);
+    if (language === 'auto') {
+      onProgress({ type: 'ocr_language_detected', script, languages });
+    }
+
     // Tesseract automatically handles various image formats and preprocessing
-    const { data: { text } } = await worker.recognize(filePath);
-  
-    return text.trim();
+    const data = await ocrPool.recognize(ocrImage, {
+      langs: languages,
+      output: { text: true, blocks: true, tsv: true },
+      // Report recognition progress once per whole percent to keep the event stream small
+      onLog: ({ status, progress }) => {
+        const percent = Math.floor(progress * 100);
+        if (status === 'recognizing text' && percent !== lastPercent) {
+          lastPercent = percent;
+          onProgress({ type: 'ocr_progress', percent });
+        }
+      },
+    });
+
+    if (preprocessing) {
+      preprocessing.confidence = roundTo(data.confidence, 1);
+      if (comparePreprocessing) {
+        // Same languages on the untouched image, so only the preprocessing differs
+        const original = await ocrPool.recognize(image, { langs: languages });
+        preprocessing.originalConfidence = roundTo(original.confidence, 1);
+      }
+    }
+
+    const layout = toOcrPageLayout(data);
+    return {
+      text: data.text.trim(),
+      layout: preprocessed
+        ? { ...layout, ...preprocessed.original, blocks: mapBlocks(layout.blocks, preprocessed.toOriginal) }
+        : layout,
+      languages,
+      ...(language === 'auto' && { script }),
+      ...(preprocessing && { preprocessing }),
+    };
   } catch (error) {
     // Log OCR-specific errors for debugging
     console.error('OCR extraction error:', error);
-    throw new Error('Failed to extract text from image using OCR');
-  } finally {
-    // Tesseract workers consume significant memory and must be terminated
-    if (worker) {
-      await worker.terminate();
-    }
+    // Tesseract rejects with strings, e.g. when a language's data file is missing
+    throw new Error(`Failed to extract text from image using OCR: ${error instanceof Error ? error.message : String(error)}`);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import sharp from 'sharp';
+import mammoth from 'mammoth';
+
+// Formats Tesseract and the vision model both read as they are; everything else is converted to PNG
+const NATIVE_IMAGE_FORMATS = ['jpeg', 'png'];
+
+/**
+ * Read an uploaded image as one image per page.
+ *
+ * JPEG and PNG are passed through untouched. Multi-page TIFFs give one PNG per
+ * page; WebP and HEIC are converted to PNG. HEIC photos from phones are HEVC
+ * coded, which sharp's bundled libvips cannot decode, so those go through
+ * libheif (WebAssembly) instead.
+ *
+ * @param {string} filePath - Uploaded file path
+ * @param {DocumentFormat} format - Format from shared/formats.js
+ * @returns {Promise<{image: Buffer, mimeType: string}[]>} Pages in order
+ */
+export async function readImagePages(filePath, format) {
+  const data = await fs.readFile(filePath);
+
+  if (NATIVE_IMAGE_FORMATS.includes(format.id)) {
+    return [{ image: data, mimeType: format.mimeTypes[0] }];
+  }
+
+  if (format.id === 'heic') {
+    return [{ image: await heicToPng(data), mimeType: 'image/png' }];
+  }
+
+  const { pages = 1 } = await sharp(data).metadata();
+  const images = [];
+  for (let page = 0; page < pages; page++) {
+    images.push({ image: await sharp(data, { page }).png().toBuffer(), mimeType: 'image/png' });
+  }
+  return images;
+}
+
+async function heicToPng(data) {
+  try {
+    // AVIF-coded HEIF files decode with sharp directly
+    return await sharp(data).png().toBuffer();
+  } catch {
+    const { default: decodeHeic } = await import('heic-decode');
+    const { width, height, data: pixels } = await decodeHeic({ buffer: data }).catch((error) => {
+      throw new Error(`Could not decode HEIC image: ${error.message}`);
+    });
+    return sharp(Buffer.from(pixels), { raw: { width, height, channels: 4 } }).png().toBuffer();
+  }
+}
+
+/**
+ * Read the text and tables of a Word document.
+ *
+ * Paragraphs become lines. Table rows become lines with cells separated by
+ * tabs, like table rows rebuilt from PDFs, with a blank line around the table.
+ * Tables are also returned as rows of cells, since Word marks them exactly.
+ *
+ * @param {string} filePath - Uploaded .docx path
+ * @returns {Promise<{text: string, tables: DocumentTable[]}>} Document text and tables
+ */
+export async function readDocx(filePath) {
+  let document = null;
+  // mammoth has no public API for its document tree; transformDocument is handed it before HTML conversion
+  await mammoth.convertToHtml({ path: filePath }, {
+    transformDocument: (element) => {
+      document = element;
+      return element;
+    },
+  });
+
+  const text = document.children
+    .map((element) => (element.type === 'table' ? `\n${tableText(element)}\n` : inlineText(element)))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const tables = document.children
+    .filter((element) => element.type === 'table')
+    .map((table) => {
+      const rows = tableRows(table);
+      const columnCount = Math.max(...rows.map((row) => row.length));
+      return {
+        pageNumber: 1,
+        source: 'text',
+        bbox: null,
+        columnCount,
+        confidence: 100,
+        rows: rows.map((row) => [...row, ...Array(columnCount - row.length).fill('')]),
+      };
+    })
+    .filter((table) => table.rows.length > 0);
+
+  return { text, tables };
+}
+
+function tableRows(table) {
+  return table.children
+    .filter((row) => row.type === 'tableRow')
+    .map((row) => row.children.map((cell) => cellText(cell)));
+}
+
+function tableText(table) {
+  return tableRows(table).map((row) => row.join('\t')).join('\n');
+}
+
+// A cell's paragraphs (and any nested table) are kept on the row's line
+function cellText(cell) {
+  return cell.children
+    .map((element) => (element.type === 'table' ? tableText(element).replace(/[\t\n]+/g, ' ') : inlineText(element)))
+    .filter(Boolean)
+    .join(' ')
+    .replace(/[\t\n]+/g, ' ')
+    .trim();
+}
+
+function inlineText(element) {
+  switch (element.type) {
+    case 'text':
+      return element.value;
+    case 'tab':
+      return '\t';
+    case 'break':
+      return '\n';
+    default:
+      return (element.children || []).map(inlineText).join('');
+  }
+}
+
+/**
+ * Read a plain-text upload as UTF-8 (a leading byte order mark is dropped).
+ *
+ * @param {string} filePath - Uploaded .txt path
+ * @returns {Promise<string>} File contents
+ */
+export async function readPlainText(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  return text.replace(/^\uFEFF/, '');
+}
@@ -0,0 +1,298 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import sharp from 'sharp';
+import { ocrPool } from './ocr-pool.js';
+import { autoPreprocessingSteps } from '../../shared/schema.js';
+
+// Images whose longest side is below this are upscaled (at most 3x) so text is tall enough for Tesseract
+const UPSCALE_TARGET_SIZE = 1000;
+const MAX_UPSCALE_FACTOR = 3;
+// OSD orientation confidence needed before an image is turned
+const MIN_ORIENTATION_CONFIDENCE = 5;
+const ORIENTATION_ANALYSIS_SIZE = 1200;
+// Lighting is estimated with a blur whose sigma is this fraction of the longest side
+const BACKGROUND_BLUR_DIVISOR = 30;
+// Skew search range and precision in degrees
+const MAX_SKEW_ANGLE = 10;
+const SKEW_ANALYSIS_WIDTH = 1000;
+// Bradley-Roth adaptive threshold: window is 1/8 of the width, pixels 15% darker than their surroundings are text
+const THRESHOLD_WINDOW_DIVISOR = 8;
+const THRESHOLD_PERCENT = 15;
+
+// Set PREPROCESSED_IMAGES_DIR to keep preprocessed images on the server for debugging; they are never served
+const PREPROCESSED_IMAGES_DIR = process.env.PREPROCESSED_IMAGES_DIR ? path.resolve(process.env.PREPROCESSED_IMAGES_DIR) : null;
+const PREPROCESSED_IMAGE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn the request's preprocessing value into a list of steps.
+ *
+ * @param {string} preprocessing - 'none', 'auto' or comma-separated step names
+ * @returns {string[]} Steps to apply; empty when preprocessing is off
+ */
+export function resolvePreprocessingSteps(preprocessing = 'none') {
+  if (preprocessing === 'none') return [];
+  if (preprocessing === 'auto') return autoPreprocessingSteps;
+  return preprocessing.split(',').map((step) => step.trim()).filter(Boolean);
+}
+
+async function toGreyscaleRaw(pipeline) {
+  const { data, info } = await pipeline.greyscale().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+function fromGreyscaleRaw({ data, width, height }) {
+  return sharp(data, { raw: { width, height, channels: 1 } });
+}
+
+/**
+ * Estimate the skew of text lines in degrees (positive when lines slope down to the right).
+ *
+ * Projects dark pixels onto the vertical axis at each candidate angle; when the
+ * angle matches the text lines, the projection has sharp peaks and gaps, which
+ * maximizes the sum of squared differences between neighbouring rows.
+ */
+async function estimateSkewAngle(image) {
+  // Analyse a smoothed, locally binarized copy so noise and uneven lighting do not count as text
+  const { data, width, height } = adaptiveThreshold(await toGreyscaleRaw(
+    sharp(image).resize({ width: SKEW_ANALYSIS_WIDTH, withoutEnlargement: true }).median(3)
+  ));
+
+  const darkPixels = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] === 0) darkPixels.push(x, y);
+    }
+  }
+  if (darkPixels.length < 200) return 0;
+
+  const score = (angle) => {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const offset = Math.ceil(width * Math.abs(sin)) + 1;
+    const rows = new Float64Array(height + 2 * offset + 2);
+    for (let i = 0; i < darkPixels.length; i += 2) {
+      rows[Math.round(darkPixels[i + 1] * cos - darkPixels[i] * sin) + offset]++;
+    }
+    let total = 0;
+    for (let r = 1; r < rows.length; r++) total += (rows[r] - rows[r - 1]) ** 2;
+    return total;
+  };
+
+  // Coarse search in half degrees, then refine around the best angle in tenths
+  let best = 0;
+  let bestScore = score(0);
+  for (let angle = -MAX_SKEW_ANGLE; angle <= MAX_SKEW_ANGLE; angle += 0.5) {
+    const value = score(angle);
+    if (value > bestScore) [best, bestScore] = [angle, value];
+  }
+  const coarse = best;
+  for (let angle = coarse - 0.5; angle <= coarse + 0.5; angle += 0.1) {
+    const value = score(angle);
+    if (value > bestScore) [best, bestScore] = [angle, value];
+  }
+
+  return Math.round(best * 10) / 10;
+}
+
+// Bradley-Roth adaptive thresholding over an integral image, so uneven lighting does not swallow text
+function adaptiveThreshold({ data, width, height }) {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 1; y <= height; y++) {
+    let rowSum = 0;
+    for (let x = 1; x <= width; x++) {
+      rowSum += data[(y - 1) * width + (x - 1)];
+      integral[y * (width + 1) + x] = integral[(y - 1) * (width + 1) + x] + rowSum;
+    }
+  }
+
+  const half = Math.max(1, Math.floor(width / THRESHOLD_WINDOW_DIVISOR / 2));
+  const output = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const area = (x1 - x0) * (y1 - y0);
+      const windowSum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+        - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      output[y * width + x] = data[y * width + x] * area * 100 <= windowSum * (100 - THRESHOLD_PERCENT) ? 0 : 255;
+    }
+  }
+
+  return { data: output, width, height };
+}
+
+/**
+ * Even out lighting by dividing each pixel by the local background brightness.
+ *
+ * The background is a heavy blur of the page; text is thin enough not to darken
+ * it much, so paper comes out white everywhere while text keeps its contrast.
+ */
+async function flattenBackground(image) {
+  const { width, height } = await sharp(image).metadata();
+  const sigma = Math.max(width, height) / BACKGROUND_BLUR_DIVISOR;
+  const page = await toGreyscaleRaw(sharp(image));
+  const background = await toGreyscaleRaw(sharp(image).blur(sigma));
+
+  const data = Buffer.alloc(page.data.length);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.min(255, Math.round((page.data[i] * 255) / Math.max(1, background.data[i])));
+  }
+  return { data, width: page.width, height: page.height };
+}
+
+/**
+ * Save a preprocessed image to PREPROCESSED_IMAGES_DIR, removing copies older
+ * than a day. Nothing is saved when the directory is not set.
+ *
+ * @returns {Promise<string|null>} File name of the saved copy
+ */
+async function keepForDebugging(image) {
+  if (!PREPROCESSED_IMAGES_DIR) return null;
+  await fs.mkdir(PREPROCESSED_IMAGES_DIR, { recursive: true });
+
+  const cutoff = Date.now() - PREPROCESSED_IMAGE_RETENTION_MS;
+  for (const name of await fs.readdir(PREPROCESSED_IMAGES_DIR)) {
+    const file = path.join(PREPROCESSED_IMAGES_DIR, name);
+    const stats = await fs.stat(file).catch(() => null);
+    if (stats?.isFile() && stats.mtimeMs < cutoff) await fs.unlink(file).catch(() => {});
+  }
+
+  const imageFile = `${randomUUID()}.png`;
+  await fs.writeFile(path.join(PREPROCESSED_IMAGES_DIR, imageFile), image);
+  return imageFile;
+}
+
+// Where a point of the rotated image was before sharp turned it clockwise by angle degrees about its centre
+function unrotatePoint([x, y], { angle, from, to }) {
+  const radians = (angle * Math.PI) / 180;
+  const dx = x - to.width / 2;
+  const dy = y - to.height / 2;
+  return [
+    from.width / 2 + dx * Math.cos(radians) + dy * Math.sin(radians),
+    from.height / 2 - dx * Math.sin(radians) + dy * Math.cos(radians),
+  ];
+}
+
+/**
+ * Build the function that maps a box in the preprocessed image back to the
+ * original, undoing the geometric steps (upscale, orient, deskew) in reverse.
+ * A turned box is replaced by the bounding box of its corners.
+ */
+function boxMapper(transforms, original) {
+  const toOriginal = (point) => transforms.reduceRight((current, transform) => (transform.angle !== undefined
+    ? unrotatePoint(current, transform)
+    : [current[0] / transform.scaleX, current[1] / transform.scaleY]), point);
+  const clamp = (value, max) => Math.min(max, Math.max(0, value));
+
+  return ({ x0, y0, x1, y1 }) => {
+    const corners = [[x0, y0], [x1, y0], [x0, y1], [x1, y1]].map(toOriginal);
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    return {
+      x0: clamp(Math.min(...xs), original.width),
+      y0: clamp(Math.min(...ys), original.height),
+      x1: clamp(Math.max(...xs), original.width),
+      y1: clamp(Math.max(...ys), original.height),
+    };
+  };
+}
+
+/**
+ * Prepare a photo or scan for OCR.
+ *
+ * EXIF orientation is always applied. The requested steps then run in a fixed
+ * order: upscale (before filtering, which would erase thin strokes of small
+ * text), denoise (median filter), orient (Tesseract OSD), deskew, normalize
+ * (flatten uneven lighting, then stretch to the full range) and threshold
+ * (adaptive binarization). Geometry is fixed before the tone steps, which
+ * amplify noise the detectors would trip over. The result is kept in
+ * PREPROCESSED_IMAGES_DIR when that is set.
+ *
+ * @param {string|Buffer} image - File path or image data
+ * @param {string[]} steps - Steps to apply, from preprocessingSteps in shared/schema.js
+ * @returns {Promise<{image: Buffer, report: {steps: string[], rotation: number, skewAngle: number, scale: number, width: number, height: number, imageFile?: string},
+ *   original: {width: number, height: number}, toOriginal: (box: {x0: number, y0: number, x1: number, y1: number}) => {x0: number, y0: number, x1: number, y1: number}}>}
+ *   PNG image for OCR, what was done to it, the size of the image as shot, and a
+ *   function mapping boxes in the PNG to that image
+ */
+export async function preprocessImage(image, steps) {
+  const report = { steps: [], rotation: 0, skewAngle: 0, scale: 1 };
+  // Apply EXIF orientation first so every later step sees the image as it was shot
+  let current = await sharp(image).rotate().greyscale().png().toBuffer();
+  const original = await sharp(current).metadata().then(({ width, height }) => ({ width, height }));
+  // Geometric steps in the order they ran, to map OCR boxes back to the original
+  const transforms = [];
+  const turn = async (angle, options) => {
+    const from = await sharp(current).metadata();
+    current = await sharp(current).rotate(angle, options).png().toBuffer();
+    const to = await sharp(current).metadata();
+    transforms.push({ angle, from: { width: from.width, height: from.height }, to: { width: to.width, height: to.height } });
+  };
+
+  if (steps.includes('upscale')) {
+    const { width, height } = await sharp(current).metadata();
+    const scale = Math.min(MAX_UPSCALE_FACTOR, UPSCALE_TARGET_SIZE / Math.max(width, height));
+    if (scale > 1) {
+      const size = { width: Math.round(width * scale), height: Math.round(height * scale) };
+      current = await sharp(current).resize({ ...size, kernel: 'lanczos3' }).png().toBuffer();
+      transforms.push({ scaleX: size.width / width, scaleY: size.height / height });
+      report.scale = Math.round(scale * 100) / 100;
+    }
+    report.steps.push('upscale');
+  }
+
+  if (steps.includes('denoise')) {
+    current = await sharp(current).median(3).png().toBuffer();
+    report.steps.push('denoise');
+  }
+
+  if (steps.includes('orient')) {
+    // OSD binarizes globally and is easily thrown by noise and shading, so it looks at a
+    // smoothed, locally binarized copy at a size where characters are a few dozen pixels tall
+    const analysisCopy = await fromGreyscaleRaw(adaptiveThreshold(await toGreyscaleRaw(
+      sharp(current).median(3).resize({ width: ORIENTATION_ANALYSIS_SIZE, height: ORIENTATION_ANALYSIS_SIZE, fit: 'inside' })
+    ))).png().toBuffer();
+    const detection = await ocrPool.detectScript(analysisCopy).catch((error) => {
+      console.error('Orientation detection failed, keeping EXIF orientation:', error);
+      return null;
+    });
+    if (detection?.orientation && detection.orientationConfidence >= MIN_ORIENTATION_CONFIDENCE) {
+      await turn(detection.orientation);
+      report.rotation = detection.orientation;
+    }
+    report.steps.push('orient');
+  }
+
+  if (steps.includes('deskew')) {
+    const skewAngle = await estimateSkewAngle(current);
+    if (Math.abs(skewAngle) >= 0.2) {
+      await turn(-skewAngle, { background: '#ffffff' });
+      report.skewAngle = skewAngle;
+    }
+    report.steps.push('deskew');
+  }
+
+  if (steps.includes('normalize')) {
+    current = await fromGreyscaleRaw(await flattenBackground(current)).normalise().png().toBuffer();
+    report.steps.push('normalize');
+  }
+
+  if (steps.includes('threshold')) {
+    current = await fromGreyscaleRaw(adaptiveThreshold(await toGreyscaleRaw(sharp(current)))).png().toBuffer();
+    report.steps.push('threshold');
+  }
+
+  const { width, height } = await sharp(current).metadata();
+  const imageFile = await keepForDebugging(current);
+
+  return {
+    image: current,
+    report: { ...report, width, height, ...(imageFile && { imageFile }) },
+    original,
+    toOriginal: boxMapper(transforms, original),
+  };
+}
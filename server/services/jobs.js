@@ -0,0 +1,218 @@
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000; // keep finished jobs for an hour
+const MAX_EVENT_HISTORY = 500;
+// Queue-wide events; job events use the job's UUID as their name
+const IDLE_EVENT = "idle";
+const SHUTDOWN_EVENT = "shutdown";
+
+/**
+ * In-process job queue with bounded concurrency.
+ *
+ * Jobs move from queued to running to succeeded or failed. Each job records
+ * when it entered every state and every stage its task reported through the
+ * reporter passed to it. Finished jobs are forgotten after the retention period.
+ *
+ * Status changes, stage changes and the task's own progress events are kept in
+ * the job's event history and published to subscribers as they happen.
+ *
+ * On shutdown the queue stops taking jobs, fails the ones that have not
+ * started and waits for the running ones to finish.
+ */
+export class JobQueue {
+  constructor({ concurrency = DEFAULT_CONCURRENCY, retentionMs = DEFAULT_RETENTION_MS } = {}) {
+    this.concurrency = concurrency;
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.closed = false;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Queue a task.
+   *
+   * @param {(reporter: Object) => Promise<Object>} task - Work to run; resolves to the job result
+   * @param {Object} [metadata] - Safe-to-expose details shown with the job (e.g. file name)
+   * @param {Object} [options]
+   * @param {() => void} [options.onCancel] - Called if the job is dropped before it starts
+   * @returns {Object} The queued job
+   * @throws {Error} With statusCode 503 once the queue is shutting down
+   */
+  enqueue(task, metadata = {}, { onCancel } = {}) {
+    if (this.closed) {
+      throw shutdownError("The server is shutting down and is not accepting new jobs");
+    }
+
+    const job = {
+      id: randomUUID(),
+      status: "queued",
+      metadata,
+      stages: [],
+      events: [],
+      result: null,
+      error: null,
+      queuedAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push({ job, task, onCancel });
+    this.publish(job, { type: "status", status: job.status });
+    this.runNext();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Listen to a job's events. The listener is first called with the events
+   * that already happened, then with each new one.
+   *
+   * @param {string} id - Job ID
+   * @param {(event: Object) => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(id, listener) {
+    const job = this.jobs.get(id);
+    if (!job) return () => {};
+
+    job.events.forEach(listener);
+    this.emitter.on(id, listener);
+    return () => this.emitter.off(id, listener);
+  }
+
+  publish(job, event) {
+    const timestamped = { ...event, at: new Date() };
+    job.events.push(timestamped);
+    if (job.events.length > MAX_EVENT_HISTORY) {
+      job.events.shift();
+    }
+    this.emitter.emit(job.id, timestamped);
+  }
+
+  /**
+   * Register a listener called once when the queue starts shutting down,
+   * after queued jobs have been failed.
+   *
+   * @param {() => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  onShutdown(listener) {
+    this.emitter.once(SHUTDOWN_EVENT, listener);
+    return () => this.emitter.off(SHUTDOWN_EVENT, listener);
+  }
+
+  /**
+   * Stop accepting jobs, fail the queued ones and wait for running jobs to finish.
+   *
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    this.closed = true;
+
+    for (const { job, onCancel } of this.pending.splice(0)) {
+      job.error = shutdownError("The server shut down before the job started");
+      job.status = "failed";
+      job.finishedAt = new Date();
+      this.publish(job, { type: "status", status: job.status });
+      onCancel?.();
+    }
+
+    this.emitter.emit(SHUTDOWN_EVENT);
+
+    if (this.running > 0) {
+      await new Promise((resolve) => this.emitter.once(IDLE_EVENT, resolve));
+    }
+  }
+
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running,
+      queued: this.pending.length,
+      tracked: this.jobs.size,
+    };
+  }
+
+  runNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const { job, task } = this.pending.shift();
+      this.running++;
+      this.run(job, task).finally(() => {
+        this.running--;
+        this.runNext();
+        if (this.running === 0) this.emitter.emit(IDLE_EVENT);
+      });
+    }
+  }
+
+  async run(job, task) {
+    job.status = "running";
+    job.startedAt = new Date();
+    this.publish(job, { type: "status", status: job.status });
+
+    try {
+      job.result = await task(this.createReporter(job));
+      job.status = "succeeded";
+    } catch (error) {
+      job.error = error;
+      job.status = "failed";
+    } finally {
+      job.finishedAt = new Date();
+      this.publish(job, { type: "status", status: job.status });
+      setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+    }
+  }
+
+  createReporter(job) {
+    let currentStage = null;
+
+    return {
+      stage: async (name, fn) => {
+        const stage = { name, status: "running", startedAt: new Date(), finishedAt: null };
+        job.stages.push(stage);
+        currentStage = name;
+        this.publish(job, { type: "stage", stage: name, status: stage.status });
+        try {
+          const value = await fn();
+          stage.status = "succeeded";
+          return value;
+        } catch (error) {
+          stage.status = "failed";
+          throw error;
+        } finally {
+          stage.finishedAt = new Date();
+          this.publish(job, { type: "stage", stage: name, status: stage.status });
+        }
+      },
+      // Progress events are tagged with the stage that was running when they happened
+      progress: (event) => {
+        this.publish(job, { ...event, stage: currentStage });
+      },
+    };
+  }
+}
+
+function shutdownError(message) {
+  const error = new Error(message);
+  error.statusCode = 503;
+  error.publicMessage = message;
+  error.details = "Please try again in a moment";
+  return error;
+}
+
+function readConcurrency(value) {
+  const concurrency = parseInt(value, 10);
+  return Number.isInteger(concurrency) && concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY;
+}
+
+// Shared queue for asynchronous document processing; size it with JOB_CONCURRENCY
+export const jobQueue = new JobQueue({ concurrency: readConcurrency(process.env.JOB_CONCURRENCY) });
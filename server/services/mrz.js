@@ -0,0 +1,249 @@
+// Machine-readable zones (ICAO 9303) of passports, visas and ID cards.
+//
+// TD3 (passports) has two lines of 44 characters, TD2 two lines of 36 and TD1
+// (ID cards) three lines of 30. OCR reads the MRZ font well but confuses a few
+// characters: O and 0, I and 1, and the "<" filler, which often comes out as K
+// or «. Each field is corrected for what it can hold (digits, letters or
+// fillers) before the check digits are verified.
+
+const FORMATS = {
+  TD3: { lineLength: 44, lineCount: 2 },
+  TD2: { lineLength: 36, lineCount: 2 },
+  TD1: { lineLength: 30, lineCount: 3 },
+};
+
+// OCR noise tolerated per line: dropped trailing fillers, or a stray character
+const LENGTH_TOLERANCE = 2;
+
+const TO_DIGIT = { O: '0', Q: '0', D: '0', U: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', T: '7', B: '8' };
+const TO_LETTER = { 0: 'O', 1: 'I', 2: 'Z', 5: 'S', 6: 'G', 8: 'B' };
+
+function checkDigit(value) {
+  const weights = [7, 3, 1];
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    const number = char === '<' ? 0 : /\d/.test(char) ? Number(char) : char.charCodeAt(0) - 55;
+    sum += number * weights[i % 3];
+  }
+  return String(sum % 10);
+}
+
+// Dates, check digits: letters are misread digits
+function digits(value) {
+  return value.replace(/[A-Z]/g, (char) => TO_DIGIT[char] ?? char);
+}
+
+// Country codes: digits are misread letters
+function letters(value) {
+  return value.replace(/\d/g, (digit) => TO_LETTER[digit] ?? digit);
+}
+
+// Names and optional data: runs of K next to fillers (or at the end) are fillers
+function fillers(value) {
+  return value
+    .replace(/K{3,}$/, (run) => '<'.repeat(run.length))
+    .replace(/<K+(?=<)/g, (run) => '<'.repeat(run.length))
+    .replace(/<K{2,}/g, (run) => '<'.repeat(run.length))
+    .replace(/K{2,}</g, (run) => '<'.repeat(run.length));
+}
+
+function trimFillers(value) {
+  return value.replace(/<+$/, '').replace(/</g, ' ').trim();
+}
+
+function cleanLine(line) {
+  return line
+    .toUpperCase()
+    .replace(/[«≪]/g, '<<')
+    .replace(/[‹(\[{]/g, '<')
+    .replace(/[^A-Z0-9<]/g, '');
+}
+
+function fitLength(line, length) {
+  if (line.length === length) return line;
+  if (line.length < length && length - line.length <= LENGTH_TOLERANCE) return line.padEnd(length, '<');
+  if (line.length > length && line.length - length <= LENGTH_TOLERANCE && /^[<K]*$/.test(line.slice(length))) {
+    return line.slice(0, length);
+  }
+  return null;
+}
+
+function toIsoDate(yymmdd, { future }) {
+  if (!/^\d{6}$/.test(yymmdd)) return null;
+  const [yy, month, day] = [yymmdd.slice(0, 2), yymmdd.slice(2, 4), yymmdd.slice(4, 6)].map(Number);
+  const today = new Date();
+  const century = Math.floor(today.getUTCFullYear() / 100) * 100;
+  // Birth dates are in the past; expiry dates are at most a few decades ahead
+  let year = century + yy;
+  if (!future && year > today.getUTCFullYear()) year -= 100;
+  if (future && year > today.getUTCFullYear() + 50) year -= 100;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function parseNames(field) {
+  const [surname, ...given] = field.split('<<');
+  return {
+    surname: trimFillers(surname),
+    givenNames: trimFillers(given.join('<<')),
+  };
+}
+
+function parseSex(char) {
+  if (char === 'F') return 'female';
+  if (char === 'M') return 'male';
+  return null;
+}
+
+// Line 1 of TD3 and TD2, line 3 of TD1 and the header of all three
+function correctHeader(line) {
+  return letters(line.slice(0, 5));
+}
+
+// Line 2 of TD3 and TD2: number, nationality, birth, sex, expiry, optional data
+function parseTravelDocumentLine(line, optionalEnd) {
+  return {
+    documentNumber: line.slice(0, 9),
+    documentNumberCheck: digits(line[9]),
+    nationality: letters(line.slice(10, 13)),
+    birth: digits(line.slice(13, 19)),
+    birthCheck: digits(line[19]),
+    sex: line[20],
+    expiry: digits(line.slice(21, 27)),
+    expiryCheck: digits(line[27]),
+    optionalData: fillers(line.slice(28, optionalEnd)),
+  };
+}
+
+function travelDocumentLine(fields) {
+  return fields.documentNumber + fields.documentNumberCheck + fields.nationality + fields.birth + fields.birthCheck
+    + fields.sex + fields.expiry + fields.expiryCheck + fields.optionalData;
+}
+
+function parseTd3([line1, line2]) {
+  const fields = parseTravelDocumentLine(line2, 42);
+  const optionalCheck = line2[42] === '<' ? '<' : digits(line2[42]);
+  const compositeCheck = digits(line2[43]);
+  const composite = fields.documentNumber + fields.documentNumberCheck + fields.birth + fields.birthCheck
+    + fields.expiry + fields.expiryCheck + fields.optionalData + optionalCheck;
+  return {
+    header: correctHeader(line1),
+    names: letters(fillers(line1.slice(5))),
+    fields,
+    checks: {
+      documentNumber: checkDigit(fields.documentNumber) === fields.documentNumberCheck,
+      dateOfBirth: checkDigit(fields.birth) === fields.birthCheck,
+      expiryDate: checkDigit(fields.expiry) === fields.expiryCheck,
+      // An empty optional field may have a filler instead of 0
+      optionalData: optionalCheck === '<' ? /^<*$/.test(fields.optionalData) : checkDigit(fields.optionalData) === optionalCheck,
+      composite: checkDigit(composite) === compositeCheck,
+    },
+    lines: [correctHeader(line1) + letters(fillers(line1.slice(5))), travelDocumentLine(fields) + optionalCheck + compositeCheck],
+  };
+}
+
+function parseTd2([line1, line2]) {
+  const fields = parseTravelDocumentLine(line2, 35);
+  const compositeCheck = digits(line2[35]);
+  const composite = fields.documentNumber + fields.documentNumberCheck + fields.birth + fields.birthCheck
+    + fields.expiry + fields.expiryCheck + fields.optionalData;
+  return {
+    header: correctHeader(line1),
+    names: letters(fillers(line1.slice(5))),
+    fields,
+    checks: {
+      documentNumber: checkDigit(fields.documentNumber) === fields.documentNumberCheck,
+      dateOfBirth: checkDigit(fields.birth) === fields.birthCheck,
+      expiryDate: checkDigit(fields.expiry) === fields.expiryCheck,
+      composite: checkDigit(composite) === compositeCheck,
+    },
+    lines: [correctHeader(line1) + letters(fillers(line1.slice(5))), travelDocumentLine(fields) + compositeCheck],
+  };
+}
+
+function parseTd1([line1, line2, line3]) {
+  const optionalData1 = fillers(line1.slice(15, 30));
+  const optionalData2 = fillers(line2.slice(18, 29));
+  const fields = {
+    documentNumber: line1.slice(5, 14),
+    documentNumberCheck: digits(line1[14]),
+    birth: digits(line2.slice(0, 6)),
+    birthCheck: digits(line2[6]),
+    sex: line2[7],
+    expiry: digits(line2.slice(8, 14)),
+    expiryCheck: digits(line2[14]),
+    nationality: letters(line2.slice(15, 18)),
+    optionalData: optionalData1 + optionalData2,
+  };
+  const compositeCheck = digits(line2[29]);
+  const composite = fields.documentNumber + fields.documentNumberCheck + optionalData1
+    + fields.birth + fields.birthCheck + fields.expiry + fields.expiryCheck + optionalData2;
+  return {
+    header: correctHeader(line1),
+    names: letters(fillers(line3)),
+    fields,
+    checks: {
+      documentNumber: checkDigit(fields.documentNumber) === fields.documentNumberCheck,
+      dateOfBirth: checkDigit(fields.birth) === fields.birthCheck,
+      expiryDate: checkDigit(fields.expiry) === fields.expiryCheck,
+      composite: checkDigit(composite) === compositeCheck,
+    },
+    lines: [
+      correctHeader(line1) + fields.documentNumber + fields.documentNumberCheck + optionalData1,
+      fields.birth + fields.birthCheck + fields.sex + fields.expiry + fields.expiryCheck + fields.nationality + optionalData2 + compositeCheck,
+      letters(fillers(line3)),
+    ],
+  };
+}
+
+const PARSERS = { TD3: parseTd3, TD2: parseTd2, TD1: parseTd1 };
+
+function toMrz(format, parsed, originalLines) {
+  const { header, names, fields, checks, lines } = parsed;
+  return {
+    format,
+    documentType: trimFillers(header.slice(0, 2)),
+    issuingCountry: trimFillers(header.slice(2, 5)),
+    ...parseNames(names),
+    documentNumber: trimFillers(fields.documentNumber),
+    nationality: trimFillers(fields.nationality),
+    dateOfBirth: toIsoDate(fields.birth, { future: false }),
+    sex: parseSex(fields.sex),
+    expiryDate: toIsoDate(fields.expiry, { future: true }),
+    optionalData: trimFillers(fields.optionalData) || null,
+    checks,
+    valid: Object.values(checks).every(Boolean),
+    lines,
+    corrected: lines.join('') !== originalLines.join(''),
+  };
+}
+
+/**
+ * Find and parse a machine-readable zone in OCR text.
+ *
+ * Every run of consecutive lines with the shape of a TD3, TD2 or TD1 zone is
+ * parsed; the candidate with the most correct check digits wins, so a page
+ * with stray lines of similar length still yields its real MRZ.
+ *
+ * @param {string} text - OCR text of one page
+ * @returns {Mrz|null} Parsed zone, or null when the text has none
+ */
+export function parseMrz(text) {
+  const lines = String(text || '').split('\n').map(cleanLine).filter((line) => line.length >= FORMATS.TD1.lineLength - LENGTH_TOLERANCE);
+  let best = null;
+
+  for (const [format, { lineLength, lineCount }] of Object.entries(FORMATS)) {
+    for (let i = 0; i + lineCount <= lines.length; i++) {
+      const candidate = lines.slice(i, i + lineCount).map((line) => fitLength(line, lineLength));
+      // The first line starts with the document type: P (passport), V (visa), I, A or C (ID cards)
+      if (candidate.includes(null) || !/^[PVIAC]/.test(candidate[0]) || !candidate[0].includes('<')) continue;
+
+      const mrz = toMrz(format, PARSERS[format](candidate), candidate);
+      const score = Object.values(mrz.checks).filter(Boolean).length;
+      if (score > 0 && (!best || score > best.score)) best = { score, mrz };
+    }
+  }
+  return best?.mrz ?? null;
+}
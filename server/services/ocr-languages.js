@@ -0,0 +1,59 @@
+import { ocrPool } from './ocr-pool.js';
+
+// Scripts reported by Tesseract OSD and the languages to read them with
+const SCRIPT_LANGUAGES = {
+  Arabic: 'ara',
+  Cyrillic: 'rus',
+  Devanagari: 'hin',
+  Greek: 'ell',
+  Han: 'chi_sim',
+  Hangul: 'kor',
+  Hebrew: 'heb',
+  Japanese: 'jpn',
+  Katakana: 'jpn',
+  Hiragana: 'jpn',
+  Thai: 'tha',
+};
+
+// Below this script confidence the detection is ignored and the fallback is used
+const MIN_SCRIPT_CONFIDENCE = 1;
+
+/**
+ * Choose the OCR languages for an image.
+ *
+ * Explicit codes are used as given. "auto" runs script detection first: Latin
+ * text is read with OCR_AUTO_LATIN_LANGS (the languages we receive documents in),
+ * other scripts with their usual Tesseract model, and images whose script cannot
+ * be told fall back to OCR_AUTO_FALLBACK_LANGS.
+ *
+ * @param {string|Buffer} image - File path or image data
+ * @param {string} language - 'auto' or Tesseract codes joined with '+', e.g. 'afr+eng'
+ * @returns {Promise<{languages: string, script?: string|null, scriptConfidence?: number|null}>}
+ */
+export async function resolveOcrLanguages(image, language, env = process.env) {
+  if (language !== 'auto') {
+    return { languages: language };
+  }
+
+  const latinLanguages = env.OCR_AUTO_LATIN_LANGS || 'eng+afr+fra+por';
+  const fallbackLanguages = env.OCR_AUTO_FALLBACK_LANGS || latinLanguages;
+
+  let detection = null;
+  try {
+    detection = await ocrPool.detectScript(image);
+  } catch (error) {
+    console.error('Script detection failed, using fallback languages:', error);
+  }
+
+  const script = detection?.script || null;
+  const scriptConfidence = detection?.scriptConfidence ?? null;
+  if (!script || scriptConfidence < MIN_SCRIPT_CONFIDENCE) {
+    return { languages: fallbackLanguages, script, scriptConfidence };
+  }
+
+  return {
+    languages: script === 'Latin' ? latinLanguages : SCRIPT_LANGUAGES[script] || fallbackLanguages,
+    script,
+    scriptConfidence,
+  };
+}
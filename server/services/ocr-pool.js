@@ -0,0 +1,340 @@
+import fs from 'fs';
+import path from 'path';
+import { createWorker, OEM } from 'tesseract.js';
+
+const DEFAULT_POOL_SIZE = 2;
+const DEFAULT_MAX_JOBS_PER_WORKER = 100;
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 30000;
+
+function readPositiveInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+// Normalize 'afr+eng' or ['afr', 'eng'] to Tesseract's 'afr+eng' form, keeping the order
+function toLangKey(langs) {
+  return Array.isArray(langs) ? langs.join('+') : langs;
+}
+
+/**
+ * Start a Tesseract worker whose promise rejects when loading fails.
+ *
+ * Without an errorHandler tesseract.js throws load failures (such as a missing
+ * language file) from its message handler, which crashes the process, and the
+ * createWorker promise never settles. The thread of a worker that failed to
+ * start is never handed back, so it cannot be terminated; checkLanguageData()
+ * catches the usual cause before a worker is started.
+ */
+function startWorker(langs, oem, options) {
+  if (options.cachePath) fs.mkdirSync(options.cachePath, { recursive: true });
+
+  let failStartup;
+  const startupFailed = new Promise((resolve, reject) => {
+    failStartup = reject;
+  });
+
+  return Promise.race([
+    createWorker(langs, oem, {
+      ...options,
+      // Later job failures also arrive here; their own promises reject as well
+      errorHandler: (error) => failStartup(new Error(String(error))),
+    }),
+    startupFailed,
+  ]);
+}
+
+/**
+ * Worker options for loading language data.
+ *
+ * TESSERACT_LANG_PATH points at a directory (or URL) holding <lang>.traineddata.gz
+ * files so OCR works offline; set TESSERACT_LANG_GZIP=false for uncompressed
+ * files. Data downloaded from the default CDN is cached in TESSERACT_CACHE_PATH,
+ * which is created when the first worker starts.
+ */
+export function languageDataOptions(env = process.env) {
+  const langPath = env.TESSERACT_LANG_PATH;
+  const cachePath = path.resolve(env.TESSERACT_CACHE_PATH || '.cache/tesseract');
+
+  return {
+    ...(langPath && { langPath }),
+    gzip: env.TESSERACT_LANG_GZIP !== 'false',
+    cachePath,
+    // Local language files are read directly; a cached copy could be a different model
+    ...(langPath && !/^https?:\/\//.test(langPath) && { cacheMethod: 'none' }),
+  };
+}
+
+/**
+ * Pool of warm Tesseract workers.
+ *
+ * Loading language data is the slow part of OCR, so workers are created on
+ * first use and kept alive between jobs. When every worker is busy, jobs wait
+ * in FIFO order. Jobs go to an idle worker that already has their languages
+ * loaded; otherwise a new worker is started or an idle one switches languages.
+ * A worker is replaced after maxJobsPerWorker jobs, or right away if a job
+ * fails, so a worker's memory growth or bad state never lasts.
+ *
+ * Script detection runs on a separate single worker with the legacy engine,
+ * which is the only one that supports orientation and script detection (OSD).
+ */
+export class OcrWorkerPool {
+  constructor({
+    size = DEFAULT_POOL_SIZE,
+    maxJobsPerWorker = DEFAULT_MAX_JOBS_PER_WORKER,
+    langs = 'eng',
+    workerOptions = {},
+  } = {}) {
+    this.size = size;
+    this.maxJobsPerWorker = maxJobsPerWorker;
+    this.langs = langs;
+    this.workerOptions = workerOptions;
+
+    this.slots = [];
+    this.queue = [];
+    this.nextSlotId = 1;
+    this.closed = false;
+    this.counters = { completed: 0, failed: 0, recycled: 0, languageSwitches: 0, totalWaitMs: 0, totalRunMs: 0 };
+
+    this.osdWorker = null;
+    this.osdQueue = Promise.resolve();
+    this.osdCounters = { completed: 0, failed: 0 };
+  }
+
+  /**
+   * Run OCR on an image with the next free worker.
+   *
+   * @param {string|Buffer} image - File path or image data
+   * @param {Object} [options]
+   * @param {string|string[]} [options.langs] - Tesseract language codes, e.g. 'afr+eng' (defaults to the pool's langs)
+   * @param {Object} [options.recognizeOptions] - Passed to worker.recognize (e.g. rectangle)
+   * @param {Object} [options.output] - Output formats to request (e.g. { blocks: true })
+   * @param {(message: Object) => void} [options.onLog] - Receives Tesseract logger messages for this job
+   * @returns {Promise<Object>} Tesseract result data
+   */
+  async recognize(image, { langs = this.langs, recognizeOptions = {}, output, onLog } = {}) {
+    if (this.closed) {
+      throw new Error('OCR worker pool is shut down');
+    }
+
+    const langKey = toLangKey(langs);
+    await this.checkLanguageData(langKey.split('+'));
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ image, langs: langKey, recognizeOptions, output, onLog, resolve, reject, queuedAt: Date.now() });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Fail fast when language files are missing from a local langPath, instead of
+   * tying up a worker that cannot start.
+   */
+  async checkLanguageData(langs) {
+    const { langPath, gzip = true } = this.workerOptions;
+    if (!langPath || /^https?:\/\//.test(langPath)) return;
+
+    const missing = [];
+    for (const lang of langs) {
+      try {
+        await fs.promises.access(path.join(langPath, `${lang}.traineddata${gzip ? '.gz' : ''}`));
+      } catch {
+        missing.push(lang);
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`No OCR language data for ${missing.join(', ')} in ${langPath}`);
+    }
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const job = this.queue[0];
+      const idle = this.slots.filter((candidate) => !candidate.busy);
+
+      let slot = idle.find((candidate) => candidate.langs === job.langs);
+      if (!slot && this.slots.length < this.size) {
+        slot = this.spawn(job.langs);
+      }
+      // Every worker is started: switch an idle one to the job's languages
+      slot = slot || idle[0];
+      if (!slot) return;
+
+      this.run(slot, this.queue.shift());
+    }
+  }
+
+  spawn(langs) {
+    const slot = {
+      id: this.nextSlotId++,
+      busy: false,
+      jobs: 0,
+      langs,
+      createdAt: new Date(),
+      onLog: null,
+    };
+
+    // One job runs per worker at a time, so logger messages belong to the slot's current job
+    slot.ready = startWorker(langs, OEM.LSTM_ONLY, {
+      ...this.workerOptions,
+      logger: (message) => slot.onLog?.(message),
+    });
+    // Creation failures surface through the job that awaits ready
+    slot.ready.catch(() => {});
+
+    this.slots.push(slot);
+    return slot;
+  }
+
+  async run(slot, job) {
+    slot.busy = true;
+    slot.onLog = job.onLog || null;
+    const startedAt = Date.now();
+    this.counters.totalWaitMs += startedAt - job.queuedAt;
+
+    let healthy = true;
+    try {
+      const worker = await slot.ready;
+      if (slot.langs !== job.langs) {
+        await worker.reinitialize(job.langs, OEM.LSTM_ONLY);
+        slot.langs = job.langs;
+        this.counters.languageSwitches++;
+      }
+      const { data } = await worker.recognize(job.image, job.recognizeOptions, job.output);
+      this.counters.completed++;
+      job.resolve(data);
+    } catch (error) {
+      healthy = false;
+      this.counters.failed++;
+      job.reject(error);
+    } finally {
+      this.counters.totalRunMs += Date.now() - startedAt;
+      slot.jobs++;
+      slot.onLog = null;
+      slot.busy = false;
+
+      if (!healthy || slot.jobs >= this.maxJobsPerWorker) {
+        await this.retire(slot);
+      }
+      if (!this.closed) {
+        this.dispatch();
+      }
+    }
+  }
+
+  async retire(slot, { recycled = true } = {}) {
+    if (!this.slots.includes(slot)) return;
+
+    this.slots = this.slots.filter((candidate) => candidate !== slot);
+    if (recycled) this.counters.recycled++;
+    // A worker that never started has nothing to terminate
+    const worker = await slot.ready.catch(() => null);
+    if (!worker) return;
+    try {
+      await worker.terminate();
+    } catch (error) {
+      console.error(`OCR worker ${slot.id} did not terminate cleanly:`, error);
+    }
+  }
+
+  /**
+   * Detect the script and orientation of an image.
+   *
+   * Detection jobs run one at a time on their own worker, started on first use.
+   * Resolves with nulls when the image has too little text to decide.
+   *
+   * @param {string|Buffer} image - File path or image data
+   * @returns {Promise<{script: string|null, scriptConfidence: number|null, orientation: number|null, orientationConfidence: number|null}>}
+   */
+  detectScript(image) {
+    if (this.closed) {
+      return Promise.reject(new Error('OCR worker pool is shut down'));
+    }
+
+    const detection = this.osdQueue.then(async () => {
+      await this.checkLanguageData(['osd']);
+      if (!this.osdWorker) {
+        this.osdWorker = startWorker('osd', OEM.TESSERACT_ONLY, {
+          ...this.workerOptions,
+          legacyCore: true,
+          legacyLang: true,
+        });
+      }
+
+      try {
+        const worker = await this.osdWorker;
+        const { data } = await worker.detect(image);
+        this.osdCounters.completed++;
+        return {
+          script: data.script,
+          scriptConfidence: data.script_confidence,
+          orientation: data.orientation_degrees,
+          orientationConfidence: data.orientation_confidence,
+        };
+      } catch (error) {
+        this.osdCounters.failed++;
+        // Start from a fresh worker next time
+        const failedWorker = this.osdWorker;
+        this.osdWorker = null;
+        failedWorker.then((worker) => worker.terminate()).catch(() => {});
+        throw error;
+      }
+    });
+
+    // Keep the chain going whether or not this detection succeeds
+    this.osdQueue = detection.catch(() => {});
+    return detection;
+  }
+
+  stats() {
+    const finished = this.counters.completed + this.counters.failed;
+    return {
+      size: this.size,
+      maxJobsPerWorker: this.maxJobsPerWorker,
+      langs: this.langs,
+      workers: this.slots.map(({ id, busy, jobs, langs, createdAt }) => ({ id, busy, jobs, langs, createdAt })),
+      busy: this.slots.filter((slot) => slot.busy).length,
+      idle: this.slots.filter((slot) => !slot.busy).length,
+      queued: this.queue.length,
+      completed: this.counters.completed,
+      failed: this.counters.failed,
+      recycled: this.counters.recycled,
+      languageSwitches: this.counters.languageSwitches,
+      scriptDetection: { started: Boolean(this.osdWorker), ...this.osdCounters },
+      averageWaitMs: finished ? Math.round(this.counters.totalWaitMs / finished) : 0,
+      averageRunMs: finished ? Math.round(this.counters.totalRunMs / finished) : 0,
+      closed: this.closed,
+    };
+  }
+
+  /**
+   * Stop accepting jobs, fail the ones still queued, let running jobs finish
+   * (up to timeoutMs) and terminate every worker.
+   */
+  async shutdown({ timeoutMs = DEFAULT_SHUTDOWN_TIMEOUT_MS } = {}) {
+    this.closed = true;
+
+    for (const job of this.queue.splice(0)) {
+      job.reject(new Error('OCR worker pool is shutting down'));
+    }
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.slots.some((slot) => slot.busy) && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    await Promise.all(this.slots.map((slot) => this.retire(slot, { recycled: false })));
+
+    if (this.osdWorker) {
+      await this.osdQueue;
+      await this.osdWorker.then((worker) => worker.terminate()).catch(() => {});
+      this.osdWorker = null;
+    }
+  }
+}
+
+// Shared pool; size it with OCR_POOL_SIZE and recycle workers with OCR_WORKER_MAX_JOBS
+export const ocrPool = new OcrWorkerPool({
+  size: readPositiveInt(process.env.OCR_POOL_SIZE, DEFAULT_POOL_SIZE),
+  maxJobsPerWorker: readPositiveInt(process.env.OCR_WORKER_MAX_JOBS, DEFAULT_MAX_JOBS_PER_WORKER),
+  workerOptions: languageDataOptions(),
+});
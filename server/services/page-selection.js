@@ -0,0 +1,43 @@
+// Page ranges such as "1-3,7" from the upload form, resolved against a document's
+// page count. The request schema has already checked the syntax.
+
+export const PAGE_RANGE_OUT_OF_BOUNDS = 'PAGE_RANGE_OUT_OF_BOUNDS';
+
+/**
+ * Page numbers to process.
+ *
+ * @param {string} [pageRange] - Comma-separated pages and ranges, e.g. "1-3,7"; every page when empty
+ * @param {number} pageCount - Pages in the document
+ * @returns {number[]} 1-based page numbers in ascending order, without duplicates
+ * @throws {Error} With code PAGE_RANGE_OUT_OF_BOUNDS when a page is past the end of the document
+ */
+export function selectPages(pageRange, pageCount) {
+  if (!pageRange) {
+    return Array.from({ length: pageCount }, (_, index) => index + 1);
+  }
+
+  const pages = new Set();
+  for (const part of pageRange.split(',')) {
+    const [start, end = start] = part.split('-').map(Number);
+    for (let page = start; page <= end; page++) pages.add(page);
+  }
+
+  const lastPage = Math.max(...pages);
+  if (lastPage > pageCount) {
+    const error = new Error(`Page ${lastPage} is past the end of the document, which has ${pageCount} page${pageCount === 1 ? '' : 's'}`);
+    error.code = PAGE_RANGE_OUT_OF_BOUNDS;
+    throw error;
+  }
+
+  return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Whether an error means the requested pages are not in the document.
+ *
+ * @param {unknown} error - Any thrown value
+ * @returns {boolean}
+ */
+export function isPageRangeError(error) {
+  return error?.code === PAGE_RANGE_OUT_OF_BOUNDS;
+}
@@ -0,0 +1,47 @@
+// Opens PDFs with pdfjs for both extraction paths, turning password failures into
+// errors with a code the API passes on. Passwords are handed to pdfjs only; they
+// never appear in messages or logs.
+
+export const PDF_PASSWORD_REQUIRED = 'PDF_PASSWORD_REQUIRED';
+export const PDF_PASSWORD_INCORRECT = 'PDF_PASSWORD_INCORRECT';
+
+/**
+ * Load a PDF, unlocking it with the password when one is given.
+ *
+ * PDFs encrypted with only an owner password (printing or copying restricted)
+ * open without one.
+ *
+ * @param {Buffer} pdfBuffer - PDF file contents
+ * @param {string} [password] - Password to open the document
+ * @returns {Promise<Object>} The pdfjs document
+ * @throws {Error} With code PDF_PASSWORD_REQUIRED or PDF_PASSWORD_INCORRECT when the PDF is locked
+ */
+export async function loadPdfDocument(pdfBuffer, password) {
+  // Import pdfjs-dist legacy build optimized for Node.js server environments
+  const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  try {
+    return await pdfjsLib.getDocument({
+      data: new Uint8Array(pdfBuffer),
+      useSystemFonts: true,
+      ...(password && { password }),
+    }).promise;
+  } catch (error) {
+    if (error?.name !== 'PasswordException') throw error;
+
+    const incorrect = error.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+    const passwordError = new Error(incorrect ? 'The PDF password is incorrect' : 'The PDF is password protected');
+    passwordError.code = incorrect ? PDF_PASSWORD_INCORRECT : PDF_PASSWORD_REQUIRED;
+    throw passwordError;
+  }
+}
+
+/**
+ * Whether an error means a PDF could not be opened without the right password.
+ *
+ * @param {unknown} error - Any thrown value
+ * @returns {boolean}
+ */
+export function isPdfPasswordError(error) {
+  return error?.code === PDF_PASSWORD_REQUIRED || error?.code === PDF_PASSWORD_INCORRECT;
+}
@@ -0,0 +1,157 @@
+// Document information, AcroForm fields and annotations from pdfjs.
+//
+// What is typed into a fillable form lives in its widget annotations, not in the
+// page content, so getTextContent() never sees it. Each widget carries its
+// field's name and value; a field with several widgets (radio groups, a field
+// repeated on every page) is reported once, on the page of its first widget.
+
+// pdfjs widget field types; push buttons and signatures carry no value
+function fieldType(annotation) {
+  switch (annotation.fieldType) {
+    case 'Tx':
+      return 'text';
+    case 'Ch':
+      return 'choice';
+    case 'Btn':
+      if (annotation.checkBox) return 'checkbox';
+      if (annotation.radioButton) return 'radio';
+      return null;
+    default:
+      return null;
+  }
+}
+
+function fieldValue(annotation, type) {
+  const value = annotation.fieldValue;
+  switch (type) {
+    case 'checkbox':
+      return Boolean(value) && value !== 'Off' && value === annotation.exportValue;
+    case 'radio':
+      return value && value !== 'Off' ? value : null;
+    case 'choice': {
+      const selected = [value ?? []].flat();
+      return annotation.multiSelect ? selected : selected[0] ?? null;
+    }
+    default:
+      return value ?? '';
+  }
+}
+
+// PDF dates look like D:20240501120000+02'00'
+function toIsoDate(pdfjsLib, value) {
+  if (!value) return null;
+  const date = pdfjsLib.PDFDateString.toDateObject(value);
+  return date ? date.toISOString() : null;
+}
+
+function metadataText(value) {
+  if (Array.isArray(value)) return value.join(', ') || null;
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function roundCoordinate(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Annotation rects are in PDF space (origin bottom-left); page boxes use the top-left corner
+function toViewportBox(viewport, rect) {
+  const [xA, yA, xB, yB] = viewport.convertToViewportRectangle(rect);
+  return {
+    x0: roundCoordinate(Math.min(xA, xB)),
+    y0: roundCoordinate(Math.min(yA, yB)),
+    x1: roundCoordinate(Math.max(xA, xB)),
+    y1: roundCoordinate(Math.max(yA, yB)),
+  };
+}
+
+/**
+ * Read a PDF's document information and page count.
+ *
+ * The Info dictionary is used first; title and author fall back to the XMP
+ * metadata stream, where newer producers often put them instead.
+ *
+ * @param {Object} pdfDocument - Loaded pdfjs document
+ * @returns {Promise<PdfMetadata>} Document information
+ */
+export async function readPdfMetadata(pdfDocument) {
+  const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const { info = {}, metadata } = await pdfDocument.getMetadata();
+
+  return {
+    pageCount: pdfDocument.numPages,
+    pdfVersion: info.PDFFormatVersion || null,
+    title: metadataText(info.Title) || metadataText(metadata?.get('dc:title')),
+    author: metadataText(info.Author) || metadataText(metadata?.get('dc:creator')),
+    subject: metadataText(info.Subject),
+    keywords: metadataText(info.Keywords),
+    creator: metadataText(info.Creator),
+    producer: metadataText(info.Producer),
+    creationDate: toIsoDate(pdfjsLib, info.CreationDate),
+    modificationDate: toIsoDate(pdfjsLib, info.ModDate),
+    hasForm: Boolean(info.IsAcroFormPresent),
+  };
+}
+
+/**
+ * Read the form fields and annotations of the given pages.
+ *
+ * Checkboxes give true or false, radio groups the chosen option (null when none
+ * is chosen), choice fields the selected value (a list for multi-select lists)
+ * and text fields their text. Password fields are left out.
+ *
+ * Other annotations (comments, links, highlights, stamps) are kept when they
+ * carry a comment or a link; popups only repeat their parent's comment.
+ *
+ * @param {Object} pdfDocument - Loaded pdfjs document
+ * @param {number[]} pageNumbers - 1-based pages to read
+ * @returns {Promise<{formFields: PdfFormField[], annotations: PdfAnnotation[]}>} Fields in page order, then annotations in page order
+ */
+export async function readPdfAnnotations(pdfDocument, pageNumbers) {
+  const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const fields = new Map();
+  const annotations = [];
+
+  for (const pageNumber of pageNumbers) {
+    const page = await pdfDocument.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: 1 });
+
+    for (const annotation of await page.getAnnotations()) {
+      if (annotation.subtype === 'Widget') {
+        const type = fieldType(annotation);
+        if (!type || !annotation.fieldName || annotation.password) continue;
+
+        const value = fieldValue(annotation, type);
+        const field = fields.get(annotation.fieldName);
+        if (!field) {
+          fields.set(annotation.fieldName, {
+            name: annotation.fieldName,
+            label: annotation.alternativeText || null,
+            type,
+            value,
+            pageNumber,
+          });
+        } else if (type === 'checkbox') {
+          // Checkboxes sharing a name are one field, checked when any of them is
+          field.value = field.value || value;
+        }
+        continue;
+      }
+
+      const contents = annotation.contentsObj?.str?.trim() || '';
+      const url = annotation.url || null;
+      if (annotation.subtype === 'Popup' || (!contents && !url)) continue;
+
+      annotations.push({
+        pageNumber,
+        type: annotation.subtype,
+        contents,
+        author: annotation.titleObj?.str?.trim() || null,
+        url,
+        modificationDate: toIsoDate(pdfjsLib, annotation.modificationDate),
+        bbox: toViewportBox(viewport, annotation.rect),
+      });
+    }
+  }
+
+  return { formFields: [...fields.values()], annotations };
+}
@@ -0,0 +1,361 @@
+// Rebuilds lines, columns and reading order from pdfjs text items.
+//
+// pdfjs returns text as loose items, each with a transform matrix whose last two
+// entries are the x/y position of the baseline in PDF points (origin bottom-left).
+// Items are grouped into lines by baseline, lines are split into columns when a
+// vertical gutter runs through the page, and the result is rendered either as
+// plain reading-order text or as a monospaced layout that keeps the arrangement.
+// The same lines also give the text layer's blocks/lines/words page model.
+
+export const TEXT_LAYOUT_MODES = ['plain', 'layout'];
+
+const MIN_GUTTER_WIDTH = 12;        // points of empty space that can separate columns
+const MIN_COLUMN_LINE_SHARE = 0.3;  // share of lines that need text on each side of a gutter
+const LAYOUT_CHAR_WIDTH = 5;        // points per character in layout mode
+const PARAGRAPH_GAP_FACTOR = 1.6;   // line gaps above this many line heights become blank lines
+const SECTION_GAP_FACTOR = 3;       // line gaps above this many line heights end a column region
+const CELL_GAP_FACTOR = 3;          // gaps wider than this many characters separate table cells
+const SAME_BASELINE_FACTOR = 0.1;   // baselines closer than this many line heights are the same line
+
+// streamLine counts the hasEOL markers before the item in pdfjs content order
+function toPositionedItem(item, streamLine) {
+  const [, , , scaleY, x, y] = item.transform;
+  const height = item.height || Math.abs(scaleY) || 10;
+  return {
+    str: item.str,
+    x,
+    y,
+    width: item.width || 0,
+    height,
+    streamLine,
+  };
+}
+
+function belongsToLine(line, item) {
+  const distance = Math.abs(line.y - item.y);
+  const height = Math.max(line.height, item.height);
+  if (distance > height / 2) return false;
+  // Across an end-of-line marker only text on the very same baseline (another column) joins;
+  // tightly set lines, sub- and superscripts stay apart
+  return line.streamLines.has(item.streamLine) || distance <= height * SAME_BASELINE_FACTOR;
+}
+
+/**
+ * Group positioned items into lines, top of the page first.
+ *
+ * Items belong to the same line when their baselines are within half a line
+ * height of each other, unless pdfjs ended a line between them (hasEOL) and
+ * their baselines differ. Within a line, items are ordered left to right.
+ */
+export function groupIntoLines(items) {
+  let streamLine = 0;
+  const positioned = [];
+  for (const item of items) {
+    if (item.str === undefined) continue;
+    positioned.push(toPositionedItem(item, streamLine));
+    if (item.hasEOL) streamLine++;
+  }
+  const sorted = positioned
+    .filter((item) => item.str.trim())
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  for (const item of sorted) {
+    const line = lines.find((candidate) => belongsToLine(candidate, item));
+    if (line) {
+      line.items.push(item);
+      line.height = Math.max(line.height, item.height);
+      line.streamLines.add(item.streamLine);
+    } else {
+      lines.push({ y: item.y, height: item.height, items: [item], streamLines: new Set([item.streamLine]) });
+    }
+  }
+
+  for (const line of lines) {
+    line.items.sort((a, b) => a.x - b.x);
+    line.x = line.items[0].x;
+    line.right = Math.max(...line.items.map((item) => item.x + item.width));
+  }
+
+  return lines.sort((a, b) => b.y - a.y);
+}
+
+/**
+ * Find a vertical gutter that splits the page into two columns.
+ *
+ * Scans the x-axis for the widest run that almost no line crosses, with a
+ * meaningful share of lines having text on both sides of it. Full-width lines
+ * such as headings may cross the gutter; they are kept whole.
+ *
+ * @returns {number|null} x position of the gutter centre, or null for a single column
+ */
+export function findColumnGutter(lines) {
+  if (lines.length < 4) return null;
+
+  const left = Math.floor(Math.min(...lines.map((line) => line.x)));
+  const right = Math.ceil(Math.max(...lines.map((line) => line.right)));
+  const coverage = new Array(Math.max(0, right - left)).fill(0);
+
+  for (const line of lines) {
+    for (const item of line.items) {
+      const start = Math.max(0, Math.floor(item.x) - left);
+      const end = Math.min(coverage.length, Math.ceil(item.x + item.width) - left);
+      for (let bin = start; bin < end; bin++) coverage[bin]++;
+    }
+  }
+
+  const maxCrossing = Math.max(1, Math.floor(lines.length * 0.1));
+  let best = null;
+  let runStart = null;
+
+  for (let bin = 0; bin <= coverage.length; bin++) {
+    const open = bin < coverage.length && coverage[bin] <= maxCrossing;
+    if (open && runStart === null) runStart = bin;
+    if (!open && runStart !== null) {
+      const width = bin - runStart;
+      if (width >= MIN_GUTTER_WIDTH && runStart > 0 && bin < coverage.length && (!best || width > best.width)) {
+        best = { start: runStart + left, width };
+      }
+      runStart = null;
+    }
+  }
+
+  if (!best) return null;
+
+  const gutter = best.start + best.width / 2;
+  const leftLines = lines.filter((line) => line.items.some((item) => item.x + item.width <= gutter)).length;
+  const rightLines = lines.filter((line) => line.items.some((item) => item.x >= gutter)).length;
+  const minLines = lines.length * MIN_COLUMN_LINE_SHARE;
+
+  return leftLines >= minLines && rightLines >= minLines ? gutter : null;
+}
+
+function averageCharWidth(item) {
+  return item.str.length ? item.width / item.str.length : item.height / 2;
+}
+
+// Join a line's items, inserting a space where the PDF leaves a visible gap and a
+// tab where the gap is wide enough to separate table cells
+function joinLineItems(items) {
+  let text = '';
+  let previous = null;
+
+  for (const item of items) {
+    if (previous && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+      const gap = item.x - (previous.x + previous.width);
+      const charWidth = averageCharWidth(previous);
+      if (gap > charWidth * CELL_GAP_FACTOR) {
+        text += '\t';
+      } else if (gap > charWidth * 0.25) {
+        text += ' ';
+      }
+    }
+    text += item.str;
+    previous = item;
+  }
+
+  return text.replace(/\s+$/, '');
+}
+
+function splitAtGutter(line, gutter) {
+  const leftItems = line.items.filter((item) => item.x < gutter);
+  const rightItems = line.items.filter((item) => item.x >= gutter);
+  return [
+    leftItems.length ? { ...line, items: leftItems } : null,
+    rightItems.length ? { ...line, x: rightItems[0].x, items: rightItems } : null,
+  ];
+}
+
+// Table rows leave wide gaps between cells; lines of running text do not
+function hasCellGaps(items) {
+  return items.some((item, index) => {
+    const previous = items[index - 1];
+    if (!previous) return false;
+    return item.x - (previous.x + previous.width) > averageCharWidth(previous) * CELL_GAP_FACTOR;
+  });
+}
+
+// A region is read as two columns only when the text left of the gutter reads like prose
+function isColumnRegion(region, gutter) {
+  const leftParts = region.map((line) => splitAtGutter(line, gutter)[0]).filter(Boolean);
+  if (leftParts.length < 2) return false;
+  return leftParts.filter((part) => !hasCellGaps(part.items)).length > leftParts.length / 2;
+}
+
+/**
+ * Put lines into reading order.
+ *
+ * Lines crossing the gutter (headings, full-width paragraphs) and large vertical
+ * gaps split the page into regions. Regions that look like columns of running
+ * text are read left column first; other regions, such as tables whose cells
+ * happen to leave the gutter empty, keep their rows whole.
+ */
+function toReadingOrder(lines, gutter) {
+  if (gutter === null) return lines;
+
+  const ordered = [];
+  let region = [];
+  const flush = () => {
+    if (isColumnRegion(region, gutter)) {
+      const halves = region.map((line) => splitAtGutter(line, gutter));
+      ordered.push(...halves.map(([left]) => left).filter(Boolean), ...halves.map(([, right]) => right).filter(Boolean));
+    } else {
+      ordered.push(...region);
+    }
+    region = [];
+  };
+
+  for (const line of lines) {
+    const crosses = line.items.some((item) => item.x < gutter && item.x + item.width > gutter);
+    const previous = region[region.length - 1];
+    if (crosses || (previous && previous.y - line.y > previous.height * SECTION_GAP_FACTOR)) {
+      flush();
+    }
+    if (crosses) {
+      ordered.push(line);
+    } else {
+      region.push(line);
+    }
+  }
+  flush();
+
+  return ordered;
+}
+
+// A large vertical jump, or moving back up to the top of the next column, starts a new paragraph
+function startsParagraph(previous, line) {
+  return previous.y - line.y > previous.height * PARAGRAPH_GAP_FACTOR || line.y > previous.y;
+}
+
+function renderPlain(lines, gutter) {
+  const ordered = toReadingOrder(lines, gutter);
+  const output = [];
+  let previous = null;
+
+  for (const line of ordered) {
+    if (previous && startsParagraph(previous, line)) {
+      output.push('');
+    }
+    output.push(joinLineItems(line.items));
+    previous = line;
+  }
+
+  return output.join('\n');
+}
+
+function renderLayout(lines) {
+  if (lines.length === 0) return '';
+
+  const left = Math.min(...lines.map((line) => line.x));
+  const output = [];
+  let previous = null;
+
+  for (const line of lines) {
+    if (previous) {
+      const blankLines = Math.round((previous.y - line.y) / (previous.height * 1.2)) - 1;
+      for (let i = 0; i < Math.min(blankLines, 3); i++) output.push('');
+    }
+
+    let text = '';
+    let previousItem = null;
+    for (const item of line.items) {
+      const column = Math.round((item.x - left) / LAYOUT_CHAR_WIDTH);
+      if (text.length < column) {
+        text = text.padEnd(column, ' ');
+      } else if (previousItem && !/\s$/.test(text) && item.x - (previousItem.x + previousItem.width) > averageCharWidth(previousItem) * 0.25) {
+        text += ' ';
+      }
+      text += item.str;
+      previousItem = item;
+    }
+
+    output.push(text.replace(/\s+$/, ''));
+    previous = line;
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Turn a page's pdfjs text content into text.
+ *
+ * @param {Object} textContent - Result of page.getTextContent()
+ * @param {'plain'|'layout'} [mode='plain'] - plain: lines in reading order, columns read one
+ *   after the other; layout: monospaced text that keeps columns and table alignment
+ * @returns {string} Page text
+ */
+export function reconstructPageText(textContent, mode = 'plain') {
+  const lines = groupIntoLines(textContent.items);
+  if (mode === 'layout') {
+    return renderLayout(lines);
+  }
+  return renderPlain(lines, findColumnGutter(lines));
+}
+
+function roundCoordinate(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function unionBoxes(boxes) {
+  return {
+    x0: Math.min(...boxes.map((box) => box.x0)),
+    y0: Math.min(...boxes.map((box) => box.y0)),
+    x1: Math.max(...boxes.map((box) => box.x1)),
+    y1: Math.max(...boxes.map((box) => box.y1)),
+  };
+}
+
+// Box from baseline x/y, width and height in PDF space, converted to top-left page coordinates
+function toViewportBox(viewport, x, y, width, height) {
+  const [ax, ay] = viewport.convertToViewportPoint(x, y);
+  const [bx, by] = viewport.convertToViewportPoint(x + width, y + height);
+  return {
+    x0: roundCoordinate(Math.min(ax, bx)),
+    y0: roundCoordinate(Math.min(ay, by)),
+    x1: roundCoordinate(Math.max(ax, bx)),
+    y1: roundCoordinate(Math.max(ay, by)),
+  };
+}
+
+// Split an item into words, placing each by its share of the item's characters
+function itemWords(item, viewport) {
+  const charWidth = item.str.length ? item.width / item.str.length : 0;
+  return [...item.str.matchAll(/\S+/g)].map((match) => ({
+    text: match[0],
+    bbox: toViewportBox(viewport, item.x + match.index * charWidth, item.y, match[0].length * charWidth, item.height),
+    confidence: 100,
+  }));
+}
+
+/**
+ * Build the page model's blocks for a PDF text layer.
+ *
+ * Lines are taken in reading order and split into blocks where plain text
+ * would start a new paragraph. Text-layer words are exact, so every
+ * confidence is 100; boxes are in PDF points from the top-left corner.
+ *
+ * @param {Object} textContent - Result of page.getTextContent()
+ * @param {Object} viewport - page.getViewport({ scale: 1 })
+ * @returns {PageLayoutBlock[]} Blocks with their lines and words
+ */
+export function buildTextLayerBlocks(textContent, viewport) {
+  const lines = groupIntoLines(textContent.items);
+  const groups = [];
+  let previous = null;
+
+  for (const line of toReadingOrder(lines, findColumnGutter(lines))) {
+    if (!previous || startsParagraph(previous, line)) {
+      groups.push([]);
+    }
+    groups[groups.length - 1].push(line);
+    previous = line;
+  }
+
+  return groups.map((group) => {
+    const layoutLines = group.map((line) => {
+      const words = line.items.flatMap((item) => itemWords(item, viewport));
+      return { bbox: unionBoxes(words.map((word) => word.bbox)), confidence: 100, text: joinLineItems(line.items), words };
+    });
+    return { bbox: unionBoxes(layoutLines.map((line) => line.bbox)), confidence: 100, lines: layoutLines };
+  });
+}
@@ -0,0 +1,320 @@
+import fs from "fs/promises";
+import { storage } from "../storage.js";
+import { extractTextFromDocument } from "./extraction.js";
+import { extractWithAI } from "./ai-extraction.js";
+import { classifyByHeuristics, classifyWithAI } from "./classification.js";
+import { AI_PROVIDER_NOT_CONFIGURED, AI_PROVIDER_UNKNOWN, resolveConfiguredAiProvider } from "./providers/index.js";
+import { AI_CIRCUIT_OPEN } from "./providers/resilience.js";
+import { verifyIdentity } from "./verification.js";
+import { findSaIdNumbers } from "./sa-id.js";
+import { traceStructuredData } from "./provenance.js";
+import { extractStructuredDataByRules } from "./rule-extraction.js";
+import { PDF_PASSWORD_INCORRECT, PDF_PASSWORD_REQUIRED } from "./pdf-document.js";
+import { PAGE_RANGE_OUT_OF_BOUNDS } from "./page-selection.js";
+import { findDocumentCategory } from "../../shared/schema.js";
+
+// Extraction failures the user can fix, by error code: answered with 400 and these details
+const REQUEST_ERROR_DETAILS = {
+  [PDF_PASSWORD_REQUIRED]: "Enter the document's password in the PDF password field to unlock it",
+  [PDF_PASSWORD_INCORRECT]: "Check the password and try again",
+  [PAGE_RANGE_OUT_OF_BOUNDS]: "Choose pages that exist in the document, or leave the page range empty to read every page",
+  [AI_PROVIDER_NOT_CONFIGURED]: "Choose another AI provider, or use Standard Extraction",
+};
+
+// A failure the user can fix, answered with 400
+function requestError(cause) {
+  const error = new Error(cause.message);
+  error.statusCode = 400;
+  error.code = cause.code;
+  error.publicMessage = cause.message;
+  error.details = REQUEST_ERROR_DETAILS[cause.code];
+  return error;
+}
+
+// The AI provider for classification and extraction, resolved once before anything runs
+function resolveRequestedAiProvider(providerId, model) {
+  try {
+    return resolveConfiguredAiProvider(providerId, model);
+  } catch (providerError) {
+    if (REQUEST_ERROR_DETAILS[providerError.code]) throw requestError(providerError);
+    if (providerError.code !== AI_PROVIDER_UNKNOWN) throw providerError;
+    // AI_PROVIDER is server configuration; the request schema only lets known providers through
+    const error = new Error(providerError.message);
+    error.statusCode = 500;
+    error.code = providerError.code;
+    error.publicMessage = "The server's AI provider is misconfigured";
+    error.details = providerError.message;
+    throw error;
+  }
+}
+
+// Runs stages without recording anything, used for synchronous requests
+const noopReporter = {
+  stage: (name, fn) => fn(),
+  progress: () => {},
+};
+
+// Text of each extraction method for ID number detection. Standard text and form
+// values are enough on their own; the AI text adds numbers OCR misread.
+function extractedTexts(standardResult, aiExtractedData) {
+  const texts = [
+    { source: 'standard', text: standardResult.text },
+    ...(standardResult.formFields || []).map((field) => ({ source: 'standard', text: [field.value ?? ''].flat().join(' ') })),
+  ];
+  if (aiExtractedData && !aiExtractedData.errorOccurred) {
+    texts.push({ source: 'ai', text: aiExtractedData.rawText });
+    texts.push({ source: 'ai', text: JSON.stringify(aiExtractedData.structuredData ?? {}) });
+  }
+  return texts;
+}
+
+/**
+ * Document processing pipeline shared by synchronous requests and background jobs.
+ *
+ * Runs standard extraction, classifies the document, fills the category's
+ * schema from the standard text by rules, in AI mode runs AI extraction with
+ * the same schema for comparison, checks the submitted name and date of birth
+ * against both, reads South African ID numbers, and saves the result. In
+ * standard mode nothing is sent to an AI provider. The uploaded file is always
+ * removed afterwards.
+ *
+ * @param {Object} input
+ * @param {Object} input.file - Multer file (path, mimetype, originalname)
+ * @param {Object} input.person - firstName, lastName, dateOfBirth, fullName, age
+ * @param {'standard'|'ai'} input.processingMethod - Primary processing method
+ * @param {'plain'|'layout'} [input.textLayout='plain'] - How PDF text is reconstructed in both paths
+ * @param {string} [input.language='eng'] - OCR languages for images and scanned pages, or 'auto'
+ * @param {string} [input.preprocessing='none'] - Image cleanup before OCR: 'none', 'auto' or e.g. 'orient,deskew'
+ * @param {boolean} [input.comparePreprocessing=false] - Also OCR the untouched image to compare confidence
+ * @param {string} [input.pdfPassword] - Password for a password-protected PDF; used to open the file, never stored
+ * @param {string} [input.pages] - Pages of PDFs and multi-page images to process, e.g. "1-3,7"; every page when empty
+ * @param {string} [input.aiProvider] - AI provider for the AI path: 'openai', 'gemini' or 'mock'; AI_PROVIDER when empty
+ * @param {string} [input.aiModel] - Model for the AI path; the provider's default when empty
+ * @param {string} [input.documentType='auto'] - Document type whose schema the rules and the AI fill, or
+ *   'auto' to use the classified category's (free-form data for 'other')
+ * @param {Object} [reporter] - Receives stage(name, fn) calls wrapping each stage and
+ *   progress(event) calls (upload_received, pdf_page_parsed, image_page_parsed, image_preprocessed,
+ *   ocr_language_detected, ocr_progress, ai_request_sent, ai_retry, ai_response_parsed, saved)
+ * @returns {Promise<ProcessingResult>} The stored document
+ * @throws {Error} With statusCode, publicMessage and details set when the cause is known, and code
+ *   PDF_PASSWORD_REQUIRED or PDF_PASSWORD_INCORRECT for locked PDFs, PAGE_RANGE_OUT_OF_BOUNDS for
+ *   pages past the end of the document, and AI_PROVIDER_UNKNOWN or AI_PROVIDER_NOT_CONFIGURED in AI
+ *   mode when the provider cannot be used
+ */
+export async function processDocument({ file, person, processingMethod, textLayout = 'plain', language = 'eng', preprocessing = 'none', comparePreprocessing = false, pdfPassword, pages, aiProvider, aiModel, documentType = 'auto' }, reporter = noopReporter) {
+  const startTime = Date.now();
+  const onProgress = reporter.progress;
+
+  onProgress({ type: 'upload_received', fileName: file.originalname, fileType: file.mimetype, size: file.size });
+
+  // Every try of every AI provider call, kept on the document
+  const aiAttempts = [];
+  const onAttempt = (attempt) => {
+    aiAttempts.push(attempt);
+    if (attempt.retryInMs !== null) {
+      onProgress({ type: 'ai_retry', attempt: attempt.attempt, status: attempt.status, outcome: attempt.outcome, retryInMs: attempt.retryInMs });
+    }
+  };
+
+  try {
+    const ai = processingMethod === 'ai' ? resolveRequestedAiProvider(aiProvider, aiModel) : null;
+
+    // Always run standard extraction for comparison
+    const standardResult = await reporter.stage('standardExtraction', async () => {
+      console.log('Running standard extraction...');
+      try {
+        const result = await extractTextFromDocument(file.path, file.mimetype, { onProgress, textLayout, language, preprocessing, comparePreprocessing, pdfPassword, pages });
+
+        // Validate extraction result
+        if (!result.text || result.text.trim().length === 0) {
+          console.warn('Standard extraction returned empty text');
+          return { ...result, text: "No text could be extracted from the document using standard methods." };
+        }
+        return result;
+      } catch (standardError) {
+        console.error('Standard extraction failed:', standardError);
+        if (REQUEST_ERROR_DETAILS[standardError.code]) {
+          throw requestError(standardError);
+        }
+        const error = new Error(standardError.message);
+        error.statusCode = 500;
+        error.publicMessage = "Could not extract text from the document. Please ensure the file is not corrupted and contains readable text.";
+        error.details = standardError.message;
+        throw error;
+      }
+    });
+
+    const standardText = standardResult.text;
+
+    // Classify before any fields are extracted; the AI classifier falls back to the heuristic
+    const classification = await reporter.stage('classification', async () => {
+      const heuristic = classifyByHeuristics(standardText, { mrz: standardResult.mrz, tables: standardResult.tables });
+      if (!ai) return heuristic;
+      try {
+        const aiClassification = await classifyWithAI(standardText, { provider: ai.provider.id, model: ai.model, onAttempt });
+        if (aiClassification) {
+          return { ...aiClassification, heuristic: { category: heuristic.category, confidence: heuristic.confidence } };
+        }
+        console.warn('AI classification gave no usable category, using the heuristic');
+      } catch (classificationError) {
+        console.warn('AI classification failed, using the heuristic:', classificationError.message);
+      }
+      return heuristic;
+    });
+
+    // An explicit document type wins; the document is classified once, so "other" gets free-form data
+    const extractionSchema = documentType !== 'auto'
+      ? documentType
+      : findDocumentCategory(classification.category)?.documentType ?? 'other';
+
+    // Structured data from the standard text alone, in the same shape as the AI path's
+    const standardExtractedData = await reporter.stage('ruleExtraction', async () => {
+      const result = extractStructuredDataByRules(standardText, {
+        documentType: extractionSchema,
+        mrz: standardResult.mrz,
+      });
+      const fieldProvenance = traceStructuredData(result.structuredData, {
+        pageTexts: standardResult.pageTexts,
+        pageLayouts: standardResult.pageLayouts,
+      });
+      // Every value came from the text; one not found there was rewritten (a phone number as E.164), not made up
+      return {
+        ...result,
+        fieldProvenance: Object.fromEntries(Object.entries(fieldProvenance).filter(([, provenance]) => !provenance.hallucination)),
+      };
+    });
+
+    // AI extraction for side-by-side comparison, in AI mode only: standard mode keeps the document on the server
+    const aiExtractedData = !ai ? null : await reporter.stage('aiExtraction', async () => {
+      console.log('Running AI extraction...');
+      try {
+        const result = await extractWithAI(file.path, file.mimetype, { onProgress, textLayout, pdfPassword, pages, provider: ai.provider.id, model: ai.model, documentType: extractionSchema, onAttempt });
+
+        // Validate AI extraction result
+        if (!result) {
+          throw new Error("AI extraction returned null result");
+        }
+        return {
+          ...result,
+          documentTypeDetected: documentType === 'auto',
+          attempts: aiAttempts,
+          circuit: ai.provider.circuit.describe(),
+          fieldProvenance: traceStructuredData(result.structuredData, {
+            pageTexts: standardResult.pageTexts,
+            pageLayouts: standardResult.pageLayouts,
+            rawText: result.rawText,
+            rawPageTexts: result.pageTexts,
+          }),
+        };
+      } catch (aiError) {
+        console.error('AI extraction failed:', aiError);
+        // Create fallback AI result with detailed error information
+        const isQuotaError = aiError.status === 429 || aiError.code === 'insufficient_quota' || aiError.code === 'rate_limit_exceeded';
+        const isCircuitOpen = aiError.code === AI_CIRCUIT_OPEN;
+
+        return {
+          structuredData: {
+            error: "AI extraction failed",
+            reason: isQuotaError
+              ? "AI service quota exceeded"
+              : isCircuitOpen ? "AI service paused after repeated failures" : "AI service temporarily unavailable",
+            fallback: "Using standard extraction as fallback"
+          },
+          rawText: standardText,
+          provider: ai.provider.id,
+          model: ai.model,
+          documentType: extractionSchema,
+          attempts: aiAttempts,
+          circuit: ai.provider.circuit.describe(),
+          errorOccurred: true
+        };
+      }
+    });
+
+    // Determine primary extracted text based on selected method
+    const rawExtractedText = processingMethod === 'ai' && !aiExtractedData.errorOccurred
+      ? aiExtractedData.rawText || standardText
+      : standardText;
+
+    const { verification, saIdNumbers } = await reporter.stage('verification', async () => ({
+      verification: verifyIdentity(person, {
+        standardText,
+        formFields: standardResult.formFields,
+        mrz: standardResult.mrz,
+        aiExtractedData,
+      }),
+      saIdNumbers: findSaIdNumbers(extractedTexts(standardResult, aiExtractedData), { dateOfBirth: person.dateOfBirth }),
+    }));
+
+    const processingTime = Date.now() - startTime;
+
+    const processedDocument = await reporter.stage('saving', () => storage.createProcessedDocument({
+      ...person,
+      fileName: file.originalname,
+      fileType: file.mimetype,
+      processingMethod,
+      textLayout,
+      ocrLanguage: language,
+      preprocessing,
+      pageRange: pages ?? null,
+      standardExtractedText: standardText,
+      pageTexts: standardResult.pageTexts,
+      pageSources: standardResult.pageSources,
+      pageLayouts: standardResult.pageLayouts,
+      tables: standardResult.tables,
+      pdfMetadata: standardResult.pdfMetadata ?? null,
+      formFields: standardResult.formFields ?? [],
+      annotations: standardResult.annotations ?? [],
+      mrz: standardResult.mrz ?? null,
+      documentCategory: classification.category,
+      classification,
+      standardExtractedData,
+      aiExtractedData,
+      rawExtractedText,
+      verification,
+      saIdNumbers,
+      processingTime,
+    }));
+
+    onProgress({ type: 'saved', documentId: processedDocument.id });
+    return processedDocument;
+  } finally {
+    // Clean up uploaded file
+    await fs.unlink(file.path).catch(() => {});
+  }
+}
+
+/**
+ * Turn a processDocument() failure into the error body used by the API.
+ *
+ * @param {Error} processingError - Error thrown by processDocument
+ * @returns {{statusCode: number, error: string, details: string, code?: string}}
+ */
+export function describeProcessingError(processingError) {
+  if (processingError && processingError.publicMessage) {
+    return {
+      statusCode: processingError.statusCode || 500,
+      error: processingError.publicMessage,
+      details: processingError.details,
+      ...(processingError.code && { code: processingError.code }),
+    };
+  }
+
+  // Provide detailed error responses based on error type
+  let errorMessage = "An unexpected error occurred while processing your document";
+  let details = processingError instanceof Error ? processingError.message : String(processingError);
+
+  // Handle specific processing error types
+  if (details.includes('ENOENT')) {
+    errorMessage = "The uploaded file could not be found or accessed";
+    details = "Please try uploading the file again";
+  } else if (details.includes('storage')) {
+    errorMessage = "Failed to save processing results";
+    details = "There was an issue saving your document. Please try again";
+  } else if (details.includes('timeout')) {
+    errorMessage = "Document processing timed out";
+    details = "The document is taking too long to process. Please try again with a smaller file";
+  }
+
+  return { statusCode: 500, error: errorMessage, details };
+}
@@ -0,0 +1,248 @@
+// Traces every value of AI structured data back to the document.
+//
+// Each value is looked for in the page texts of standard extraction, which
+// carry page numbers and word layouts, and failing that in the AI's own raw
+// text. The comparison ignores case, accents, spacing and punctuation, so an
+// amount of 1150 is found as "1 150,00" and a date is tried in the usual
+// written forms. A value found nowhere is flagged as a possible hallucination.
+
+// Found verbatim (ignoring case), or only after dropping spacing and punctuation
+const EXACT_SCORE = 1;
+const FORMATTED_SCORE = 0.85;
+// Found in the AI raw text but not in any standard page
+const AI_TEXT_SCORE = 0.7;
+// Found in pieces: scaled by the share of the value's words found
+const PARTIAL_SCORE = 0.6;
+const MIN_PARTIAL_SHARE = 0.5;
+// Shorter values match by accident, so they must stand alone in the text
+const MIN_COMPACT_LENGTH = 3;
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Lower case without accents, one character for one, so indexes stay those of the original
+function fold(text) {
+  return Array.from(String(text), (char) => {
+    const folded = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    return folded.length === char.length ? folded : char;
+  }).join('');
+}
+
+// Letters and digits only, with the index in the original text of each one
+function compactIndex(text) {
+  const folded = fold(text);
+  let compact = '';
+  const positions = [];
+  for (let i = 0; i < folded.length; i++) {
+    if (/[a-z0-9]/.test(folded[i])) {
+      compact += folded[i];
+      positions.push(i);
+    }
+  }
+  return { compact, positions };
+}
+
+function compact(text) {
+  return fold(text).replace(/[^a-z0-9]/g, '');
+}
+
+function isWordChar(char) {
+  return Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+}
+
+// Ways a value may be written in the document, most specific first
+function renderings(value) {
+  if (typeof value === 'number') {
+    return [...new Set([value.toFixed(2), String(value)])];
+  }
+  const text = String(value).trim();
+  const date = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!date) return [text];
+  const [, year, month, day] = date;
+  const monthName = MONTH_NAMES[Number(month) - 1];
+  if (!monthName) return [text];
+  const shortDay = String(Number(day));
+  const shortMonth = String(Number(month));
+  return [
+    text,
+    `${day}/${month}/${year}`, `${shortDay}/${shortMonth}/${year}`,
+    `${month}/${day}/${year}`, `${shortMonth}/${shortDay}/${year}`,
+    `${shortDay} ${monthName} ${year}`, `${monthName} ${shortDay} ${year}`,
+    `${shortDay} ${monthName.slice(0, 3)} ${year}`, `${monthName.slice(0, 3)} ${shortDay} ${year}`,
+  ];
+}
+
+// Case-insensitive, whole words: "Zoe" is not found in "Zoey"
+function findExact(text, rendering) {
+  const folded = fold(text);
+  const needle = fold(rendering);
+  if (!needle) return null;
+  for (let index = folded.indexOf(needle); index !== -1; index = folded.indexOf(needle, index + 1)) {
+    const end = index + needle.length;
+    if ((!isWordChar(needle[0]) || !isWordChar(folded[index - 1])) && (!isWordChar(needle.at(-1)) || !isWordChar(folded[end]))) {
+      return { start: index, end };
+    }
+  }
+  return null;
+}
+
+function findCompact(text, index, rendering) {
+  const needle = compact(rendering);
+  if (needle.length < MIN_COMPACT_LENGTH) return null;
+  for (let at = index.compact.indexOf(needle); at !== -1; at = index.compact.indexOf(needle, at + 1)) {
+    const start = index.positions[at];
+    const end = index.positions[at + needle.length - 1] + 1;
+    if (!isWordChar(text[start - 1]) && !isWordChar(text[end])) return { start, end };
+  }
+  return null;
+}
+
+function findInText(text, value) {
+  const index = compactIndex(text);
+  for (const rendering of renderings(value)) {
+    const span = findExact(text, rendering);
+    if (span) return { ...span, score: EXACT_SCORE };
+  }
+  for (const rendering of renderings(value)) {
+    const span = findCompact(text, index, rendering);
+    if (span) return { ...span, score: FORMATTED_SCORE };
+  }
+  return null;
+}
+
+// Share of the value's words that appear somewhere in the text
+function partialShare(texts, value) {
+  const words = fold(value).match(/[a-z0-9]+/g) || [];
+  if (words.length < 2) return 0;
+  const haystack = ` ${texts.map((text) => fold(text).replace(/[^a-z0-9]+/g, ' ')).join(' ')} `;
+  return words.filter((word) => haystack.includes(` ${word} `)).length / words.length;
+}
+
+// Words of a page whose letters and digits cover the value, with their bounds and confidence
+function findWords(layout, value) {
+  const words = layout.blocks.flatMap((block) => block.lines.flatMap((line) => line.words));
+  let pageCompact = '';
+  const wordAt = [];
+  words.forEach((word, wordIndex) => {
+    const text = compact(word.text);
+    pageCompact += text;
+    for (let i = 0; i < text.length; i++) wordAt.push(wordIndex);
+  });
+
+  for (const rendering of renderings(value)) {
+    const needle = compact(rendering);
+    if (!needle) continue;
+    const at = pageCompact.indexOf(needle);
+    if (at === -1) continue;
+    const matched = words.slice(wordAt[at], wordAt[at + needle.length - 1] + 1);
+    return {
+      bbox: {
+        x0: Math.min(...matched.map((word) => word.bbox.x0)),
+        y0: Math.min(...matched.map((word) => word.bbox.y0)),
+        x1: Math.max(...matched.map((word) => word.bbox.x1)),
+        y1: Math.max(...matched.map((word) => word.bbox.y1)),
+      },
+      confidence: matched.reduce((sum, word) => sum + word.confidence, 0) / matched.length,
+    };
+  }
+  return null;
+}
+
+// Leaf values with their path: "lineItems[0].amount"
+function leafValues(data, path = '') {
+  if (data === null || data === undefined || data === '') return [];
+  if (Array.isArray(data)) return data.flatMap((item, index) => leafValues(item, `${path}[${index}]`));
+  if (typeof data === 'object') {
+    return Object.entries(data).flatMap(([key, value]) => leafValues(value, path ? `${path}.${key}` : key));
+  }
+  if (typeof data !== 'string' && typeof data !== 'number') return [];
+  return [{ path, value: data }];
+}
+
+function roundConfidence(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Where each AI page starts and ends in rawText, which joins them in order
+function locatePages(rawText, rawPageTexts) {
+  const located = [];
+  let from = 0;
+  for (const page of rawPageTexts) {
+    if (!page.text) continue;
+    const start = rawText.indexOf(page.text, from);
+    if (start === -1) continue;
+    from = start + page.text.length;
+    located.push({ pageNumber: page.pageNumber, start, end: from });
+  }
+  return located;
+}
+
+function traceValue(value, { pageTexts, layouts, rawText, rawPages }) {
+  for (const page of pageTexts) {
+    const found = findInText(page.text, value);
+    if (!found) continue;
+    const layout = layouts.get(page.pageNumber);
+    const words = layout ? findWords(layout, value) : null;
+    // OCR may have misread the words it found; a text layer is exact
+    const ocrConfidence = words && layout.source === 'ocr' ? words.confidence / 100 : 1;
+    return {
+      confidence: roundConfidence(found.score * ocrConfidence),
+      source: 'standard',
+      pageNumber: page.pageNumber,
+      span: { start: found.start, end: found.end },
+      text: page.text.slice(found.start, found.end),
+      bbox: words?.bbox ?? null,
+      hallucination: false,
+    };
+  }
+
+  const inRawText = rawText ? findInText(rawText, value) : null;
+  if (inRawText) {
+    return {
+      confidence: AI_TEXT_SCORE,
+      source: 'ai',
+      pageNumber: rawPages.find((page) => inRawText.start >= page.start && inRawText.start < page.end)?.pageNumber ?? null,
+      span: { start: inRawText.start, end: inRawText.end },
+      text: rawText.slice(inRawText.start, inRawText.end),
+      bbox: null,
+      hallucination: false,
+    };
+  }
+
+  const share = partialShare([...pageTexts.map((page) => page.text), rawText || ''], String(value));
+  return {
+    confidence: roundConfidence(share >= MIN_PARTIAL_SHARE ? PARTIAL_SCORE * share : 0),
+    source: null,
+    pageNumber: null,
+    span: null,
+    text: null,
+    bbox: null,
+    hallucination: share < MIN_PARTIAL_SHARE,
+  };
+}
+
+/**
+ * Find where each AI structured data value came from.
+ *
+ * Confidence reflects how directly the value is backed by the document: 1 for
+ * a verbatim match in a standard page, 0.85 when only the formatting differs,
+ * scaled by the OCR confidence of the matching words on scanned pages; 0.7
+ * when only the AI's own text contains it; partial matches score by the share
+ * of their words found; values found nowhere score 0 and are flagged.
+ *
+ * @param {Object} structuredData - AI structured data; nested objects and arrays are walked
+ * @param {Object} sources
+ * @param {PageText[]} [sources.pageTexts] - Page texts from standard extraction
+ * @param {PageLayout[]} [sources.pageLayouts] - Word layouts from standard extraction
+ * @param {string} [sources.rawText] - Text the AI read or was given
+ * @param {PageText[]} [sources.rawPageTexts] - Pages of rawText, in order, when the AI was given a PDF's text
+ * @returns {Object<string, FieldProvenance>} Provenance by field path, e.g. "lineItems[0].amount"
+ */
+export function traceStructuredData(structuredData, { pageTexts = [], pageLayouts = [], rawText = '', rawPageTexts = [] } = {}) {
+  const sources = {
+    pageTexts: pageTexts.filter((page) => page.text),
+    layouts: new Map(pageLayouts.map((layout) => [layout.pageNumber, layout])),
+    rawText,
+    rawPages: rawText ? locatePages(rawText, rawPageTexts) : [],
+  };
+  return Object.fromEntries(leafValues(structuredData).map(({ path, value }) => [path, traceValue(value, sources)]));
+}
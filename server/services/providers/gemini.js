@@ -0,0 +1,76 @@
+import { GoogleGenAI } from "@google/genai";
+import {
+  IMAGE_STRUCTURED_INSTRUCTIONS,
+  TEXT_STRUCTURED_INSTRUCTIONS,
+  imageStructuredPrompt,
+  imageTextPrompt,
+  parseStructuredJson,
+  textStructuredPrompt,
+} from "./prompts.js";
+
+// Images go inline with the prompt, in page order
+function imageParts(images) {
+  return images.map(({ image, mimeType }) => ({
+    inlineData: { mimeType, data: image.toString('base64') },
+  }));
+}
+
+function structuredConfig(defaultInstructions, schema, signal) {
+  return {
+    abortSignal: signal,
+    systemInstruction: schema?.instructions ?? defaultInstructions,
+    responseMimeType: "application/json",
+    ...(schema && { responseJsonSchema: schema.jsonSchema }),
+  };
+}
+
+/**
+ * Google Gemini (GEMINI_API_KEY; GEMINI_MODEL, default gemini-2.5-flash;
+ * GEMINI_BASE_URL for a local fake server).
+ *
+ * Structured requests ask for an application/json response, Gemini's
+ * equivalent of OpenAI's JSON mode, constrained to the document type's JSON
+ * schema when there is one.
+ */
+export class GeminiProvider {
+  constructor(env = process.env) {
+    this.id = "gemini";
+    this.label = "Google Gemini";
+    this.apiKeyVariable = "GEMINI_API_KEY";
+    this.defaultModel = env.GEMINI_MODEL || "gemini-2.5-flash";
+    this.client = env.GEMINI_API_KEY
+      ? new GoogleGenAI({ apiKey: env.GEMINI_API_KEY, ...(env.GEMINI_BASE_URL && { httpOptions: { baseUrl: env.GEMINI_BASE_URL } }) })
+      : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  async textToStructured(text, { model, schema, signal }) {
+    const response = await this.client.models.generateContent({
+      model,
+      contents: [{ role: "user", parts: [{ text: textStructuredPrompt(text) }] }],
+      config: structuredConfig(TEXT_STRUCTURED_INSTRUCTIONS, schema, signal),
+    });
+    return parseStructuredJson(response.text);
+  }
+
+  async imageToText(images, { model, signal }) {
+    const response = await this.client.models.generateContent({
+      model,
+      contents: [{ role: "user", parts: [{ text: imageTextPrompt(images.length) }, ...imageParts(images)] }],
+      config: { abortSignal: signal },
+    });
+    return response.text || "";
+  }
+
+  async imageToStructured(images, { model, schema, signal }) {
+    const response = await this.client.models.generateContent({
+      model,
+      contents: [{ role: "user", parts: [{ text: imageStructuredPrompt(images.length) }, ...imageParts(images)] }],
+      config: structuredConfig(IMAGE_STRUCTURED_INSTRUCTIONS, schema, signal),
+    });
+    return parseStructuredJson(response.text);
+  }
+}
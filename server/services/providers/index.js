@@ -0,0 +1,124 @@
+import { GeminiProvider } from "./gemini.js";
+import { MockProvider } from "./mock.js";
+import { OpenAIProvider } from "./openai.js";
+import { ResilientProvider } from "./resilience.js";
+import { aiProviders } from "../../../shared/schema.js";
+
+export const AI_PROVIDER_UNKNOWN = 'AI_PROVIDER_UNKNOWN';
+export const AI_PROVIDER_NOT_CONFIGURED = 'AI_PROVIDER_NOT_CONFIGURED';
+
+/**
+ * @typedef {Object} ImagePage
+ * @property {Buffer} image - Image bytes in a format the models accept
+ * @property {string} mimeType - Image MIME type
+ */
+
+/**
+ * Response schema for a structured request; without one the model picks its own keys.
+ *
+ * @typedef {Object} StructuredSchema
+ * @property {string} name - Schema name sent to the API
+ * @property {string} instructions - System instructions replacing the free-form ones
+ * @property {Object} jsonSchema - JSON schema the response must follow
+ */
+
+/**
+ * What the AI extraction path needs from a model provider.
+ *
+ * @typedef {Object} AiProvider
+ * @property {string} id - Value of AI_PROVIDER / aiProvider that selects it
+ * @property {string} label - Name shown to users and in error messages
+ * @property {string|null} apiKeyVariable - Environment variable holding its key
+ * @property {string} defaultModel - Model used when none is requested
+ * @property {() => boolean} isConfigured - Whether its API key is set
+ * @property {(text: string, options: {model: string, schema?: StructuredSchema, signal?: AbortSignal}) => Promise<Object>} textToStructured
+ * @property {(images: ImagePage[], options: {model: string, signal?: AbortSignal}) => Promise<string>} imageToText
+ * @property {(images: ImagePage[], options: {model: string, schema?: StructuredSchema, signal?: AbortSignal}) => Promise<Object>} imageToStructured
+ */
+
+/**
+ * Create an AI provider.
+ *
+ * @param {string} id - "openai", "gemini" or "mock"
+ * @param {Object} [env=process.env] - Environment holding API keys and default models
+ * @returns {AiProvider} Provider
+ */
+export function createAiProvider(id, env = process.env) {
+  switch (id) {
+    case "openai":
+      return new OpenAIProvider(env);
+    case "gemini":
+      return new GeminiProvider(env);
+    case "mock":
+      return new MockProvider(env);
+    default: {
+      const error = new Error(`Unknown AI_PROVIDER "${id}". Use "openai", "gemini" or "mock".`);
+      error.code = AI_PROVIDER_UNKNOWN;
+      throw error;
+    }
+  }
+}
+
+const providers = new Map();
+
+// Providers hold an SDK client and a circuit breaker, so each one is created once
+function getAiProvider(id) {
+  if (!providers.has(id)) {
+    providers.set(id, new ResilientProvider(createAiProvider(id)));
+  }
+  return providers.get(id);
+}
+
+export function defaultAiProviderId(env = process.env) {
+  return env.AI_PROVIDER || "openai";
+}
+
+/**
+ * Pick the provider and model for one request.
+ *
+ * @param {string} [id] - Requested provider; AI_PROVIDER (default "openai") when empty
+ * @param {string} [model] - Requested model; the provider's default when empty
+ * @returns {{provider: ResilientProvider, model: string}} Provider, with retries and a circuit breaker, and model to use
+ */
+export function resolveAiProvider(id, model) {
+  const provider = getAiProvider(id || defaultAiProviderId());
+  return { provider, model: model || provider.defaultModel };
+}
+
+/**
+ * Pick the provider and model for one request, which must be able to call it.
+ *
+ * @param {string} [id] - Requested provider; AI_PROVIDER (default "openai") when empty
+ * @param {string} [model] - Requested model; the provider's default when empty
+ * @returns {{provider: ResilientProvider, model: string}}
+ * @throws {Error} With code AI_PROVIDER_UNKNOWN for an unknown provider and
+ *   AI_PROVIDER_NOT_CONFIGURED when its API key is not set
+ */
+export function resolveConfiguredAiProvider(id, model) {
+  const resolved = resolveAiProvider(id, model);
+  if (!resolved.provider.isConfigured()) {
+    const { label, apiKeyVariable } = resolved.provider;
+    const error = new Error(`${label} API key not set. Set ${apiKeyVariable} to use ${label}.`);
+    error.code = AI_PROVIDER_NOT_CONFIGURED;
+    throw error;
+  }
+  return resolved;
+}
+
+/**
+ * Describe every provider for the upload form.
+ *
+ * @returns {{id: string, label: string, configured: boolean, defaultModel: string, circuit: CircuitState}[]}
+ */
+export function listAiProviders() {
+  return aiProviders.map(({ id }) => {
+    const provider = getAiProvider(id);
+    return {
+      id: provider.id,
+      label: provider.label,
+      configured: provider.isConfigured(),
+      defaultModel: provider.defaultModel,
+      circuit: provider.circuit.describe(),
+    };
+  });
+}
@@ -0,0 +1,60 @@
+// Zod schemas from shared/schema.js as JSON schemas for the model APIs.
+//
+// Only the zod types the document type schemas use are supported. The output
+// follows the rules of OpenAI's strict structured outputs, which Gemini also
+// accepts: every property is required, optional values are nullable instead,
+// and objects allow no additional properties.
+
+function withDescription(jsonSchema, description) {
+  return description ? { ...jsonSchema, description } : jsonSchema;
+}
+
+function nullable(jsonSchema) {
+  if (jsonSchema.enum) return { ...jsonSchema, type: [jsonSchema.type, "null"], enum: [...jsonSchema.enum, null] };
+  return { ...jsonSchema, type: [jsonSchema.type, "null"] };
+}
+
+function convert(schema) {
+  const { typeName, description } = schema._def;
+  switch (typeName) {
+    case "ZodObject": {
+      const shape = schema.shape;
+      const properties = Object.fromEntries(Object.entries(shape).map(([key, value]) => [key, convert(value)]));
+      return withDescription({
+        type: "object",
+        properties,
+        required: Object.keys(shape),
+        additionalProperties: false,
+      }, description);
+    }
+    case "ZodArray":
+      return withDescription({ type: "array", items: convert(schema.element) }, description);
+    case "ZodString":
+      return withDescription({ type: "string" }, description);
+    case "ZodNumber":
+      return withDescription({ type: "number" }, description);
+    case "ZodBoolean":
+      return withDescription({ type: "boolean" }, description);
+    case "ZodEnum":
+      return withDescription({ type: "string", enum: [...schema.options] }, description);
+    case "ZodNullable":
+    case "ZodOptional":
+      return withDescription(nullable(convert(schema.unwrap())), description);
+    case "ZodDefault":
+      return withDescription(convert(schema.removeDefault()), description);
+    case "ZodEffects":
+      return withDescription(convert(schema.innerType()), description);
+    default:
+      throw new Error(`Cannot convert ${typeName} to a JSON schema`);
+  }
+}
+
+/**
+ * Convert a zod schema to a JSON schema for structured model output.
+ *
+ * @param {import("zod").ZodTypeAny} schema - Schema from shared/schema.js
+ * @returns {Object} JSON schema, with descriptions kept as hints for the model
+ */
+export function toJsonSchema(schema) {
+  return convert(schema);
+}
@@ -0,0 +1,71 @@
+import { createHash } from "crypto";
+
+// "Full name: Jane Doe" -> fullName
+function toCamelCase(label) {
+  const words = label.toLowerCase().match(/[a-z0-9]+/g) || [];
+  return words.map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+}
+
+// "Key: Value" lines, first occurrence of each key wins
+function keyValuePairs(text) {
+  const pairs = {};
+  for (const line of text.split('\n')) {
+    const match = line.match(/^\s*([^:\n]{1,60}?)\s*:\s*(\S.*?)\s*$/);
+    if (!match) continue;
+    const key = toCamelCase(match[1]);
+    if (key && !(key in pairs)) {
+      pairs[key] = match[2];
+    }
+  }
+  return pairs;
+}
+
+// Fill a JSON schema's properties from matching keys; values are not checked
+function fillSchema(jsonSchema, pairs) {
+  return Object.fromEntries(Object.entries(jsonSchema.properties).map(([key, property]) => {
+    const types = [property.type].flat();
+    const value = pairs[key];
+    if (types.includes("array")) return [key, []];
+    if (value === undefined) return [key, null];
+    if (types.includes("number")) return [key, Number.isNaN(Number(value)) ? value : Number(value)];
+    if (property.enum && !property.enum.includes(value)) return [key, null];
+    return [key, value];
+  }));
+}
+
+/**
+ * Deterministic stand-in for a real model, for offline development and tests.
+ *
+ * Nothing leaves the machine and the same input always gives the same output:
+ * "Key: Value" lines become structured data (only the schema's fields when a
+ * document type is given), and an image is described by its page number, type,
+ * size and a content hash instead of being read.
+ */
+export class MockProvider {
+  constructor() {
+    this.id = "mock";
+    this.label = "Local mock";
+    this.apiKeyVariable = null;
+    this.defaultModel = "mock-1";
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async textToStructured(text, { schema } = {}) {
+    const pairs = keyValuePairs(text);
+    return schema ? fillSchema(schema.jsonSchema, pairs) : pairs;
+  }
+
+  async imageToText(images) {
+    return images.map(({ image, mimeType }, index) => {
+      const hash = createHash('sha256').update(image).digest('hex').slice(0, 12);
+      return `Page: ${index + 1}\nType: ${mimeType}\nBytes: ${image.length}\nSHA-256: ${hash}`;
+    }).join('\n\n');
+  }
+
+  async imageToStructured(images, options) {
+    return this.textToStructured(await this.imageToText(images), options);
+  }
+}
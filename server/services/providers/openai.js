@@ -0,0 +1,87 @@
+import OpenAI from "openai";
+import {
+  IMAGE_STRUCTURED_INSTRUCTIONS,
+  TEXT_STRUCTURED_INSTRUCTIONS,
+  imageStructuredPrompt,
+  imageTextPrompt,
+  parseStructuredJson,
+  textStructuredPrompt,
+} from "./prompts.js";
+
+// Images go to the chat API as base64 data URLs, in page order
+function imageParts(images) {
+  return images.map(({ image, mimeType }) => ({
+    type: "image_url",
+    image_url: {
+      url: `data:${mimeType};base64,${image.toString('base64')}`
+    }
+  }));
+}
+
+// A document type schema is enforced with strict structured outputs
+function responseFormat(schema) {
+  if (!schema) return { type: "json_object" };
+  return { type: "json_schema", json_schema: { name: schema.name, schema: schema.jsonSchema, strict: true } };
+}
+
+/**
+ * OpenAI chat completions (OPENAI_API_KEY; OPENAI_MODEL, default gpt-5;
+ * OPENAI_BASE_URL for a compatible or local fake server).
+ *
+ * The SDK's own retries are off: ResilientProvider retries every call.
+ */
+export class OpenAIProvider {
+  constructor(env = process.env) {
+    this.id = "openai";
+    this.label = "OpenAI";
+    this.apiKeyVariable = "OPENAI_API_KEY";
+    this.defaultModel = env.OPENAI_MODEL || "gpt-5";
+    this.client = env.OPENAI_API_KEY
+      ? new OpenAI({ apiKey: env.OPENAI_API_KEY, baseURL: env.OPENAI_BASE_URL || undefined, maxRetries: 0 })
+      : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  async textToStructured(text, { model, schema, signal }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages: [
+        { role: "system", content: schema?.instructions ?? TEXT_STRUCTURED_INSTRUCTIONS },
+        { role: "user", content: textStructuredPrompt(text) },
+      ],
+      response_format: responseFormat(schema),
+    }, { signal });
+    return parseStructuredJson(response.choices[0].message.content);
+  }
+
+  async imageToText(images, { model, signal }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages: [
+        {
+          role: "user",
+          content: [{ type: "text", text: imageTextPrompt(images.length) }, ...imageParts(images)],
+        },
+      ],
+    }, { signal });
+    return response.choices[0].message.content || "";
+  }
+
+  async imageToStructured(images, { model, schema, signal }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages: [
+        { role: "system", content: schema?.instructions ?? IMAGE_STRUCTURED_INSTRUCTIONS },
+        {
+          role: "user",
+          content: [{ type: "text", text: imageStructuredPrompt(images.length) }, ...imageParts(images)],
+        },
+      ],
+      response_format: responseFormat(schema),
+    }, { signal });
+    return parseStructuredJson(response.choices[0].message.content);
+  }
+}
@@ -0,0 +1,67 @@
+// Prompts shared by the AI providers, so every provider is asked the same thing
+// and their results can be compared.
+
+const STRUCTURED_FIELDS = "names, titles, positions, dates, addresses, phone numbers, emails, company/organization names, ID numbers, reference numbers, and any other structured data";
+
+export const TEXT_STRUCTURED_INSTRUCTIONS = `You are an expert at extracting structured information from text. Analyze the text and extract any structured information such as ${STRUCTURED_FIELDS}. Return the result as a JSON object with clear key-value pairs. If no structured data is found, return an empty object.`;
+
+export const IMAGE_STRUCTURED_INSTRUCTIONS = `You are an expert at extracting structured information from images. Analyze the image and extract any structured information such as ${STRUCTURED_FIELDS}. Return the result as a JSON object with clear key-value pairs. If no structured data is found, return an empty object.`;
+
+const SCHEMA_RULES = "Use null for a field the document does not contain and an empty array when a list has no entries; never guess or invent values. Write dates as YYYY-MM-DD and amounts as plain numbers without currency symbols or thousands separators.";
+
+/**
+ * Instructions for extracting one document type into its JSON schema.
+ *
+ * The schema also goes to the API as the response format; it is repeated here
+ * for its field descriptions. On a retry the validation errors of the previous
+ * answer are included so the model can correct them.
+ *
+ * @param {{label: string, description: string}} documentType - Entry from documentTypes
+ * @param {Object} jsonSchema - The type's schema as a JSON schema
+ * @param {string[]} [validationErrors] - Problems with the previous answer
+ * @returns {string} System instructions
+ */
+export function documentTypeInstructions(documentType, jsonSchema, validationErrors = []) {
+  const instructions = [
+    `You are an expert at extracting structured information from documents. The document is ${documentType.description}. Return a JSON object with exactly the fields of this JSON schema:`,
+    JSON.stringify(jsonSchema),
+    SCHEMA_RULES,
+  ];
+  if (validationErrors.length) {
+    instructions.push(`Your previous answer did not match the schema: ${validationErrors.join("; ")}. Correct these fields.`);
+  }
+  return instructions.join("\n\n");
+}
+
+export function categoryInstructions(documentCategories) {
+  const choices = documentCategories.map(({ id, label }) => `"${id}" (${label.toLowerCase()})`).join(", ");
+  return `You sort documents by type. Decide which category this document belongs to: ${choices}. Return a JSON object with the category and your confidence in it from 0 to 1.`;
+}
+
+function imageSubject(imageCount) {
+  return imageCount > 1 ? "these images (the pages of one document, in order)" : "this image";
+}
+
+export function imageTextPrompt(imageCount) {
+  return `Extract all text content from ${imageSubject(imageCount)}. Return only the extracted text without any formatting or additional commentary.`;
+}
+
+export function imageStructuredPrompt(imageCount) {
+  return `Analyze ${imageSubject(imageCount)} and extract structured information:`;
+}
+
+export function textStructuredPrompt(text) {
+  return `Text to analyze:\n${text}`;
+}
+
+// A reply that is not a JSON object counts as "no structured data" rather than a failure
+export function parseStructuredJson(content) {
+  if (!content) return {};
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (parseError) {
+    console.warn('Failed to parse structured data JSON:', parseError);
+    return {};
+  }
+}
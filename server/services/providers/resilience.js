@@ -0,0 +1,305 @@
+// Retries, timeouts and a circuit breaker around every AI provider call.
+//
+// Rate limits (429), server errors (5xx), timeouts and dropped connections are
+// retried with exponential backoff and full jitter, waiting at least as long
+// as the provider's Retry-After asks. Errors retrying cannot fix (a bad
+// request, a wrong key, an exhausted quota) fail at once. Repeated transient
+// failures open the provider's circuit: calls then fail immediately until it
+// has had time to recover, when one trial call is let through.
+
+export const AI_TIMEOUT = 'AI_TIMEOUT';
+export const AI_CIRCUIT_OPEN = 'AI_CIRCUIT_OPEN';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+// Vision requests on large documents can take a minute
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_RETRY_BASE_MS = 1000;
+// Also the longest Retry-After honoured; asked to wait longer, the call fails instead
+const DEFAULT_RETRY_MAX_MS = 30000;
+const DEFAULT_CIRCUIT_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_RESET_MS = 60000;
+
+// Connection failures from fetch and Node sockets, with no HTTP status
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+function readPositiveInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts - Attempts per call, the first included
+ * @property {number} timeoutMs - Time allowed for one attempt
+ * @property {number} retryBaseMs - Backoff before the first retry, doubled for each one after
+ * @property {number} retryMaxMs - Longest wait between attempts
+ * @property {number} circuitThreshold - Consecutive transient failures that open the circuit
+ * @property {number} circuitResetMs - How long an open circuit rejects calls before a trial call
+ */
+
+/**
+ * Read the retry policy from the environment: AI_MAX_ATTEMPTS, AI_TIMEOUT_MS,
+ * AI_RETRY_BASE_MS, AI_RETRY_MAX_MS, AI_CIRCUIT_THRESHOLD and AI_CIRCUIT_RESET_MS.
+ *
+ * @param {Object} [env=process.env]
+ * @returns {RetryPolicy}
+ */
+export function retryPolicyFromEnv(env = process.env) {
+  return {
+    maxAttempts: readPositiveInt(env.AI_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS),
+    timeoutMs: readPositiveInt(env.AI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    retryBaseMs: readPositiveInt(env.AI_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS),
+    retryMaxMs: readPositiveInt(env.AI_RETRY_MAX_MS, DEFAULT_RETRY_MAX_MS),
+    circuitThreshold: readPositiveInt(env.AI_CIRCUIT_THRESHOLD, DEFAULT_CIRCUIT_THRESHOLD),
+    circuitResetMs: readPositiveInt(env.AI_CIRCUIT_RESET_MS, DEFAULT_CIRCUIT_RESET_MS),
+  };
+}
+
+/**
+ * State of a provider's circuit breaker
+ *
+ * @typedef {Object} CircuitState
+ * @property {'closed'|'open'|'half_open'} state - closed: calls go through; open: calls are rejected;
+ *   half_open: one trial call decides whether to close it again
+ * @property {number} consecutiveFailures - Transient failures since the last success
+ * @property {string|null} openedAt - When it last opened (ISO 8601)
+ * @property {string|null} retryAt - When an open circuit lets a trial call through (ISO 8601)
+ */
+
+/**
+ * Stops calling a provider after repeated transient failures.
+ */
+export class CircuitBreaker {
+  constructor({ threshold = DEFAULT_CIRCUIT_THRESHOLD, resetMs = DEFAULT_CIRCUIT_RESET_MS, now = Date.now } = {}) {
+    this.threshold = threshold;
+    this.resetMs = resetMs;
+    this.now = now;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may go out now. An open circuit past its reset time turns
+   * half-open and lets exactly one call through.
+   *
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.resetMs) {
+      this.state = 'half_open';
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  // The provider answered, even if with an error retrying would not fix
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * @returns {CircuitState}
+   */
+  describe() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt === null ? null : new Date(this.openedAt).toISOString(),
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetMs).toISOString() : null,
+    };
+  }
+}
+
+function isRetryable(error) {
+  if (error?.code === AI_TIMEOUT) return true;
+  // An exhausted quota does not come back in seconds
+  if (error?.code === 'insufficient_quota' || error?.type === 'insufficient_quota') return false;
+  if (typeof error?.status === 'number') {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+  const code = error?.code ?? error?.cause?.code;
+  return error?.name === 'APIConnectionError' || NETWORK_ERROR_CODES.includes(code) || /fetch failed/i.test(error?.message ?? '');
+}
+
+function readHeader(headers, name) {
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+}
+
+/**
+ * How long the provider asked to wait, from retry-after-ms (OpenAI) or
+ * Retry-After in seconds or as an HTTP date.
+ *
+ * @param {Object} error - Error from the provider SDK
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Milliseconds, or null when the response did not say
+ */
+export function retryAfterMs(error, now = Date.now()) {
+  const headers = error?.headers ?? error?.response?.headers;
+  const milliseconds = Number(readHeader(headers, 'retry-after-ms'));
+  if (readHeader(headers, 'retry-after-ms') !== null && Number.isFinite(milliseconds)) return Math.max(0, milliseconds);
+
+  const retryAfter = readHeader(headers, 'retry-after');
+  if (retryAfter === null) return null;
+  if (/^\d+(\.\d+)?$/.test(retryAfter)) return Number(retryAfter) * 1000;
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Full jitter: anywhere up to the exponential backoff, so clients that failed together retry apart
+function backoffMs(attempt, policy, random) {
+  return Math.round(random() * Math.min(policy.retryMaxMs, policy.retryBaseMs * 2 ** (attempt - 1)));
+}
+
+// Aborts the request when it takes too long; the SDKs stop on the signal
+async function withTimeout(run, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`No response within ${timeoutMs} ms`);
+      error.code = AI_TIMEOUT;
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * One try at a provider call, as recorded on the document
+ *
+ * @typedef {Object} AiAttempt
+ * @property {string} provider - AI provider id
+ * @property {string|null} model - Model requested
+ * @property {'textToStructured'|'imageToText'|'imageToStructured'} operation - Provider method called
+ * @property {string|null} request - Name of the response schema, e.g. "invoice" (null for free-form requests)
+ * @property {number} attempt - 1 for the first try of a call
+ * @property {string} startedAt - ISO 8601 timestamp
+ * @property {number} durationMs - Time until the response or failure
+ * @property {'success'|'error'|'timeout'|'circuit_open'} outcome - circuit_open: not sent because the circuit was open
+ * @property {number|null} status - HTTP status of a failed attempt, when there was a response
+ * @property {string|null} error - Why the attempt failed
+ * @property {number|null} retryAfterMs - Wait the provider asked for
+ * @property {number|null} retryInMs - Wait before the next attempt (null when none followed)
+ */
+
+/**
+ * Wraps a provider so every call is retried, timed out and guarded by the
+ * provider's circuit breaker. Each method takes an extra onAttempt option
+ * that receives an AiAttempt per try.
+ */
+export class ResilientProvider {
+  /**
+   * @param {AiProvider} provider - Provider to wrap
+   * @param {RetryPolicy} [policy] - Retry policy; from the environment when omitted
+   * @param {Object} [options]
+   * @param {(ms: number) => Promise<void>} [options.sleep] - Waits between attempts
+   * @param {() => number} [options.random] - Jitter source, 0 to 1
+   * @param {() => number} [options.now] - Clock for the circuit breaker
+   */
+  constructor(provider, policy = retryPolicyFromEnv(), { sleep, random = Math.random, now = Date.now } = {}) {
+    this.provider = provider;
+    this.policy = policy;
+    this.id = provider.id;
+    this.label = provider.label;
+    this.apiKeyVariable = provider.apiKeyVariable;
+    this.defaultModel = provider.defaultModel;
+    this.circuit = new CircuitBreaker({ threshold: policy.circuitThreshold, resetMs: policy.circuitResetMs, now });
+    this.sleep = sleep ?? ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this.random = random;
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  textToStructured(text, options) {
+    return this.call('textToStructured', text, options);
+  }
+
+  imageToText(images, options) {
+    return this.call('imageToText', images, options);
+  }
+
+  imageToStructured(images, options) {
+    return this.call('imageToStructured', images, options);
+  }
+
+  async call(operation, input, { onAttempt = () => {}, ...options } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const record = {
+        provider: this.id,
+        model: options.model ?? null,
+        operation,
+        request: options.schema?.name ?? null,
+        attempt,
+        startedAt: new Date().toISOString(),
+        durationMs: 0,
+        outcome: 'success',
+        status: null,
+        error: null,
+        retryAfterMs: null,
+        retryInMs: null,
+      };
+
+      if (!this.circuit.allowRequest()) {
+        const { retryAt } = this.circuit.describe();
+        const error = new Error(`${this.label} calls are paused after repeated failures; next try after ${retryAt}`);
+        error.code = AI_CIRCUIT_OPEN;
+        onAttempt({ ...record, outcome: 'circuit_open', error: error.message });
+        throw error;
+      }
+
+      const started = Date.now();
+      try {
+        const result = await withTimeout((signal) => this.provider[operation](input, { ...options, signal }), this.policy.timeoutMs);
+        this.circuit.recordSuccess();
+        onAttempt({ ...record, durationMs: Date.now() - started });
+        return result;
+      } catch (error) {
+        const retryable = isRetryable(error);
+        if (retryable) this.circuit.recordFailure();
+        else this.circuit.recordSuccess();
+
+        const retryAfter = retryAfterMs(error);
+        const retryIn = Math.max(retryAfter ?? 0, backoffMs(attempt, this.policy, this.random));
+        const retrying = retryable && attempt < this.policy.maxAttempts && retryIn <= this.policy.retryMaxMs;
+        onAttempt({
+          ...record,
+          durationMs: Date.now() - started,
+          outcome: error?.code === AI_TIMEOUT ? 'timeout' : 'error',
+          status: typeof error?.status === 'number' ? error.status : null,
+          error: error?.message ?? String(error),
+          retryAfterMs: retryAfter,
+          retryInMs: retrying ? retryIn : null,
+        });
+        if (!retrying) throw error;
+        await this.sleep(retryIn);
+      }
+    }
+  }
+}
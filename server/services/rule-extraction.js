@@ -0,0 +1,319 @@
+// Structured data from the standard extraction text, without AI.
+//
+// Finds emails, phone numbers (as E.164), dates, currency amounts, ID and
+// reference numbers, postal codes and "Key: value" lines. A document of a known
+// type gets the same schema as the AI path, filled from its labelled lines and
+// those findings, and for passports and ID cards from the machine-readable
+// zone; other documents get the findings as free-form data. Nothing leaves the
+// server.
+
+import { findDates } from "./dates.js";
+import { findSaIdNumbers } from "./sa-id.js";
+import { toJsonSchema } from "./providers/json-schema.js";
+import { findDocumentType } from "../../shared/schema.js";
+
+// National numbers (leading 0) are taken to be South African
+const DEFAULT_CALLING_CODE = '27';
+// A label matches a field when this share of their words agree
+const MIN_LABEL_MATCH = 0.5;
+const MAX_LABEL_WORDS = 5;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi;
+// +27 82 123 4567, +44 (0)20 7946 0958, 0027 21 555 1234, (021) 555-1234, 082 123 4567
+const PHONE_PATTERNS = [
+  /(?<![\w+])(?:\+|00)\d{1,3}[ .-]?(?:\(0\)[ .-]?)?\(?\d{1,4}\)?(?:[ .-]?\d{2,4}){2,4}(?!\d)/g,
+  /(?<![\w+])\(?0\d{2}\)?[ .-]?\d{3}[ .-]?\d{4}(?!\d)/g,
+];
+const CURRENCY_SYMBOLS = { R: 'ZAR', $: 'USD', '€': 'EUR', '£': 'GBP' };
+const CURRENCY_CODES = ['ZAR', 'USD', 'EUR', 'GBP', 'NAD', 'BWP', 'KES', 'NGN', 'AUD', 'CAD', 'CHF', 'JPY', 'CNY', 'INR'];
+const NUMBER = String.raw`\d{1,3}(?:[ ,.' ]\d{3})*(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?`;
+const AMOUNT_PATTERNS = [
+  // R 1 250.00, $12.50, ZAR 1250
+  new RegExp(String.raw`(?<![\p{L}\d])(R|\$|€|£|${CURRENCY_CODES.join('|')})\s?(-?(?:${NUMBER}))(?![\d])`, 'gu'),
+  // 1 250,00 EUR
+  new RegExp(String.raw`(?<![\d.,])(-?(?:${NUMBER}))\s?(${CURRENCY_CODES.join('|')})(?!\p{L})`, 'gu'),
+];
+// INV-1001, ABC/2024/17, PO123456: letters and digits, at least two digits
+const REFERENCE_PATTERN = /(?<![\w/-])(?=[A-Z0-9/-]*[A-Z])(?=(?:[A-Z/-]*\d){2})[A-Z0-9]+(?:[-/][A-Z0-9]+)*(?![\w/-])/g;
+const REFERENCE_LENGTH = { min: 5, max: 20 };
+const REFERENCE_LABEL = /\b(ref(erence)?|invoice|order|account|policy|customer|client|member|case|ticket|transaction)\b.*\b(no|nr|number|#|ref(erence)?|id)\b|\bref(erence)?\b/i;
+const POSTAL_CODE_PATTERNS = [
+  // UK: SW1A 1AA
+  /\b[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}\b/g,
+  // US: NY 10001, CA 94105-1234
+  /(?<=\b[A-Z]{2} )\d{5}(?:-\d{4})?\b/g,
+  // South Africa and others with four digits after the town: "Cape Town 8001", but not "June 2024"
+  /(?<=\p{Lu}[\p{L}]+,? )(?<!\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*,? )\d{4}(?=\s*$)/gimu,
+];
+const POSTAL_CODE_LABEL = /\b(postal ?code|post ?code|postcode|zip( code)?|code)\b/i;
+const ID_LABEL = /\b(id|identity|passport|national id)\b.*\b(no|nr|number)\b/i;
+
+// Labels say "No." where schemas say "number"
+const WORD_EXPANSIONS = {
+  no: ['number'], nr: ['number'], num: ['number'], ref: ['reference'], acc: ['account'], acct: ['account'],
+  dob: ['date', 'of', 'birth'], tel: ['phone'], cell: ['phone'], mobile: ['phone'], telephone: ['phone'], mail: ['email'],
+};
+
+function toCamelCase(label) {
+  const words = label.toLowerCase().match(/[a-z0-9]+/g) || [];
+  return words.map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+}
+
+function words(text) {
+  const found = String(text)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/e-mail/g, 'email')
+    .match(/[a-z0-9]+/g) || [];
+  // "names" and "name" are the same field
+  return new Set(found.flatMap((word) => WORD_EXPANSIONS[word] || [word]).map((word) => (word.length > 3 ? word.replace(/s$/, '') : word)));
+}
+
+function overlap(a, b) {
+  const shared = [...a].filter((word) => b.has(word)).length;
+  return shared / new Set([...a, ...b]).size;
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+/**
+ * "Key: value" lines, in order, with the value trimmed. Times ("at 12:30") and
+ * URLs are not labels, nor are sentences that happen to hold a colon.
+ */
+function labelledPairs(text) {
+  const pairs = [];
+  for (const line of String(text).split('\n')) {
+    const match = line.match(/^\s*(\p{L}[^:\n]{0,40}?)\s*:\s*(\S.*?)\s*$/u);
+    if (!match || match[2].startsWith('//') || /\d$/.test(match[1]) || match[1].split(/\s+/).length > MAX_LABEL_WORDS) continue;
+    pairs.push({ label: match[1], value: match[2] });
+  }
+  return pairs;
+}
+
+function toE164(raw) {
+  const cleaned = raw.replace(/\(0\)/g, '');
+  const digits = cleaned.replace(/\D/g, '');
+  let number;
+  if (cleaned.trim().startsWith('+')) number = digits;
+  else if (digits.startsWith('00')) number = digits.slice(2);
+  else if (digits.startsWith('0') && digits.length === 10) number = DEFAULT_CALLING_CODE + digits.slice(1);
+  else return null;
+  // E.164: country code and subscriber number, at most 15 digits
+  return number.length >= 8 && number.length <= 15 && number[0] !== '0' ? `+${number}` : null;
+}
+
+/**
+ * Parse an amount as written: "1 250,00", "1,250.00", "1.250,00", "-12.5".
+ * The last separator followed by one or two digits is the decimal point.
+ *
+ * @param {string} text - Amount, with or without a currency
+ * @returns {number|null} The amount, or null when the text holds no number
+ */
+export function parseAmount(text) {
+  const match = String(text).match(/-?\d[\d ,.' ]*/);
+  if (!match) return null;
+  const raw = match[0].trim().replace(/[ ,.' ]+$/, '');
+  const decimal = raw.match(/[.,](\d{1,2})$/);
+  const whole = (decimal ? raw.slice(0, -decimal[0].length) : raw).replace(/[^\d-]/g, '');
+  const value = Number(`${whole}${decimal ? `.${decimal[1]}` : ''}`);
+  return Number.isFinite(value) ? value : null;
+}
+
+function findPhoneNumbers(text) {
+  const found = [];
+  for (const pattern of PHONE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const number = toE164(match[0]);
+      if (number) found.push({ index: match.index, number });
+    }
+  }
+  return unique(found.sort((a, b) => a.index - b.index).map(({ number }) => number));
+}
+
+function findAmounts(text) {
+  const found = [];
+  AMOUNT_PATTERNS.forEach((pattern, patternIndex) => {
+    for (const match of text.matchAll(pattern)) {
+      const [symbol, number] = patternIndex === 0 ? [match[1], match[2]] : [match[2], match[1]];
+      const amount = parseAmount(number);
+      if (amount !== null) found.push({ index: match.index, amount, currency: CURRENCY_SYMBOLS[symbol] || symbol });
+    }
+  });
+  return found.sort((a, b) => a.index - b.index).map(({ amount, currency }) => ({ amount, currency }));
+}
+
+function findReferenceNumbers(text, pairs, excluded) {
+  const labelled = pairs
+    .filter(({ label }) => REFERENCE_LABEL.test(label))
+    .map(({ value }) => value.split(/\s+/)[0]);
+  const patterned = [...text.matchAll(REFERENCE_PATTERN)]
+    .map((match) => match[0])
+    .filter((value) => value.length >= REFERENCE_LENGTH.min && value.length <= REFERENCE_LENGTH.max);
+  return unique([...labelled, ...patterned]).filter((value) => !excluded.has(value.replace(/[\s-]/g, '')));
+}
+
+function findPostalCodes(text, pairs) {
+  const labelled = pairs.filter(({ label }) => POSTAL_CODE_LABEL.test(label)).map(({ value }) => value);
+  const patterned = POSTAL_CODE_PATTERNS.flatMap((pattern) => [...text.matchAll(pattern)].map((match) => match[0]));
+  return unique([...labelled, ...patterned]);
+}
+
+/**
+ * Everything the rules find in a text, before it is shaped into a schema.
+ *
+ * @param {string} text - Standard extraction text
+ * @returns {{pairs: {label: string, value: string}[], emails: string[], phoneNumbers: string[], dates: string[],
+ *   amounts: {amount: number, currency: string}[], idNumbers: string[], referenceNumbers: string[], postalCodes: string[]}}
+ */
+function findAll(text) {
+  const pairs = labelledPairs(text);
+  const idNumbers = unique([
+    ...findSaIdNumbers([{ source: 'standard', text }]).filter((id) => id.valid).map((id) => id.idNumber),
+    ...pairs.filter(({ label }) => ID_LABEL.test(label)).map(({ value }) => value.split(/\s{2,}/)[0]),
+  ]);
+  const phoneNumbers = findPhoneNumbers(text);
+  return {
+    pairs,
+    emails: unique((text.match(EMAIL_PATTERN) || []).map((email) => email.toLowerCase())),
+    phoneNumbers,
+    // Day first where both readings are possible
+    dates: unique(findDates(text).sort((a, b) => a.index - b.index).map((date) => date.dates[0])),
+    amounts: findAmounts(text),
+    idNumbers,
+    referenceNumbers: findReferenceNumbers(text, pairs, new Set([...idNumbers, ...phoneNumbers.map((number) => number.slice(1))])),
+    postalCodes: findPostalCodes(text, pairs),
+  };
+}
+
+function coerce(value, property) {
+  const types = [property.type].flat();
+  if (types.includes('number')) return parseAmount(value);
+  if (property.enum) {
+    const lower = value.trim().toLowerCase();
+    return property.enum.find((option) => option && (option === lower || option[0] === lower)) ?? null;
+  }
+  if (/YYYY-MM-DD/.test(property.description || '')) return findDates(value)[0]?.dates[0] ?? null;
+  return value;
+}
+
+// Values for fields no label named, from what the rules found
+function detectedValue(key, found) {
+  if (/email/i.test(key)) return found.emails[0];
+  if (/phone/i.test(key)) return found.phoneNumbers[0];
+  if (/^idNumber$/.test(key)) return found.idNumbers[0];
+  if (/postalCode/.test(key)) return found.postalCodes[0];
+  if (/^currency$/.test(key)) return found.amounts[0]?.currency;
+  return undefined;
+}
+
+/**
+ * Fill a document type's schema: each labelled line goes to the field whose
+ * name or description shares most of its words ("Invoice No" to invoiceNumber,
+ * "Amount due" to totalAmount), best matches first, each line used once.
+ * Lists are left empty; the rules do not read line items.
+ */
+function fillSchema(documentType, found) {
+  const jsonSchema = toJsonSchema(documentType.schema);
+  const properties = Object.entries(jsonSchema.properties);
+  const candidates = [];
+  for (const [key, property] of properties) {
+    if ([property.type].flat().includes('array')) continue;
+    const fieldWords = words(key);
+    const descriptionWords = words((property.description || '').replace(/\(.*?\)|,.*$/g, ''));
+    found.pairs.forEach((pair, pairIndex) => {
+      const labelWords = words(pair.label);
+      const score = Math.max(overlap(labelWords, fieldWords), overlap(labelWords, descriptionWords));
+      if (score >= MIN_LABEL_MATCH) candidates.push({ key, property, pairIndex, score });
+    });
+  }
+
+  const structuredData = Object.fromEntries(properties.map(([key, property]) =>
+    [key, [property.type].flat().includes('array') ? [] : null]));
+  const usedPairs = new Set();
+  for (const { key, property, pairIndex, score } of candidates.sort((a, b) => b.score - a.score)) {
+    if (structuredData[key] !== null || usedPairs.has(pairIndex)) continue;
+    const value = coerce(found.pairs[pairIndex].value, property);
+    if (value === null) continue;
+    structuredData[key] = value;
+    usedPairs.add(pairIndex);
+  }
+  for (const [key, property] of properties) {
+    const detected = structuredData[key] === null ? detectedValue(key, found) : undefined;
+    if (detected !== undefined) structuredData[key] = property.enum ? coerce(detected, property) : detected;
+  }
+  return structuredData;
+}
+
+// Schema values the machine-readable zone holds, by document type
+function mrzValues(documentType, mrz) {
+  const person = {
+    surname: mrz.surname,
+    givenNames: mrz.givenNames,
+    nationality: mrz.nationality,
+    dateOfBirth: mrz.dateOfBirth,
+    sex: mrz.sex,
+    expiryDate: mrz.expiryDate,
+  };
+  if (documentType === 'passport') {
+    return { ...person, passportNumber: mrz.documentNumber, issuingCountry: mrz.issuingCountry };
+  }
+  if (documentType === 'id_card') {
+    // ID cards keep the personal number in the optional data, after the card number
+    return { ...person, idNumber: mrz.optionalData || mrz.documentNumber };
+  }
+  return {};
+}
+
+/**
+ * Fill fields from the machine-readable zone. Its values replace what the
+ * labels gave when every check digit is correct; otherwise they only fill
+ * fields the labels left empty.
+ */
+function applyMrz(structuredData, documentType, mrz) {
+  for (const [key, value] of Object.entries(mrzValues(documentType, mrz))) {
+    if (value && (mrz.valid || structuredData[key] === null)) structuredData[key] = value;
+  }
+}
+
+// Labelled lines by camelCase key (the first of each wins), then the findings
+function freeForm(found) {
+  const structuredData = {};
+  for (const { label, value } of found.pairs) {
+    const key = toCamelCase(label);
+    if (key && !(key in structuredData)) structuredData[key] = value;
+  }
+  const { pairs: _pairs, ...lists } = found;
+  for (const [key, values] of Object.entries(lists)) {
+    if (values.length) structuredData[key] = values;
+  }
+  return structuredData;
+}
+
+/**
+ * Extract structured data from text with rules alone.
+ *
+ * @param {string} text - Standard extraction text
+ * @param {Object} [options]
+ * @param {string|null} [options.documentType] - Id from documentTypes whose schema to fill; free-form data otherwise
+ * @param {Mrz|null} [options.mrz] - Machine-readable zone found by standard extraction, for passports and ID cards
+ * @returns {RuleExtractionResult} Structured data shaped like the AI path's
+ */
+export function extractStructuredDataByRules(text, { documentType = null, mrz = null } = {}) {
+  const found = findAll(String(text || ''));
+  const type = findDocumentType(documentType);
+  if (!type) {
+    return { structuredData: freeForm(found), documentType: 'other', schemaValid: null, validationErrors: [] };
+  }
+
+  const structuredData = fillSchema(type, found);
+  if (mrz) applyMrz(structuredData, type.id, mrz);
+  const parsed = type.schema.safeParse(structuredData);
+  return {
+    structuredData,
+    documentType: type.id,
+    schemaValid: parsed.success,
+    validationErrors: parsed.success ? [] : parsed.error.issues.map((issue) => `${issue.path.join('.')}: ${issue.message}`),
+  };
+}
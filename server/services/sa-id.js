@@ -0,0 +1,102 @@
+// South African ID numbers: YYMMDD SSSS C A Z
+//
+// YYMMDD is the date of birth, SSSS a sequence number (0000-4999 female,
+// 5000-9999 male), C the citizenship status (0 citizen, 1 permanent resident,
+// 2 refugee), A a digit that no longer carries meaning and Z a Luhn check digit.
+
+const CITIZENSHIP = { 0: 'citizen', 1: 'permanent_resident', 2: 'refugee' };
+
+// 13 digits, also as printed on green ID books and smart cards: "900101 5009 08 7"
+const ID_NUMBER_PATTERN = /(?<!\d)(\d{6})[ -]?(\d{4})[ -]?(\d{2})[ -]?(\d)(?!\d)/g;
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// The number only has a two-digit year: take the latest century that is not in the future
+function decodeBirthDate(yymmdd, today) {
+  const [yy, month, day] = [yymmdd.slice(0, 2), yymmdd.slice(2, 4), yymmdd.slice(4, 6)].map(Number);
+  const thisYear = today.getUTCFullYear();
+  const century = Math.floor(thisYear / 100) * 100;
+  const candidate = isoDate(century + yy, month, day);
+  if (candidate && candidate <= today.toISOString().slice(0, 10)) return candidate;
+  return isoDate(century - 100 + yy, month, day);
+}
+
+/**
+ * Check and decode one South African ID number.
+ *
+ * An ID number is valid when its check digit, date of birth and citizenship
+ * digit are all correct. The date of birth is compared with the submitted one on
+ * all six digits, so it is right whichever century the two-digit year means.
+ *
+ * @param {string} value - 13 digits, spaces and hyphens allowed
+ * @param {Object} [options]
+ * @param {string} [options.dateOfBirth] - Submitted date of birth (YYYY-MM-DD) to cross-check
+ * @param {Date} [options.today=new Date()] - Reference date for the century of the birth year
+ * @returns {SaIdNumber|null} Decoded number, or null when it is not 13 digits
+ */
+export function decodeSaIdNumber(value, { dateOfBirth, today = new Date() } = {}) {
+  const idNumber = String(value).replace(/[\s-]/g, '');
+  if (!/^\d{13}$/.test(idNumber)) return null;
+
+  const birthDate = decodeBirthDate(idNumber.slice(0, 6), today);
+  const citizenship = CITIZENSHIP[idNumber[10]] ?? null;
+  const checksumValid = luhnValid(idNumber);
+
+  return {
+    idNumber,
+    valid: checksumValid && Boolean(birthDate) && Boolean(citizenship),
+    checksumValid,
+    dateOfBirth: birthDate,
+    gender: Number(idNumber.slice(6, 10)) < 5000 ? 'female' : 'male',
+    citizenship,
+    dateOfBirthMatches: dateOfBirth && birthDate
+      ? dateOfBirth.slice(2).replace(/-/g, '') === idNumber.slice(0, 6)
+      : null,
+  };
+}
+
+/**
+ * Find South African ID numbers in extracted text.
+ *
+ * Every 13-digit number that starts with a real date is reported, valid or not,
+ * so a misread digit shows up as a failed checksum rather than disappearing;
+ * other 13-digit numbers (barcodes, account numbers) are left out. Each number
+ * is listed once, with the extraction methods that found it.
+ *
+ * @param {{source: 'standard'|'ai', text: string}[]} texts - Text from each extraction method
+ * @param {Object} [options] - dateOfBirth to cross-check and today, as for decodeSaIdNumber()
+ * @returns {SaIdNumber[]} ID numbers in the order they were first found
+ */
+export function findSaIdNumbers(texts, options = {}) {
+  const found = new Map();
+  for (const { source, text } of texts) {
+    for (const match of String(text || '').matchAll(ID_NUMBER_PATTERN)) {
+      const decoded = decodeSaIdNumber(match[0], options);
+      if (!decoded.dateOfBirth) continue;
+      const existing = found.get(decoded.idNumber);
+      if (existing) {
+        if (!existing.sources.includes(source)) existing.sources.push(source);
+      } else {
+        found.set(decoded.idNumber, { ...decoded, sources: [source] });
+      }
+    }
+  }
+  return [...found.values()];
+}
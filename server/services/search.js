@@ -0,0 +1,227 @@
+// Full-text search over extracted document text.
+//
+// MemStorage keeps a SearchIndex in memory; DatabaseStorage stores the output of
+// buildSearchText() in a tsvector column. Both tokenize with tokenize() so a query
+// matches the same documents on either backend, and both build snippets here.
+
+const SEARCHABLE_FIELDS = ['standardExtractedText', 'rawExtractedText', 'structuredData', 'formFields'];
+
+// Raise whenever tokenize() or the searchable fields change, so stored vectors are rebuilt
+export const SEARCH_INDEX_VERSION = 2;
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Lowercase, strip accents and split on anything that is not a letter or digit.
+ * "INV-2024/017" becomes ["inv", "2024", "017"], and "Zoë" becomes ["zoe"].
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Flattens structured data into "key value" lines so both keys and values are searchable
+function flattenStructuredData(data, prefix = '') {
+  if (data === null || data === undefined) return [];
+  if (typeof data !== 'object') return [`${prefix} ${data}`.trim()];
+
+  return Object.entries(data).flatMap(([key, value]) => {
+    const label = Array.isArray(data) ? prefix : `${prefix} ${key}`.trim();
+    return typeof value === 'object' && value !== null
+      ? flattenStructuredData(value, label)
+      : [`${label} ${value ?? ''}`.trim()];
+  });
+}
+
+/**
+ * The searchable text of a document, one entry per field.
+ *
+ * @param {Object} doc - Processed document
+ * @returns {{field: string, text: string}[]}
+ */
+export function getSearchableFields(doc) {
+  const structuredData = doc.aiExtractedData && !doc.aiExtractedData.errorOccurred
+    ? doc.aiExtractedData.structuredData
+    : null;
+
+  const texts = {
+    standardExtractedText: doc.standardExtractedText || '',
+    rawExtractedText: doc.rawExtractedText && doc.rawExtractedText !== doc.standardExtractedText
+      ? doc.rawExtractedText
+      : '',
+    structuredData: flattenStructuredData(structuredData).join('\n'),
+    // Values typed into a PDF form are not part of its text layer
+    formFields: (doc.formFields || [])
+      .filter((field) => typeof field.value !== 'boolean' && [field.value ?? ''].flat().join(''))
+      .map((field) => `${field.label || field.name} ${[field.value ?? ''].flat().join(' ')}`.trim())
+      .join('\n'),
+  };
+
+  return SEARCHABLE_FIELDS
+    .map((field) => ({ field, text: texts[field] }))
+    .filter(({ text }) => text.trim());
+}
+
+// Normalized token stream stored in the database's tsvector column
+export function buildSearchText(doc) {
+  return getSearchableFields(doc).flatMap(({ text }) => tokenize(text)).join(' ');
+}
+
+/**
+ * Cut highlighted snippets out of text around the query terms.
+ *
+ * @param {string} text - Original field text
+ * @param {Set<string>} terms - Tokenized query terms
+ * @param {Object} [options]
+ * @param {number} [options.maxSnippets=2] - Snippets per field
+ * @param {number} [options.contextChars=60] - Characters kept either side of a match
+ * @returns {{text: string, highlight: boolean}[][]} Segments of each snippet
+ */
+export function buildSnippets(text, terms, { maxSnippets = 2, contextChars = 60 } = {}) {
+  const matches = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}\u0300-\u036f]+/gu)) {
+    if (tokenize(match[0]).some((token) => terms.has(token))) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  // Group nearby matches into windows so one snippet can show several of them
+  const windows = [];
+  for (const match of matches) {
+    const current = windows[windows.length - 1];
+    if (current && match.start - current.end <= contextChars) {
+      current.end = match.end;
+      current.matches.push(match);
+    } else if (windows.length < maxSnippets) {
+      windows.push({ start: match.start, end: match.end, matches: [match] });
+    } else {
+      break;
+    }
+  }
+
+  return windows.map((window) => {
+    const start = Math.max(0, window.start - contextChars);
+    const end = Math.min(text.length, window.end + contextChars);
+    const segments = [];
+    let position = start;
+
+    for (const match of window.matches) {
+      if (match.start > position) segments.push({ text: text.slice(position, match.start), highlight: false });
+      segments.push({ text: text.slice(match.start, match.end), highlight: true });
+      position = match.end;
+    }
+    if (position < end) segments.push({ text: text.slice(position, end), highlight: false });
+
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+    first.text = (start > 0 ? '…' : '') + first.text.replace(/^\s+/, '');
+    last.text = last.text.replace(/\s+$/, '') + (end < text.length ? '…' : '');
+    return segments.map((segment) => ({ ...segment, text: segment.text.replace(/\s+/g, ' ') }));
+  });
+}
+
+/**
+ * Snippets for every searchable field of a document that contains a query term.
+ *
+ * @returns {{field: string, segments: {text: string, highlight: boolean}[]}[]}
+ */
+export function buildDocumentSnippets(doc, terms) {
+  return getSearchableFields(doc).flatMap(({ field, text }) =>
+    buildSnippets(text, terms).map((segments) => ({ field, segments }))
+  );
+}
+
+// Summary returned with each hit; the full document is at /api/processed-documents/:id
+export function toSearchResult(doc, score, terms) {
+  return {
+    document: {
+      id: doc.id,
+      fullName: doc.fullName,
+      fileName: doc.fileName,
+      fileType: doc.fileType,
+      processingMethod: doc.processingMethod,
+      createdAt: doc.createdAt,
+    },
+    score,
+    snippets: buildDocumentSnippets(doc, terms),
+  };
+}
+
+/**
+ * Inverted index with BM25 ranking, used by MemStorage.
+ *
+ * Documents match when they contain any query term; documents containing more
+ * of the terms, or rarer terms, rank higher.
+ */
+export class SearchIndex {
+  constructor() {
+    this.postings = new Map();     // term -> Map<docId, term frequency>
+    this.documentLengths = new Map();
+    this.totalLength = 0;
+  }
+
+  add(doc) {
+    this.remove(doc.id);
+
+    const tokens = tokenize(buildSearchText(doc));
+    for (const token of tokens) {
+      if (!this.postings.has(token)) this.postings.set(token, new Map());
+      const frequencies = this.postings.get(token);
+      frequencies.set(doc.id, (frequencies.get(doc.id) || 0) + 1);
+    }
+
+    this.documentLengths.set(doc.id, tokens.length);
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    if (!this.documentLengths.has(id)) return;
+
+    for (const [token, frequencies] of this.postings) {
+      frequencies.delete(id);
+      if (frequencies.size === 0) this.postings.delete(token);
+    }
+    this.totalLength -= this.documentLengths.get(id);
+    this.documentLengths.delete(id);
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documentLengths.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * @param {string[]} terms - Tokenized, de-duplicated query terms
+   * @returns {{id: string, score: number}[]} All matches, best first
+   */
+  search(terms) {
+    const documentCount = this.documentLengths.size;
+    if (documentCount === 0) return [];
+
+    const averageLength = this.totalLength / documentCount || 1;
+    const scores = new Map();
+
+    for (const term of terms) {
+      const frequencies = this.postings.get(term);
+      if (!frequencies) continue;
+
+      const idf = Math.log(1 + (documentCount - frequencies.size + 0.5) / (frequencies.size + 0.5));
+      for (const [id, frequency] of frequencies) {
+        const lengthNorm = 1 - B + B * (this.documentLengths.get(id) / averageLength);
+        const termScore = idf * (frequency * (K1 + 1)) / (frequency + K1 * lengthNorm);
+        scores.set(id, (scores.get(id) || 0) + termScore);
+      }
+    }
+
+    return Array.from(scores, ([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1));
+  }
+}
@@ -0,0 +1,168 @@
+// Table detection on the page model, so PDF text layers (points) and OCR pages
+// (pixels) go through the same code; every threshold is relative to text size.
+
+const CELL_GAP_FACTOR = 2.5;     // gaps wider than this many characters separate cells
+const ROW_GAP_FACTOR = 2.5;      // vertical gaps above this many row heights end a table
+const MIN_TABLE_ROWS = 2;
+const MIN_TABLE_COLUMNS = 2;
+const MAX_WORDS_PER_CELL = 4;    // median; prose that happens to have wide gaps has longer runs
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function unionBoxes(boxes) {
+  return {
+    x0: Math.min(...boxes.map((box) => box.x0)),
+    y0: Math.min(...boxes.map((box) => box.y0)),
+    x1: Math.max(...boxes.map((box) => box.x1)),
+    y1: Math.max(...boxes.map((box) => box.y1)),
+  };
+}
+
+// OCR often puts table columns in separate blocks, so rows are rebuilt from all words on the page
+function groupWordsIntoRows(words) {
+  const rows = [];
+  const sorted = [...words].sort((a, b) => (a.bbox.y0 + a.bbox.y1) - (b.bbox.y0 + b.bbox.y1));
+
+  for (const word of sorted) {
+    const center = (word.bbox.y0 + word.bbox.y1) / 2;
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(center - row.center) <= row.height / 2) {
+      row.words.push(word);
+    } else {
+      rows.push({ center, height: Math.max(1, word.bbox.y1 - word.bbox.y0), words: [word] });
+    }
+  }
+
+  return rows.map((row) => {
+    const rowWords = row.words.sort((a, b) => a.bbox.x0 - b.bbox.x0);
+    return { bbox: unionBoxes(rowWords.map((word) => word.bbox)), height: row.height, cells: splitIntoCells(rowWords) };
+  });
+}
+
+// Words closer than CELL_GAP_FACTOR characters belong to the same cell
+function splitIntoCells(words) {
+  const charWidth = words.reduce((sum, word) => sum + (word.bbox.x1 - word.bbox.x0) / Math.max(1, word.text.length), 0) / words.length;
+  const cells = [];
+  let previous = null;
+
+  for (const word of words) {
+    if (!previous || word.bbox.x0 - previous.bbox.x1 > charWidth * CELL_GAP_FACTOR) {
+      cells.push([]);
+    }
+    cells[cells.length - 1].push(word);
+    previous = word;
+  }
+
+  return cells.map((cellWords) => ({
+    text: cellWords.map((word) => word.text).join(' '),
+    bbox: unionBoxes(cellWords.map((word) => word.bbox)),
+    words: cellWords,
+  }));
+}
+
+// Consecutive rows with at least two cells, without a large vertical gap between them
+function findRowRuns(rows) {
+  const runs = [];
+  let run = [];
+
+  for (const row of rows) {
+    const previous = run[run.length - 1];
+    const isTableRow = row.cells.length >= MIN_TABLE_COLUMNS;
+    const isNear = previous && row.bbox.y0 - previous.bbox.y1 <= ROW_GAP_FACTOR * previous.height;
+    if (isTableRow && (run.length === 0 || isNear)) {
+      run.push(row);
+      continue;
+    }
+    if (run.length > 0) runs.push(run);
+    run = isTableRow ? [row] : [];
+  }
+  if (run.length > 0) runs.push(run);
+
+  return runs.filter((candidate) => candidate.length >= MIN_TABLE_ROWS);
+}
+
+// Columns are the horizontal extents of cells merged where they overlap
+function findColumns(rows) {
+  const extents = rows.flatMap((row) => row.cells.map((cell) => [cell.bbox.x0, cell.bbox.x1])).sort((a, b) => a[0] - b[0]);
+  const columns = [];
+  for (const [x0, x1] of extents) {
+    const last = columns[columns.length - 1];
+    if (last && x0 <= last[1]) {
+      last[1] = Math.max(last[1], x1);
+    } else {
+      columns.push([x0, x1]);
+    }
+  }
+  return columns;
+}
+
+function toTable(rows, columns, pageNumber, source) {
+  const words = rows.flatMap((row) => row.cells.flatMap((cell) => cell.words));
+  return {
+    pageNumber,
+    source,
+    bbox: unionBoxes(rows.map((row) => row.bbox)),
+    columnCount: columns.length,
+    confidence: roundTo(words.reduce((sum, word) => sum + word.confidence, 0) / words.length, 1),
+    rows: rows.map((row) => {
+      const cells = columns.map(() => []);
+      for (const cell of row.cells) {
+        const center = (cell.bbox.x0 + cell.bbox.x1) / 2;
+        const column = columns.findIndex(([x0, x1]) => center >= x0 && center <= x1);
+        cells[column].push(cell.text);
+      }
+      return cells.map((texts) => texts.join(' '));
+    }),
+  };
+}
+
+/**
+ * Find tables on the pages of the page model.
+ *
+ * Words are grouped into rows by vertical position and split into cells at
+ * wide horizontal gaps. Runs of consecutive rows with two or more cells whose
+ * cells line up into at least two columns become tables; runs whose cells read
+ * like prose (many words per cell) are skipped.
+ *
+ * @param {PageLayout[]} pageLayouts - Pages with blocks, lines and words
+ * @returns {DocumentTable[]} Tables in page order, top to bottom
+ */
+export function detectTables(pageLayouts) {
+  return pageLayouts.flatMap((page) => {
+    const words = page.blocks.flatMap((block) => block.lines.flatMap((line) => line.words)).filter((word) => word.text.trim());
+    if (words.length === 0) return [];
+
+    return findRowRuns(groupWordsIntoRows(words)).flatMap((rows) => {
+      const columns = findColumns(rows);
+      const wordsPerCell = rows.flatMap((row) => row.cells.map((cell) => cell.words.length));
+      if (columns.length < MIN_TABLE_COLUMNS || median(wordsPerCell) > MAX_WORDS_PER_CELL) return [];
+      return [toTable(rows, columns, page.pageNumber, page.source)];
+    });
+  });
+}
+
+/**
+ * Render a table as CSV (RFC 4180, CRLF line endings).
+ *
+ * Cells that a spreadsheet would run as a formula (starting with =, +, -, @)
+ * are prefixed with an apostrophe unless they are plain numbers such as -12.50.
+ *
+ * @param {DocumentTable} table - Table to render
+ * @returns {string} CSV text
+ */
+export function tableToCsv(table) {
+  return table.rows
+    .map((row) => row.map((cell) => {
+      const value = /^[=+\-@\t\r]/.test(cell) && !/^[+-]?[\d\s.,]+$/.test(cell) ? `'${cell}` : cell;
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(','))
+    .join('\r\n');
+}
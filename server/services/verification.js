@@ -0,0 +1,292 @@
+// Checks the name and date of birth typed into the upload form against what
+// standard and AI extraction found in the document.
+//
+// Every field gets a verdict per extraction method and an overall verdict that
+// combines the two. Values the document labels as the field come first: text
+// such as "Surname: ...", form fields named first_name, the MRZ and AI keys such
+// as dateOfBirth. When there are any, the field matches only if one of them
+// agrees and is a mismatch otherwise, wherever else the value appears. Only a
+// document without labelled values is searched as free text.
+
+import { findDates } from "./dates.js";
+
+const MATCH_THRESHOLD = 0.85;
+// Unlabelled text this close to the submitted name is reported as a mismatch
+const NEAR_MISS_THRESHOLD = 0.75;
+// "J." or "JR" for John Robert, only next to the surname
+const INITIAL_SCORE = 0.85;
+const INITIAL_DISTANCE = 3;
+
+// A mismatch from either method outranks a match from the other
+const VERDICT_RANK = { mismatch: 2, match: 1, not_found: 0 };
+
+const FIELD_LABELS = {
+  firstName: /\b(first ?names?|given ?names?|fore ?names?|christian ?names?|voorname?|prenoms?|nomes? proprios?)\b/,
+  lastName: /\b(surnames?|last ?names?|family ?names?|nom de famille|apelidos?|sobrenomes?)\b/,
+  dateOfBirth: /\b(date of birth|birth ?date|dob|born|geboortedatum|geboorte datum|date de naissance|data de nascimento)\b/,
+};
+
+// "Name: Jane Doe" holds both names; "Company name" holds neither
+const FULL_NAME_LABEL = /\b(full ?names?|names?|naam|nom|nome|holder)\b/;
+const NOT_A_PERSON_LABEL = /\b(company|organi[sz]ation|business|bank|branch|file|product|employer|street|user|vendor|supplier|merchant|issuer)\b/;
+
+function normalize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function roundScore(score) {
+  return Math.round(score * 100) / 100;
+}
+
+// Words with their position in the original text, so a match can be quoted as written
+function wordsOf(text) {
+  return [...String(text).matchAll(/[\p{L}\p{M}]+/gu)].map((m) => ({
+    value: normalize(m[0]).replace(/[^\p{L}]/gu, ''),
+    start: m.index,
+    end: m.index + m[0].length,
+  })).filter((word) => word.value);
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function isNear(start, end, anchor) {
+  if (!anchor) return false;
+  return (start > anchor.end && start - anchor.end <= INITIAL_DISTANCE)
+    || (end < anchor.start && anchor.start - end <= INITIAL_DISTANCE);
+}
+
+/**
+ * Best place in the words where the name appears, comparing word by word.
+ * Names of several words ("Mary Ann", "van der Merwe") must appear in order.
+ * With an anchor (the surname's position), initials next to it count too.
+ */
+function findName(nameWords, words, anchor = null) {
+  let best = { score: 0, start: -1, end: -1 };
+  const length = nameWords.length;
+
+  for (let i = 0; i + length <= words.length; i++) {
+    const near = isNear(i, i + length - 1, anchor);
+    let total = 0;
+    for (let k = 0; k < length; k++) {
+      const word = words[i + k].value;
+      total += near && word.length === 1 && word === nameWords[k][0]
+        ? INITIAL_SCORE
+        : similarity(nameWords[k], word);
+    }
+    const score = total / length;
+    if (score > best.score) best = { score, start: i, end: i + length - 1 };
+  }
+
+  // Initials written as one word: "JR Smith"
+  if (anchor && length > 1 && best.score < INITIAL_SCORE) {
+    const initials = nameWords.map((word) => word[0]).join('');
+    words.forEach((word, i) => {
+      if (word.value === initials && isNear(i, i, anchor)) {
+        best = { score: INITIAL_SCORE, start: i, end: i };
+      }
+    });
+  }
+  return best;
+}
+
+function quote(text, words, match) {
+  return text.slice(words[match.start].start, words[match.end].end);
+}
+
+// "dateOfBirth" and "personal.first_name" read as "date of birth" and "personal first name"
+function labelText(key) {
+  return normalize(String(key).replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_.\-/]+/g, ' '));
+}
+
+function labelledFields(label) {
+  const text = labelText(label);
+  const fields = Object.keys(FIELD_LABELS).filter((field) => FIELD_LABELS[field].test(text));
+  if (!fields.length && FULL_NAME_LABEL.test(text) && !NOT_A_PERSON_LABEL.test(text)) {
+    return ['firstName', 'lastName'];
+  }
+  return fields;
+}
+
+/**
+ * Label/value pairs written in the text: "Surname: Doe", "Surname<tab>Doe", or a
+ * label alone on its line with the value on the next line.
+ */
+function labelledLines(text) {
+  const lines = String(text).split('\n').map((line) => line.trim());
+  const pairs = [];
+  lines.forEach((line, index) => {
+    const [, label, value] = line.match(/^([^:\t]{2,40}?)\s*(?::|\t)\s*(.*)$/) || [null, line, ''];
+    if (!labelledFields(label).length) return;
+    // A label alone on its line is short; longer lines are sentences that mention a birth
+    if (!value && label.split(/\s+/).length > 4) return;
+    const labelValue = value || lines.slice(index + 1).find(Boolean);
+    if (labelValue) pairs.push({ label, value: labelValue });
+  });
+  return pairs;
+}
+
+function flattenStructuredData(data, path = []) {
+  if (data === null || data === undefined) return [];
+  if (typeof data !== 'object') return [{ label: path.join(' '), value: String(data) }];
+  return Object.entries(data).flatMap(([key, value]) =>
+    flattenStructuredData(value, Array.isArray(data) ? path : [...path, key]));
+}
+
+function verifyName(name, source, field, anchors) {
+  const nameWords = wordsOf(name).map((word) => word.value);
+  if (!nameWords.length) return { verdict: 'not_found', score: 0, found: null };
+
+  // The value given in a field meant for this name decides
+  let closest = null;
+  for (const candidate of source.labelled.filter((pair) => labelledFields(pair.label).includes(field))) {
+    const candidateWords = wordsOf(candidate.value);
+    const surname = field === 'firstName' && anchors?.lastNameWords
+      ? findName(anchors.lastNameWords, candidateWords)
+      : null;
+    const match = findName(nameWords, candidateWords, surname?.score >= MATCH_THRESHOLD ? surname : null);
+    if (match.score >= MATCH_THRESHOLD) {
+      return { verdict: 'match', score: roundScore(match.score), found: quote(candidate.value, candidateWords, match) };
+    }
+    if (!closest || match.score > closest.score) {
+      closest = { score: match.score, found: candidate.value };
+    }
+  }
+  if (closest) return { verdict: 'mismatch', score: roundScore(closest.score), found: closest.found };
+
+  const words = wordsOf(source.text);
+  const best = findName(nameWords, words, anchors?.text);
+  if (best.score >= MATCH_THRESHOLD) {
+    return { verdict: 'match', score: roundScore(best.score), found: quote(source.text, words, best), position: best };
+  }
+  if (best.score >= NEAR_MISS_THRESHOLD) {
+    return { verdict: 'mismatch', score: roundScore(best.score), found: quote(source.text, words, best) };
+  }
+  return { verdict: 'not_found', score: roundScore(best.score), found: null };
+}
+
+function verifyDateOfBirth(dateOfBirth, source) {
+  // Score a labelled birth date by how many of year, month and day agree
+  const [year, month, day] = dateOfBirth.split('-');
+  let closest = null;
+  for (const candidate of source.labelled.filter((pair) => labelledFields(pair.label).includes('dateOfBirth'))) {
+    for (const date of findDates(candidate.value)) {
+      for (const iso of date.dates) {
+        const [y, m, d] = iso.split('-');
+        const score = ((y === year) + (m === month) + (d === day)) / 3;
+        if (!closest || score > closest.score) closest = { score, found: date.text };
+      }
+    }
+  }
+  if (closest?.score === 1) return { verdict: 'match', score: 1, found: closest.found };
+  if (closest) return { verdict: 'mismatch', score: roundScore(closest.score), found: closest.found };
+
+  const exact = findDates(source.text).find((date) => date.dates.includes(dateOfBirth));
+  if (exact) return { verdict: 'match', score: 1, found: exact.text };
+  return { verdict: 'not_found', score: 0, found: null };
+}
+
+function verifySource(person, source) {
+  const lastName = verifyName(person.lastName, source, 'lastName');
+  // Initials of the first name only count right next to the surname
+  const anchors = {
+    text: lastName.verdict === 'match' ? lastName.position : null,
+    lastNameWords: wordsOf(person.lastName).map((word) => word.value),
+  };
+  const firstName = verifyName(person.firstName, source, 'firstName', anchors);
+  delete lastName.position;
+  delete firstName.position;
+
+  return {
+    firstName,
+    lastName,
+    dateOfBirth: verifyDateOfBirth(person.dateOfBirth, source),
+  };
+}
+
+// A field the two methods disagree on is a mismatch, never verified
+function combinedVerdict(standard, ai) {
+  const candidates = [['standard', standard], ['ai', ai]].filter(([, result]) => result);
+  candidates.sort(([, a], [, b]) => VERDICT_RANK[b.verdict] - VERDICT_RANK[a.verdict] || b.score - a.score);
+  const [source, result] = candidates[0];
+  return { ...result, source: result.verdict === 'not_found' ? null : source };
+}
+
+/**
+ * Compare the submitted name and date of birth with the extracted document.
+ *
+ * Names are compared without accents or case, word by word with an edit-distance
+ * score, so "Zoe Muller" matches "ZOË MÜLLER", and first and last name are looked
+ * for separately, so "MULLER, Zoe" matches too. A first name may also appear as
+ * initials right next to the surname ("Z. Muller"). Dates match in any common
+ * format (1990-05-15, 15/05/1990, 15 May 1990); day-first and month-first are
+ * both tried. Labelled values take precedence over the rest of the text, and a
+ * mismatch from either method makes the field a mismatch.
+ *
+ * @param {{firstName: string, lastName: string, dateOfBirth: string}} person - Submitted values
+ * @param {Object} extracted
+ * @param {string} extracted.standardText - Standard extraction text
+ * @param {PdfFormField[]} [extracted.formFields] - Filled-in PDF form fields
+ * @param {Mrz|null} [extracted.mrz] - Machine-readable zone of a passport or ID card
+ * @param {Object} [extracted.aiExtractedData] - AI result; ignored when it failed
+ * @returns {IdentityVerification} Verdict per field and overall status
+ */
+export function verifyIdentity(person, { standardText, formFields = [], mrz = null, aiExtractedData }) {
+  const formValues = formFields
+    .filter((field) => typeof field.value === 'string' && field.value.trim())
+    .map((field) => ({ label: field.label || field.name, value: field.value }));
+  // The MRZ writes names with < between words and dates as YYMMDD, so give its fields by name
+  if (mrz) {
+    formValues.push(
+      { label: 'surname', value: mrz.surname },
+      { label: 'given names', value: mrz.givenNames },
+      ...(mrz.dateOfBirth ? [{ label: 'date of birth', value: mrz.dateOfBirth }] : []),
+    );
+  }
+  const standard = verifySource(person, {
+    text: [standardText || '', ...formValues.map((field) => field.value)].join('\n'),
+    labelled: [...labelledLines(standardText || ''), ...formValues],
+  });
+
+  let ai = null;
+  if (aiExtractedData && !aiExtractedData.errorOccurred) {
+    const structured = flattenStructuredData(aiExtractedData.structuredData);
+    ai = verifySource(person, {
+      text: [aiExtractedData.rawText || '', ...structured.map((pair) => pair.value)].join('\n'),
+      labelled: [...labelledLines(aiExtractedData.rawText || ''), ...structured],
+    });
+  }
+
+  const fields = {};
+  for (const field of ['firstName', 'lastName', 'dateOfBirth']) {
+    fields[field] = {
+      submitted: person[field],
+      ...combinedVerdict(standard[field], ai?.[field]),
+      methods: { standard: standard[field], ai: ai?.[field] ?? null },
+    };
+  }
+
+  const verdicts = Object.values(fields).map((field) => field.verdict);
+  const status = verdicts.every((verdict) => verdict === 'match')
+    ? 'verified'
+    : verdicts.includes('mismatch') ? 'mismatch' : 'incomplete';
+
+  return { status, fields };
+}
@@ -1,11 +1,72 @@
 import { randomUUID } from "crypto";
+import { and, asc, count, desc, eq, getTableColumns, gte, ilike, isNull, lt, lte, or, sql } from "drizzle-orm";
+import { processedDocuments } from "./db-schema.js";
+import { createDatabase, runMigrations } from "./db.js";
+import { SEARCH_INDEX_VERSION, SearchIndex, buildSearchText, toSearchResult, tokenize } from "./services/search.js";
+
+/**
+ * Sort key of a document for the listing query. Both backends order by this
+ * value and then by id, and cursors carry the pair so a page always resumes
+ * right after the last document of the previous one.
+ */
+function sortKey(doc, sortBy) {
+  switch (sortBy) {
+    case "createdAt":
+      return new Date(doc.createdAt).getTime();
+    case "fullName":
+    case "fileName":
+      return String(doc[sortBy] ?? "").toLowerCase();
+    default:
+      return Number(doc[sortBy] ?? 0);
+  }
+}
+
+function compareKeys(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+export function encodeCursor(doc, sortBy) {
+  return Buffer.from(JSON.stringify({ s: sortBy, v: sortKey(doc, sortBy), id: doc.id })).toString("base64url");
+}
+
+// Returns null for anything that encodeCursor did not produce for this sort field
+export function decodeCursor(cursor, sortBy) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!decoded || decoded.s !== sortBy || typeof decoded.id !== "string" || !["string", "number"].includes(typeof decoded.v)) {
+      return null;
+    }
+    return { value: decoded.v, id: decoded.id };
+  } catch {
+    return null;
+  }
+}
+
+function matchesFilters(doc, query) {
+  const createdAt = new Date(doc.createdAt);
+  return (!query.processingMethod || doc.processingMethod === query.processingMethod)
+    && (!query.fileType || doc.fileType === query.fileType)
+    && (!query.documentCategory || doc.documentCategory === query.documentCategory)
+    && (!query.createdFrom || createdAt >= query.createdFrom)
+    && (!query.createdTo || createdAt <= query.createdTo)
+    && (query.minAge === undefined || doc.age >= query.minAge)
+    && (query.maxAge === undefined || doc.age <= query.maxAge)
+    && (!query.name || String(doc.fullName).toLowerCase().includes(query.name.toLowerCase()));
+}
 
 
 export class MemStorage {
   constructor() {
     this.processedDocuments = new Map();
+    this.searchIndex = new SearchIndex();
   }
 
+  async init() {}
+
+  async close() {}
+
   async createProcessedDocument(doc) {
     const id = randomUUID();
     const processedDoc = {
@@ -14,6 +75,7 @@ export class MemStorage {
       createdAt: new Date(),
     };
     this.processedDocuments.set(id, processedDoc);
+    this.searchIndex.add(processedDoc);
     return processedDoc;
   }
 
@@ -27,15 +89,264 @@ export class MemStorage {
       .slice(0, limit);
   }
 
- 
+  /**
+   * Filtered, sorted, cursor-paginated listing.
+   *
+   * @param {ListDocumentsQuery} query - Parsed listDocumentsQuerySchema output
+   * @param {{value: string|number, id: string}|null} cursor - Decoded cursor
+   * @returns {Promise<ProcessedDocumentPage>}
+   */
+  async queryProcessedDocuments(query, cursor = null) {
+    const direction = query.sortOrder === "asc" ? 1 : -1;
+    const compare = (a, b) => direction * (compareKeys(sortKey(a, query.sortBy), sortKey(b, query.sortBy)) || compareKeys(a.id, b.id));
+
+    const matching = Array.from(this.processedDocuments.values())
+      .filter((doc) => matchesFilters(doc, query))
+      .sort(compare);
+
+    const remaining = cursor
+      ? matching.filter((doc) => direction * (compareKeys(sortKey(doc, query.sortBy), cursor.value) || compareKeys(doc.id, cursor.id)) > 0)
+      : matching;
+
+    const documents = remaining.slice(0, query.limit);
+    const hasMore = remaining.length > query.limit;
+
+    return {
+      documents,
+      total: matching.length,
+      nextCursor: hasMore ? encodeCursor(documents[documents.length - 1], query.sortBy) : null,
+    };
+  }
+
+  /**
+   * Ranked full-text search over extracted text and structured data.
+   *
+   * @param {string} text - Search query
+   * @param {number} [limit=10] - Maximum number of results
+   * @returns {Promise<{total: number, results: Object[]}>} Hits with highlighted snippets
+   */
+  async searchProcessedDocuments(text, limit = 10) {
+    const terms = [...new Set(tokenize(text))];
+    const hits = this.searchIndex.search(terms);
+    const termSet = new Set(terms);
+
+    return {
+      total: hits.length,
+      results: hits
+        .slice(0, limit)
+        .map(({ id, score }) => toSearchResult(this.processedDocuments.get(id), score, termSet)),
+    };
+  }
+
   async clearAll() {
     this.processedDocuments.clear();
+    this.searchIndex.clear();
   }
 
-  
   async getDocumentCount() {
     return this.processedDocuments.size;
   }
 }
 
-export const storage = new MemStorage();
\ No newline at end of file
+// SQL counterparts of sortKey(); "C" collation keeps string order identical to MemStorage
+const sortExpressions = {
+  createdAt: processedDocuments.createdAt,
+  fullName: sql`lower(${processedDocuments.fullName}) collate "C"`,
+  age: processedDocuments.age,
+  fileName: sql`lower(${processedDocuments.fileName}) collate "C"`,
+  processingTime: sql`coalesce(${processedDocuments.processingTime}, 0)`,
+};
+
+const idExpression = sql`${processedDocuments.id} collate "C"`;
+
+// Every column except the search index, which is internal to the database backend
+const { searchVector: _searchVector, searchVersion: _searchVersion, ...documentColumns } = getTableColumns(processedDocuments);
+
+// Rows re-indexed per query when the search index is rebuilt
+const REINDEX_BATCH_SIZE = 100;
+
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+function buildFilterConditions(query) {
+  return [
+    query.processingMethod && eq(processedDocuments.processingMethod, query.processingMethod),
+    query.fileType && eq(processedDocuments.fileType, query.fileType),
+    query.documentCategory && eq(processedDocuments.documentCategory, query.documentCategory),
+    query.createdFrom && gte(processedDocuments.createdAt, query.createdFrom),
+    query.createdTo && lte(processedDocuments.createdAt, query.createdTo),
+    query.minAge !== undefined && gte(processedDocuments.age, query.minAge),
+    query.maxAge !== undefined && lte(processedDocuments.age, query.maxAge),
+    query.name && ilike(processedDocuments.fullName, `%${escapeLikePattern(query.name)}%`),
+  ].filter(Boolean);
+}
+
+export class DatabaseStorage {
+  constructor({ db, pool }) {
+    this.db = db;
+    this.pool = pool;
+  }
+
+  // Brings the schema and the search index up to date before the first request is served
+  async init() {
+    await runMigrations(this.db);
+    await this.reindexSearch();
+  }
+
+  /**
+   * Rebuild the search vector of rows indexed before the current
+   * SEARCH_INDEX_VERSION, or never, with the same buildSearchText() as new rows.
+   *
+   * @returns {Promise<number>} Number of rows re-indexed
+   */
+  async reindexSearch() {
+    const stale = or(isNull(processedDocuments.searchVersion), lt(processedDocuments.searchVersion, SEARCH_INDEX_VERSION));
+    let reindexed = 0;
+    for (;;) {
+      const rows = await this.db.select(documentColumns).from(processedDocuments).where(stale).limit(REINDEX_BATCH_SIZE);
+      for (const row of rows) {
+        await this.db
+          .update(processedDocuments)
+          .set({ searchVector: sql`to_tsvector('simple', ${buildSearchText(row)})`, searchVersion: SEARCH_INDEX_VERSION })
+          .where(eq(processedDocuments.id, row.id));
+      }
+      reindexed += rows.length;
+      if (rows.length < REINDEX_BATCH_SIZE) break;
+    }
+    if (reindexed) console.log(`Search index: re-indexed ${reindexed} documents`);
+    return reindexed;
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  async createProcessedDocument(doc) {
+    const [processedDoc] = await this.db
+      .insert(processedDocuments)
+      // createdAt is set here rather than by now() so it has the millisecond
+      // precision that cursors round-trip through JavaScript
+      .values({
+        ...doc,
+        id: randomUUID(),
+        createdAt: new Date(),
+        searchVector: sql`to_tsvector('simple', ${buildSearchText(doc)})`,
+        searchVersion: SEARCH_INDEX_VERSION,
+      })
+      .returning(documentColumns);
+    return processedDoc;
+  }
+
+  async getProcessedDocument(id) {
+    const [processedDoc] = await this.db
+      .select(documentColumns)
+      .from(processedDocuments)
+      .where(eq(processedDocuments.id, id));
+    return processedDoc;
+  }
+
+  async getRecentProcessedDocuments(limit = 10) {
+    return this.db
+      .select(documentColumns)
+      .from(processedDocuments)
+      .orderBy(desc(processedDocuments.createdAt))
+      .limit(limit);
+  }
+
+  async queryProcessedDocuments(query, cursor = null) {
+    const sortExpression = sortExpressions[query.sortBy];
+    const order = query.sortOrder === "asc" ? asc : desc;
+    const filters = buildFilterConditions(query);
+
+    const pageConditions = [...filters];
+    if (cursor) {
+      const cursorValue = query.sortBy === "createdAt" ? new Date(cursor.value) : cursor.value;
+      pageConditions.push(query.sortOrder === "asc"
+        ? sql`(${sortExpression}, ${idExpression}) > (${cursorValue}, ${cursor.id})`
+        : sql`(${sortExpression}, ${idExpression}) < (${cursorValue}, ${cursor.id})`);
+    }
+
+    // One extra row tells us whether there is a next page
+    const rows = await this.db
+      .select(documentColumns)
+      .from(processedDocuments)
+      .where(and(...pageConditions))
+      .orderBy(order(sortExpression), order(idExpression))
+      .limit(query.limit + 1);
+
+    const [{ value: total }] = await this.db
+      .select({ value: count() })
+      .from(processedDocuments)
+      .where(and(...filters));
+
+    const documents = rows.slice(0, query.limit);
+    const hasMore = rows.length > query.limit;
+
+    return {
+      documents,
+      total: Number(total),
+      nextCursor: hasMore ? encodeCursor(documents[documents.length - 1], query.sortBy) : null,
+    };
+  }
+
+  async searchProcessedDocuments(text, limit = 10) {
+    const terms = [...new Set(tokenize(text))];
+    if (terms.length === 0) {
+      return { total: 0, results: [] };
+    }
+
+    // Terms only contain letters and digits, so they are safe to join into tsquery syntax
+    const tsQuery = sql`to_tsquery('simple', ${terms.join(" | ")})`;
+    const matches = sql`${processedDocuments.searchVector} @@ ${tsQuery}`;
+    const rank = sql`ts_rank(${processedDocuments.searchVector}, ${tsQuery})`;
+
+    const rows = await this.db
+      .select({ ...documentColumns, score: rank.mapWith(Number) })
+      .from(processedDocuments)
+      .where(matches)
+      .orderBy(desc(rank), idExpression)
+      .limit(limit);
+
+    const [{ value: total }] = await this.db
+      .select({ value: count() })
+      .from(processedDocuments)
+      .where(matches);
+
+    const termSet = new Set(terms);
+    return {
+      total: Number(total),
+      results: rows.map(({ score, ...doc }) => toSearchResult(doc, score, termSet)),
+    };
+  }
+
+  async clearAll() {
+    await this.db.delete(processedDocuments);
+  }
+
+  async getDocumentCount() {
+    const [{ value }] = await this.db.select({ value: count() }).from(processedDocuments);
+    return Number(value);
+  }
+}
+
+/**
+ * Pick the storage backend from configuration.
+ *
+ * STORAGE_BACKEND may be "memory" or "postgres". When it is not set, PostgreSQL
+ * is used whenever DATABASE_URL is present and memory otherwise.
+ */
+export function createStorage(env = process.env) {
+  const backend = env.STORAGE_BACKEND || (env.DATABASE_URL ? "postgres" : "memory");
+
+  switch (backend) {
+    case "postgres":
+      return new DatabaseStorage(createDatabase(env.DATABASE_URL));
+    case "memory":
+      return new MemStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use "memory" or "postgres".`);
+  }
+}
+
+export const storage = createStorage();
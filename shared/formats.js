@@ -0,0 +1,89 @@
+/**
+ * Upload Format Registry
+ *
+ * The one list of file formats the application accepts. The server's upload
+ * filter and file validation, the extractors and the upload form all read it,
+ * so a format is added here once.
+ *
+ * `kind` decides how a format is read:
+ * - pdf: text layer per page, with OCR for scanned pages
+ * - image: OCR of every page or frame (multi-page TIFFs have one pass per page)
+ * - document: text and tables from a word-processing file
+ * - text: the file's contents as they are
+ *
+ * @author Document Processing Application
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} DocumentFormat
+ * @property {string} id - Short format name
+ * @property {string} label - Name shown to users
+ * @property {'pdf'|'image'|'document'|'text'} kind - How the format is read
+ * @property {string[]} mimeTypes - Accepted MIME types, canonical type first
+ * @property {string[]} extensions - Accepted file extensions, lower case with the dot
+ */
+
+/** @type {DocumentFormat[]} */
+export const documentFormats = [
+  { id: "pdf", label: "PDF", kind: "pdf", mimeTypes: ["application/pdf"], extensions: [".pdf"] },
+  { id: "jpeg", label: "JPG", kind: "image", mimeTypes: ["image/jpeg", "image/jpg"], extensions: [".jpg", ".jpeg"] },
+  { id: "png", label: "PNG", kind: "image", mimeTypes: ["image/png"], extensions: [".png"] },
+  { id: "tiff", label: "TIFF", kind: "image", mimeTypes: ["image/tiff"], extensions: [".tif", ".tiff"] },
+  { id: "webp", label: "WebP", kind: "image", mimeTypes: ["image/webp"], extensions: [".webp"] },
+  { id: "heic", label: "HEIC", kind: "image", mimeTypes: ["image/heic", "image/heif"], extensions: [".heic", ".heif"] },
+  {
+    id: "docx",
+    label: "DOCX",
+    kind: "document",
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+    extensions: [".docx"],
+  },
+  { id: "txt", label: "TXT", kind: "text", mimeTypes: ["text/plain"], extensions: [".txt"] },
+];
+
+export const MAX_UPLOAD_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Browsers and operating systems that do not know a format (HEIC on Windows, for
+// example) send one of these, so the file extension decides instead
+const GENERIC_MIME_TYPES = ["", "application/octet-stream"];
+
+/** Every accepted extension, e.g. for an <input accept> attribute */
+export const acceptedExtensions = documentFormats.flatMap((format) => format.extensions);
+
+/** Format names for messages, e.g. "PDF, JPG, PNG, ..." */
+export const acceptedFormatLabels = documentFormats.map((format) => format.label).join(", ");
+
+function extensionOf(fileName = "") {
+  const dot = fileName.lastIndexOf(".");
+  return dot === -1 ? "" : fileName.slice(dot).toLowerCase();
+}
+
+/**
+ * Find the format of an uploaded file
+ *
+ * The MIME type decides when it is specific; a missing or generic type falls
+ * back to the file extension.
+ *
+ * @param {string} mimeType - MIME type reported for the file
+ * @param {string} [fileName] - Original file name
+ * @returns {DocumentFormat|null} The format, or null when it is not accepted
+ */
+export function findDocumentFormat(mimeType, fileName) {
+  const type = (mimeType || "").toLowerCase();
+  if (!GENERIC_MIME_TYPES.includes(type)) {
+    return documentFormats.find((format) => format.mimeTypes.includes(type)) || null;
+  }
+  const extension = extensionOf(fileName);
+  return documentFormats.find((format) => format.extensions.includes(extension)) || null;
+}
+
+/**
+ * Whether a file name ends in an accepted extension
+ *
+ * @param {string} fileName - File name
+ * @returns {boolean}
+ */
+export function hasAcceptedExtension(fileName) {
+  return acceptedExtensions.includes(extensionOf(fileName));
+}
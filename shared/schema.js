@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { MAX_UPLOAD_SIZE, acceptedExtensions, acceptedFormatLabels, findDocumentFormat, hasAcceptedExtension } from "./formats.js";
 
 /**
  * Validation Schemas for Document Processing Application
@@ -16,6 +17,231 @@ import { z } from "zod";
 // VALIDATION SCHEMAS - For form validation and data processing
 // ============================================================================
 
+/**
+ * OCR languages offered on the upload form
+ * 
+ * Any Tesseract language code is accepted by the API as long as its data file
+ * is available; these are the ones our documents usually come in. Tesseract has
+ * no isiZulu model, so isiZulu documents are read with the Latin-script languages
+ * unless a custom zul.traineddata is installed.
+ */
+export const ocrLanguages = [
+  { code: "eng", label: "English" },
+  { code: "afr", label: "Afrikaans" },
+  { code: "fra", label: "French" },
+  { code: "por", label: "Portuguese" },
+];
+
+const MAX_OCR_LANGUAGES = 5;
+
+// Highest page number accepted in a page range; keeps "1-999999999" from expanding
+const MAX_PAGE_NUMBER = 10000;
+
+/**
+ * AI providers for the AI extraction path
+ * 
+ * "mock" answers locally and deterministically, for offline development and
+ * tests. The server's default is AI_PROVIDER (default "openai").
+ */
+export const aiProviders = [
+  { id: "openai", label: "OpenAI" },
+  { id: "gemini", label: "Google Gemini" },
+  { id: "mock", label: "Local mock" },
+];
+
+/**
+ * Fields every document type schema is built from
+ * 
+ * Every field is nullable: models are told to answer null for what a document
+ * does not contain rather than leave the key out or invent a value.
+ */
+const textField = (description) => z.string().nullable().describe(description);
+const dateField = (description) => z.string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Dates must be in YYYY-MM-DD format")
+  .nullable()
+  .describe(`${description} (YYYY-MM-DD)`);
+const amountField = (description) => z.number().nullable().describe(`${description}, as a number without currency symbols`);
+
+/**
+ * Document types with their own structured-data schema
+ * 
+ * The AI path sends the chosen type's schema to the model as a JSON schema and
+ * validates the answer against it, so every document of a type has the same
+ * keys. "auto" on the upload form uses the type of the classified category.
+ */
+export const documentTypes = [
+  {
+    id: "id_card",
+    label: "ID card",
+    description: "a national identity document, ID book or smart ID card",
+    schema: z.object({
+      surname: textField("Surname or family name"),
+      givenNames: textField("First and middle names"),
+      idNumber: textField("Identity number"),
+      dateOfBirth: dateField("Date of birth"),
+      sex: z.enum(["female", "male"]).nullable().describe("Sex"),
+      nationality: textField("Nationality or citizenship"),
+      countryOfBirth: textField("Country of birth"),
+      issueDate: dateField("Date of issue"),
+      expiryDate: dateField("Date of expiry"),
+    }),
+  },
+  {
+    id: "passport",
+    label: "Passport",
+    description: "a passport",
+    schema: z.object({
+      surname: textField("Surname"),
+      givenNames: textField("Given names"),
+      passportNumber: textField("Passport number"),
+      nationality: textField("Nationality"),
+      dateOfBirth: dateField("Date of birth"),
+      placeOfBirth: textField("Place of birth"),
+      sex: z.enum(["female", "male"]).nullable().describe("Sex"),
+      issueDate: dateField("Date of issue"),
+      expiryDate: dateField("Date of expiry"),
+      issuingCountry: textField("Issuing country or authority"),
+    }),
+  },
+  {
+    id: "invoice",
+    label: "Invoice",
+    description: "an invoice or tax invoice",
+    schema: z.object({
+      invoiceNumber: textField("Invoice number"),
+      invoiceDate: dateField("Invoice date"),
+      dueDate: dateField("Payment due date"),
+      supplierName: textField("Name of the business that issued the invoice"),
+      supplierVatNumber: textField("Supplier VAT or tax number"),
+      customerName: textField("Name of the customer billed"),
+      currency: textField("Currency code, e.g. ZAR"),
+      subtotal: amountField("Total before tax"),
+      taxAmount: amountField("Tax or VAT amount"),
+      totalAmount: amountField("Total amount due"),
+      lineItems: z.array(z.object({
+        description: textField("Item description"),
+        quantity: z.number().nullable().describe("Quantity"),
+        unitPrice: amountField("Price per unit"),
+        amount: amountField("Line total"),
+      })).describe("Invoice lines, in order"),
+    }),
+  },
+  {
+    id: "payslip",
+    label: "Payslip",
+    description: "a payslip or salary advice",
+    schema: z.object({
+      employeeName: textField("Employee's full name"),
+      employeeNumber: textField("Employee number"),
+      idNumber: textField("Employee's identity number"),
+      employerName: textField("Employer name"),
+      payPeriodStart: dateField("First day of the pay period"),
+      payPeriodEnd: dateField("Last day of the pay period"),
+      payDate: dateField("Payment date"),
+      currency: textField("Currency code, e.g. ZAR"),
+      grossPay: amountField("Gross pay"),
+      totalDeductions: amountField("Total deductions"),
+      netPay: amountField("Net pay"),
+    }),
+  },
+  {
+    id: "bank_statement",
+    label: "Bank statement",
+    description: "a bank statement",
+    schema: z.object({
+      accountHolder: textField("Name of the account holder"),
+      bankName: textField("Bank name"),
+      accountNumber: textField("Account number"),
+      branchCode: textField("Branch code"),
+      statementPeriodStart: dateField("First day of the statement period"),
+      statementPeriodEnd: dateField("Last day of the statement period"),
+      currency: textField("Currency code, e.g. ZAR"),
+      openingBalance: amountField("Opening balance"),
+      closingBalance: amountField("Closing balance"),
+      transactions: z.array(z.object({
+        date: dateField("Transaction date"),
+        description: textField("Transaction description"),
+        amount: amountField("Amount, negative for debits"),
+        balance: amountField("Balance after the transaction"),
+      })).describe("Transactions, in statement order"),
+    }),
+  },
+  {
+    id: "proof_of_address",
+    label: "Proof of address",
+    description: "a proof of address such as a utility bill, bank letter or lease",
+    schema: z.object({
+      fullName: textField("Name of the person the document is addressed to"),
+      addressLine1: textField("First line of the address"),
+      addressLine2: textField("Second line of the address, e.g. suburb"),
+      city: textField("City or town"),
+      postalCode: textField("Postal code"),
+      country: textField("Country"),
+      issuerName: textField("Company or institution that issued the document"),
+      documentDate: dateField("Date of the document"),
+      accountNumber: textField("Account or reference number"),
+    }),
+  },
+  {
+    id: "cv",
+    label: "CV",
+    description: "a CV or résumé",
+    schema: z.object({
+      fullName: textField("Candidate's full name"),
+      email: textField("Email address"),
+      phone: textField("Phone number"),
+      location: textField("City or region where the candidate lives"),
+      summary: textField("Profile or summary, one or two sentences"),
+      skills: z.array(z.string()).describe("Skills, one per entry"),
+      workExperience: z.array(z.object({
+        employer: textField("Employer"),
+        jobTitle: textField("Job title"),
+        startDate: textField("Start date as written"),
+        endDate: textField("End date as written, or 'present'"),
+      })).describe("Jobs, most recent first"),
+      education: z.array(z.object({
+        institution: textField("School, college or university"),
+        qualification: textField("Qualification"),
+        year: textField("Year completed"),
+      })).describe("Qualifications, most recent first"),
+    }),
+  },
+];
+
+export function findDocumentType(id) {
+  return documentTypes.find((documentType) => documentType.id === id) || null;
+}
+
+/**
+ * Categories every upload is classified into before extraction
+ * 
+ * documentType is the extraction schema a category uses; "other" has none, so
+ * the AI path picks a schema itself (or returns free-form data).
+ */
+export const documentCategories = [
+  { id: "id", label: "ID document", documentType: "id_card" },
+  { id: "passport", label: "Passport", documentType: "passport" },
+  { id: "invoice", label: "Invoice", documentType: "invoice" },
+  { id: "bank_statement", label: "Bank statement", documentType: "bank_statement" },
+  { id: "utility_bill", label: "Utility bill", documentType: "proof_of_address" },
+  { id: "payslip", label: "Payslip", documentType: "payslip" },
+  { id: "other", label: "Other", documentType: null },
+];
+
+export function findDocumentCategory(id) {
+  return documentCategories.find((category) => category.id === id) || null;
+}
+
+/**
+ * Image cleanup steps that can run before OCR
+ * 
+ * "auto" runs every step except threshold: Tesseract binarizes internally, and
+ * a second binarization only helps on some shaded photos.
+ */
+export const preprocessingSteps = ["orient", "deskew", "normalize", "denoise", "threshold", "upscale"];
+
+export const autoPreprocessingSteps = ["orient", "deskew", "normalize", "denoise", "upscale"];
+
 /**
  * Document processing request schema
  * 
@@ -26,6 +252,14 @@ import { z } from "zod";
  * - Personal info: Non-empty names, valid birth date format
  * - File metadata: Supported MIME types, reasonable filename lengths  
  * - Processing: Valid method selection (standard or ai)
+ * - Text layout: "plain" (default) or "layout" for PDF text reconstruction
+ * - Language: Tesseract codes joined with "+" (e.g. "afr+eng") or "auto" (default "eng")
+ * - Preprocessing: "none" (default), "auto" or comma-separated steps, e.g. "orient,deskew"
+ * - Compare preprocessing: "true" to also OCR the untouched image and report both confidences
+ * - PDF password: optional, opens password-protected PDFs
+ * - Pages: optional page numbers and ranges such as "1-3,7" (default every page)
+ * - AI provider and model: optional, override AI_PROVIDER and the provider's default model
+ * - Document type: "auto" (default) or an id from documentTypes, picks the AI extraction schema
  * 
  * @example
  * const docRequest = processDocumentRequestSchema.parse({
@@ -61,6 +295,73 @@ export const processDocumentRequestSchema = z.object({
   processingMethod: z.enum(["standard", "ai"], {
     errorMap: () => ({ message: "Processing method must be either 'standard' or 'ai'" })
   }),
+
+  // PDF text reconstruction: reading-order lines, or monospaced text keeping the page layout
+  textLayout: z.enum(["plain", "layout"], {
+    errorMap: () => ({ message: "Text layout must be either 'plain' or 'layout'" })
+  }).default("plain"),
+
+  // OCR languages: "auto" detects the script first, otherwise Tesseract codes such as "afr+eng"
+  language: z.string()
+    .trim()
+    .min(1, "Choose at least one OCR language")
+    .regex(/^(auto|[a-z]{3}(_[a-z]+)?(\+[a-z]{3}(_[a-z]+)?)*)$/, "Language must be 'auto' or Tesseract language codes joined with '+', e.g. 'afr+eng'")
+    .refine((value) => value.split("+").length <= MAX_OCR_LANGUAGES, `Choose at most ${MAX_OCR_LANGUAGES} OCR languages`)
+    .default("eng"),
+
+  // Image cleanup before OCR: "none", "auto" or steps such as "orient,deskew,threshold"
+  preprocessing: z.string()
+    .trim()
+    .toLowerCase()
+    .refine(
+      (value) => value === "none" || value === "auto" || value.split(",").every((step) => preprocessingSteps.includes(step.trim())),
+      `Preprocessing must be 'none', 'auto' or a comma-separated list of: ${preprocessingSteps.join(", ")}`
+    )
+    .transform((value) => value.split(",").map((step) => step.trim()).join(","))
+    .default("none"),
+
+  // Form fields are strings, so the flag arrives as "true" or "false"
+  comparePreprocessing: z.enum(["true", "false"], {
+    errorMap: () => ({ message: "comparePreprocessing must be either 'true' or 'false'" })
+  }).default("false").transform((value) => value === "true"),
+
+  // Opens password-protected PDFs; kept as typed (no trimming), never logged or stored
+  pdfPassword: z.string()
+    .max(256, "PDF password must be less than 256 characters")
+    .optional()
+    .transform((value) => value || undefined),
+
+  // Pages of PDFs and multi-page images to read, e.g. "1-3,7"; empty reads every page
+  pages: z.string()
+    .max(100, "Pages must be less than 100 characters")
+    .transform((value) => value.replace(/\s+/g, ""))
+    .refine((value) => value === "" || /^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(value), "Pages must be page numbers and ranges separated by commas, e.g. '1-3,7'")
+    .refine(
+      (value) => value === "" || value.split(",").every((part) => {
+        const [start, end = start] = part.split("-").map(Number);
+        return start >= 1 && start <= end && end <= MAX_PAGE_NUMBER;
+      }),
+      `Page ranges must run from a lower to a higher page, between 1 and ${MAX_PAGE_NUMBER}`
+    )
+    .optional()
+    .transform((value) => value || undefined),
+
+  // AI path only; empty values fall back to AI_PROVIDER and the provider's default model
+  aiProvider: z.enum(["", ...aiProviders.map((provider) => provider.id)], {
+    errorMap: () => ({ message: `AI provider must be one of: ${aiProviders.map((provider) => provider.id).join(", ")}` })
+  }).optional().transform((value) => value || undefined),
+
+  aiModel: z.string()
+    .trim()
+    .max(100, "AI model must be less than 100 characters")
+    .regex(/^[\w.:\/-]*$/, "AI model can only contain letters, digits and . : / - _")
+    .optional()
+    .transform((value) => value || undefined),
+
+  // Schema for AI structured data; "auto" lets the model choose the type
+  documentType: z.enum(["auto", ...documentTypes.map((documentType) => documentType.id)], {
+    errorMap: () => ({ message: `Document type must be 'auto' or one of: ${documentTypes.map((documentType) => documentType.id).join(", ")}` })
+  }).default("auto"),
 });
 
 /**
@@ -70,7 +371,7 @@ export const processDocumentRequestSchema = z.object({
  * Used for client-side and server-side file validation.
  * 
  * @validation
- * - File type: PDF, JPG, JPEG, PNG only
+ * - File type: formats listed in shared/formats.js (PDF, images, DOCX, TXT)
  * - File size: Maximum 10MB
  * - Filename: Reasonable length limits
  * 
@@ -83,17 +384,109 @@ export const processDocumentRequestSchema = z.object({
  */
 export const fileValidationSchema = z.object({
   mimetype: z.string()
-    .regex(/^(application\/pdf|image\/(jpeg|jpg|png))$/, 
-           "File must be PDF, JPG, JPEG, or PNG format"),
+    .refine((mimetype) => findDocumentFormat(mimetype) !== null, `File must be one of: ${acceptedFormatLabels}`),
   
   size: z.number()
-    .max(10 * 1024 * 1024, "File size must be less than 10MB")
+    .max(MAX_UPLOAD_SIZE, "File size must be less than 10MB")
     .positive("File size must be greater than 0"),
   
   originalname: z.string()
     .min(1, "Filename is required")
     .max(255, "Filename must be less than 255 characters")
-    .regex(/\.(pdf|jpe?g|png)$/i, "File must have a valid extension (.pdf, .jpg, .jpeg, .png)"),
+    .refine(hasAcceptedExtension, `File must have a valid extension (${acceptedExtensions.join(", ")})`),
+});
+
+/**
+ * Processed documents listing query schema
+ * 
+ * Validates the query string of GET /api/processed-documents. Values arrive as
+ * strings, so numbers and dates are coerced. A date-only `createdTo` covers the
+ * whole day.
+ * 
+ * @validation
+ * - Pagination: limit between 1 and 100, opaque cursor from a previous page
+ * - Filters: processing method, MIME type, document category, creation date range, age range, name
+ * - Sorting: createdAt, fullName, age, fileName or processingTime, asc or desc
+ * 
+ * @example
+ * const query = listDocumentsQuerySchema.parse({
+ *   limit: "25",
+ *   processingMethod: "ai",
+ *   createdFrom: "2025-01-01",
+ *   sortBy: "fullName",
+ *   sortOrder: "asc"
+ * });
+ */
+export const documentSortFields = ["createdAt", "fullName", "age", "fileName", "processingTime"];
+
+export const listDocumentsQuerySchema = z.object({
+  limit: z.coerce.number()
+    .int("Limit must be a whole number")
+    .min(1, "Limit must be at least 1")
+    .max(100, "Limit must be at most 100")
+    .default(20),
+
+  cursor: z.string().min(1).optional(),
+
+  processingMethod: z.enum(["standard", "ai"], {
+    errorMap: () => ({ message: "Processing method must be either 'standard' or 'ai'" })
+  }).optional(),
+
+  fileType: z.string().min(1).max(100).optional(),
+
+  documentCategory: z.enum(documentCategories.map((category) => category.id), {
+    errorMap: () => ({ message: `documentCategory must be one of: ${documentCategories.map((category) => category.id).join(", ")}` })
+  }).optional(),
+
+  createdFrom: z.coerce.date({ errorMap: () => ({ message: "createdFrom must be a valid date" }) }).optional(),
+
+  createdTo: z.string()
+    .transform((value) => /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value)
+    .pipe(z.coerce.date({ errorMap: () => ({ message: "createdTo must be a valid date" }) }))
+    .optional(),
+
+  minAge: z.coerce.number().int("minAge must be a whole number").min(0).optional(),
+
+  maxAge: z.coerce.number().int("maxAge must be a whole number").min(0).optional(),
+
+  name: z.string().trim().min(1).max(200).optional(),
+
+  sortBy: z.enum(documentSortFields, {
+    errorMap: () => ({ message: `sortBy must be one of: ${documentSortFields.join(", ")}` })
+  }).default("createdAt"),
+
+  sortOrder: z.enum(["asc", "desc"], {
+    errorMap: () => ({ message: "sortOrder must be either 'asc' or 'desc'" })
+  }).default("desc"),
+}).refine((query) => query.minAge === undefined || query.maxAge === undefined || query.minAge <= query.maxAge, {
+  message: "minAge must not be greater than maxAge",
+  path: ["minAge"],
+}).refine((query) => !query.createdFrom || !query.createdTo || query.createdFrom <= query.createdTo, {
+  message: "createdFrom must not be after createdTo",
+  path: ["createdFrom"],
+});
+
+/**
+ * Full-text search query schema
+ * 
+ * Validates the query string of GET /api/search. The query is matched against
+ * extracted text and the keys and values of AI structured data.
+ * 
+ * @example
+ * const search = searchQuerySchema.parse({ q: "INV-2024-017", limit: "5" });
+ */
+export const searchQuerySchema = z.object({
+  q: z.string()
+    .trim()
+    .min(1, "Search query is required")
+    .max(200, "Search query must be less than 200 characters")
+    .refine((q) => /[\p{L}\p{N}]/u.test(q), "Search query must contain at least one letter or digit"),
+
+  limit: z.coerce.number()
+    .int("Limit must be a whole number")
+    .min(1, "Limit must be at least 1")
+    .max(50, "Limit must be at most 50")
+    .default(10),
 });
 
 // ============================================================================
@@ -126,13 +519,296 @@ export const fileValidationSchema = z.object({
  * @property {string} fileName - Original file name
  * @property {string} fileType - File MIME type
  * @property {'standard'|'ai'} processingMethod - Processing method used
- * @property {string} [standardExtractedText] - Text from standard extraction
- * @property {Object} [aiExtractedData] - AI extraction results
+ * @property {'plain'|'layout'} textLayout - How PDF text was reconstructed
+ * @property {string} ocrLanguage - Requested OCR languages ('auto' or e.g. 'afr+eng')
+ * @property {string} preprocessing - Requested image cleanup ('none', 'auto' or e.g. 'orient,deskew')
+ * @property {string|null} [pageRange] - Pages that were read, e.g. "1-3,7" (null for every page)
+ * @property {string} [standardExtractedText] - Text from standard extraction, pages separated by a blank line
+ * @property {PageText[]} [pageTexts] - Text of each page read by standard extraction
+ * @property {{pageNumber: number, source: 'text'|'ocr'|'error', languages?: string, script?: string|null, preprocessing?: PreprocessingReport}[]} [pageSources] - Whether each page's
+ *   standard text came from the PDF text layer or from OCR (images are a single OCR page),
+ *   with the OCR languages used, in auto mode the detected script, and what cleanup ran before OCR
+ * @property {PageLayout[]} [pageLayouts] - Blocks, lines and words of each page from standard extraction
+ * @property {DocumentTable[]} [tables] - Tables found by standard extraction, downloadable as CSV
+ * @property {PdfMetadata|null} [pdfMetadata] - PDF document information and page count (null for other formats)
+ * @property {PdfFormField[]} [formFields] - Filled-in PDF form fields
+ * @property {PdfAnnotation[]} [annotations] - PDF comments, links and other annotations
+ * @property {Mrz|null} [mrz] - Machine-readable zone of a passport or ID card, read by standard extraction
+ * @property {string|null} [documentCategory] - Id from documentCategories (null for documents processed before classification)
+ * @property {DocumentClassification|null} [classification] - How the category was decided
+ * @property {RuleExtractionResult|null} [standardExtractedData] - Structured data found by rules in the standard
+ *   extraction (null for documents processed before rule extraction)
+ * @property {AiExtractionResult|null} [aiExtractedData] - AI extraction results (null in standard mode, which
+ *   sends nothing to an AI provider)
  * @property {string} [rawExtractedText] - Raw AI extracted text
+ * @property {IdentityVerification|null} [verification] - Submitted name and date of birth checked against the document
+ * @property {SaIdNumber[]} [saIdNumbers] - South African ID numbers found in the document
  * @property {number} [processingTime] - Processing duration in ms
  * @property {Date} createdAt - Creation timestamp
  */
 
+/**
+ * Where one AI structured data value was found in the document
+ * 
+ * Values found nowhere are flagged as possible hallucinations. span indexes
+ * the page's text in pageTexts for source "standard", and the AI rawText for
+ * source "ai".
+ * 
+ * @typedef {Object} FieldProvenance
+ * @property {number} confidence - 0-1, how directly the document backs the value
+ * @property {'standard'|'ai'|null} source - Text it was found in
+ * @property {number|null} pageNumber - 1-based page, for source "standard" and for source "ai" on PDFs
+ * @property {{start: number, end: number}|null} span - Character range of the match
+ * @property {string|null} text - The matching text as written in the document
+ * @property {{x0: number, y0: number, x1: number, y1: number}|null} bbox - Bounds of the matching words in the page layout's unit
+ * @property {boolean} hallucination - Not found in the document
+ */
+
+/**
+ * Category of an upload, decided before extraction
+ * 
+ * @typedef {Object} DocumentClassification
+ * @property {string} category - Id from documentCategories
+ * @property {number} confidence - 0-1
+ * @property {'heuristic'|'ai'} method - Keyword and layout rules, or the AI provider
+ * @property {Object<string, number>} [scores] - Heuristic evidence per category
+ * @property {string} [provider] - AI provider id, for method "ai"
+ * @property {string} [model] - Model, for method "ai"
+ * @property {{category: string, confidence: number}} [heuristic] - What the rules decided, for method "ai"
+ */
+
+/**
+ * What the AI path extracted, in the schema of the document's type when it has one
+ * 
+ * @typedef {Object} AiExtractionResult
+ * @property {Object} structuredData - Fields of the document type's schema, or free-form key-value pairs
+ * @property {string} rawText - Text the model read or was given
+ * @property {PageText[]} [pageTexts] - For PDFs, the text of each page sent to the model; rawText joins them
+ * @property {string} provider - AI provider id
+ * @property {string|null} model - Model used
+ * @property {string|null} documentType - Id from documentTypes, or "other" for free-form data
+ * @property {boolean} [documentTypeDetected] - Whether the type came from classification (upload form set to "auto")
+ * @property {boolean|null} [schemaValid] - Whether structuredData matched the schema, after one retry (null for "other")
+ * @property {string[]} [validationErrors] - Why the final answer did not match the schema
+ * @property {Object<string, FieldProvenance>} [fieldProvenance] - Where each value was found, by path
+ *   such as "totalAmount" or "lineItems[0].amount"
+ * @property {AiAttempt[]} [attempts] - Every try of every provider call, classification included, in order
+ * @property {CircuitState} [circuit] - The provider's circuit breaker after the last call
+ * @property {boolean} [errorOccurred] - AI extraction failed; structuredData describes the error
+ */
+
+/**
+ * Structured data found in the standard extraction by rules, without AI
+ * 
+ * Same shape as the AI path's, so both render alike. Free-form data holds the
+ * labelled "Key: value" lines plus lists of emails, phoneNumbers (E.164),
+ * dates (YYYY-MM-DD), amounts ({amount, currency}), idNumbers,
+ * referenceNumbers and postalCodes.
+ * 
+ * @typedef {Object} RuleExtractionResult
+ * @property {Object} structuredData - Fields of the document type's schema, or free-form data
+ * @property {string} documentType - Id from documentTypes, or "other" for free-form data
+ * @property {boolean|null} schemaValid - Whether structuredData matched the schema (null for "other")
+ * @property {string[]} validationErrors - Why structuredData did not match the schema
+ * @property {Object<string, FieldProvenance>} [fieldProvenance] - Where each value was found, by path
+ */
+
+/**
+ * Submitted name and date of birth checked against the extracted document
+ * 
+ * "verified" when every field matches, "mismatch" when the document gives a
+ * different value for any field, otherwise "incomplete" (something not found).
+ * 
+ * @typedef {Object} IdentityVerification
+ * @property {'verified'|'mismatch'|'incomplete'} status - Overall outcome
+ * @property {{firstName: FieldVerification, lastName: FieldVerification, dateOfBirth: FieldVerification}} fields - Verdict per field
+ */
+
+/**
+ * @typedef {Object} FieldVerdict
+ * @property {'match'|'mismatch'|'not_found'} verdict - Whether the document agrees with the submitted value
+ * @property {number} score - Similarity 0-1 of the closest value found
+ * @property {string|null} found - The closest value as written in the document
+ */
+
+/**
+ * Best verdict of the two extraction methods, plus each method's own
+ * 
+ * @typedef {FieldVerdict & {submitted: string, source: 'standard'|'ai'|null, methods: {standard: FieldVerdict, ai: FieldVerdict|null}}} FieldVerification
+ */
+
+/**
+ * A South African ID number found in the document
+ * 
+ * @typedef {Object} SaIdNumber
+ * @property {string} idNumber - The 13 digits
+ * @property {boolean} valid - Check digit, date of birth and citizenship digit are all correct
+ * @property {boolean} checksumValid - Luhn check digit is correct
+ * @property {string|null} dateOfBirth - Decoded date of birth (YYYY-MM-DD), the latest century not in the future
+ * @property {'female'|'male'} gender - From the sequence number
+ * @property {'citizen'|'permanent_resident'|'refugee'|null} citizenship - From the citizenship digit
+ * @property {boolean|null} dateOfBirthMatches - Whether it agrees with the submitted date of birth
+ * @property {('standard'|'ai')[]} sources - Extraction methods that found it
+ */
+
+/**
+ * Machine-readable zone of a passport (TD3), visa or ID card (TD2, TD1)
+ * 
+ * @typedef {Object} Mrz
+ * @property {'TD1'|'TD2'|'TD3'} format - Zone layout: 3x30, 2x36 or 2x44 characters
+ * @property {string} documentType - "P" for passports, "I", "A" or "C" for ID cards, "V" for visas
+ * @property {string} issuingCountry - ICAO country code of the issuing state
+ * @property {string} surname - Primary identifier
+ * @property {string} givenNames - Secondary identifier, words separated by spaces
+ * @property {string} documentNumber - Document number
+ * @property {string} nationality - ICAO country code
+ * @property {string|null} dateOfBirth - YYYY-MM-DD
+ * @property {'female'|'male'|null} sex - Null when unspecified
+ * @property {string|null} expiryDate - YYYY-MM-DD
+ * @property {string|null} optionalData - Personal number or other optional data
+ * @property {{documentNumber: boolean, dateOfBirth: boolean, expiryDate: boolean, optionalData?: boolean, composite: boolean}} checks - Whether each check digit is correct
+ * @property {boolean} valid - Every check digit is correct
+ * @property {string[]} lines - The zone after OCR corrections
+ * @property {boolean} corrected - Whether OCR confusions (O/0, K for <) were corrected
+ * @property {number} pageNumber - Page the zone was found on
+ */
+
+/**
+ * What image preprocessing did to an OCR page
+ * 
+ * @typedef {Object} PreprocessingReport
+ * @property {string[]} steps - Steps that ran, in order
+ * @property {number} rotation - Clockwise turn applied from orientation detection (0, 90, 180 or 270)
+ * @property {number} skewAngle - Skew that was corrected, in degrees
+ * @property {number} scale - Upscaling factor (1 when not upscaled)
+ * @property {number} width - Preprocessed image width in pixels
+ * @property {number} height - Preprocessed image height in pixels
+ * @property {string} [imageFile] - Name of the copy kept in PREPROCESSED_IMAGES_DIR, when that is set
+ * @property {number} confidence - OCR confidence on the preprocessed image
+ * @property {number} [originalConfidence] - OCR confidence on the untouched image, when compared
+ */
+
+/**
+ * Page model shared by the PDF text layer and OCR
+ * 
+ * Boxes are {x0, y0, x1, y1} from the page's top-left corner, in PDF points
+ * for PDF pages (scanned pages included) and in pixels for images. Confidence
+ * is 0-100; text-layer words are exact and always 100.
+ * 
+ * @typedef {Object} PageLayout
+ * @property {number} pageNumber - 1-based page number
+ * @property {'text'|'ocr'} source - PDF text layer or OCR
+ * @property {number|null} width - Page width in unit
+ * @property {number|null} height - Page height in unit
+ * @property {'pt'|'px'} unit - Coordinate unit
+ * @property {number} confidence - Mean word confidence for the page
+ * @property {PageLayoutBlock[]} blocks - Text blocks in reading order
+ */
+
+/**
+ * @typedef {Object} PageLayoutBlock
+ * @property {{x0: number, y0: number, x1: number, y1: number}} bbox - Block bounds
+ * @property {number} confidence - Block confidence
+ * @property {{bbox: Object, confidence: number, text: string, words: {text: string, bbox: Object, confidence: number}[]}[]} lines - Lines with their words
+ */
+
+/**
+ * Text of one page
+ * 
+ * Pages that failed to extract have empty text (their pageSources entry has
+ * source "error"), as do scanned pages OCR found no text on (source "ocr").
+ * 
+ * @typedef {Object} PageText
+ * @property {number} pageNumber - 1-based page number
+ * @property {string} text - Extracted text of the page
+ */
+
+/**
+ * Table found in a document
+ * 
+ * Detected from word positions on PDF text-layer and OCR pages; taken as-is
+ * from Word documents, which have no page geometry (bbox is null).
+ * 
+ * @typedef {Object} DocumentTable
+ * @property {number} pageNumber - 1-based page number
+ * @property {'text'|'ocr'} source - Page text layer (or Word document) or OCR
+ * @property {{x0: number, y0: number, x1: number, y1: number}|null} bbox - Table bounds in the page's unit
+ * @property {number} columnCount - Number of columns; every row has this many cells
+ * @property {number} confidence - Mean word confidence (100 for text layers)
+ * @property {string[][]} rows - Cell text by row, header row first when there is one
+ */
+
+/**
+ * PDF document information
+ * 
+ * @typedef {Object} PdfMetadata
+ * @property {number} pageCount - Number of pages
+ * @property {string|null} pdfVersion - PDF version from the file header, e.g. "1.7"
+ * @property {string|null} title - Document title
+ * @property {string|null} author - Author
+ * @property {string|null} subject - Subject
+ * @property {string|null} keywords - Keywords as written in the file
+ * @property {string|null} creator - Application that created the original document
+ * @property {string|null} producer - Application that wrote the PDF
+ * @property {string|null} creationDate - Creation date (ISO 8601)
+ * @property {string|null} modificationDate - Last modification date (ISO 8601)
+ * @property {boolean} hasForm - Whether the PDF has an AcroForm
+ */
+
+/**
+ * Field of a fillable PDF form
+ * 
+ * @typedef {Object} PdfFormField
+ * @property {string} name - Fully qualified field name, e.g. "applicant.surname"
+ * @property {string|null} label - Tooltip text the form author gave the field
+ * @property {'text'|'checkbox'|'radio'|'choice'} type - Field type
+ * @property {string|boolean|string[]|null} value - Text, checked state, chosen option or selected options
+ * @property {number} pageNumber - 1-based page of the field's first widget
+ */
+
+/**
+ * PDF annotation other than a form widget
+ * 
+ * @typedef {Object} PdfAnnotation
+ * @property {number} pageNumber - 1-based page number
+ * @property {string} type - PDF annotation subtype, e.g. "Text", "Link", "Highlight"
+ * @property {string} contents - Comment text (empty for plain links)
+ * @property {string|null} author - Who wrote the comment
+ * @property {string|null} url - Link target
+ * @property {string|null} modificationDate - Last modification date (ISO 8601)
+ * @property {{x0: number, y0: number, x1: number, y1: number}} bbox - Position in points, origin top-left
+ */
+
+/**
+ * @typedef {Object} ListDocumentsQuery
+ * @property {number} limit - Page size (1-100)
+ * @property {string} [cursor] - Opaque cursor from a previous page's nextCursor
+ * @property {'standard'|'ai'} [processingMethod] - Only documents processed this way
+ * @property {string} [fileType] - Only documents with this MIME type
+ * @property {string} [documentCategory] - Only documents classified into this category
+ * @property {Date} [createdFrom] - Created at or after this instant
+ * @property {Date} [createdTo] - Created at or before this instant
+ * @property {number} [minAge] - Minimum calculated age
+ * @property {number} [maxAge] - Maximum calculated age
+ * @property {string} [name] - Case-insensitive substring of the full name
+ * @property {'createdAt'|'fullName'|'age'|'fileName'|'processingTime'} sortBy - Sort field
+ * @property {'asc'|'desc'} sortOrder - Sort direction
+ */
+
+/**
+ * @typedef {Object} ProcessedDocumentPage
+ * @property {ProcessingResult[]} documents - Documents on this page
+ * @property {number} total - Number of documents matching the filters across all pages
+ * @property {string|null} nextCursor - Cursor for the next page, null on the last page
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {{id: string, fullName: string, fileName: string, fileType: string, processingMethod: string, createdAt: Date}} document - Matching document summary
+ * @property {number} score - Relevance score, higher is better (scale differs per storage backend)
+ * @property {{field: 'standardExtractedText'|'rawExtractedText'|'structuredData'|'formFields', segments: {text: string, highlight: boolean}[]}[]} snippets - Highlighted excerpts
+ */
+
 // ============================================================================
 // UTILITY FUNCTIONS - Helper functions for data processing
 // ============================================================================
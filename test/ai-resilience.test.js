@@ -0,0 +1,220 @@
+// ResilientProvider around the real OpenAI provider, talking to a local HTTP
+// server that answers each request the way the test scripts it.
+
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { once } from "node:events";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { extractWithAI } from "../server/services/ai-extraction.js";
+import { OpenAIProvider } from "../server/services/providers/openai.js";
+import { AI_CIRCUIT_OPEN, ResilientProvider } from "../server/services/providers/resilience.js";
+
+const policy = {
+  maxAttempts: 3,
+  timeoutMs: 5000,
+  retryBaseMs: 100,
+  retryMaxMs: 5000,
+  circuitThreshold: 5,
+  circuitResetMs: 60000,
+};
+
+let server;
+let baseUrl;
+// Handlers for the coming requests, in order; each gets (req, res)
+let replies = [];
+let requests = 0;
+
+function completion(content) {
+  return (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({
+      id: "chatcmpl-test",
+      object: "chat.completion",
+      created: 0,
+      model: "gpt-test",
+      choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+    }));
+  };
+}
+
+function failure(status, headers = {}) {
+  return (req, res) => {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify({ error: { message: `Status ${status}`, type: "server_error" } }));
+  };
+}
+
+// Holds the response until release() is called
+function held() {
+  let release;
+  const handler = (req, res) => { release = () => completion('{"held":true}')(req, res); };
+  return { handler, release: () => release() };
+}
+
+// Never answers; the client's abort closes the socket
+const silent = () => {};
+
+before(async () => {
+  server = createServer((req, res) => {
+    req.resume();
+    requests++;
+    const reply = replies.shift() ?? failure(500);
+    req.on("end", () => reply(req, res));
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await once(server, "close");
+});
+
+beforeEach(() => {
+  replies = [];
+  requests = 0;
+});
+
+function createProvider(overrides = {}, options = {}) {
+  const sleeps = [];
+  const provider = new ResilientProvider(
+    new OpenAIProvider({ OPENAI_API_KEY: "test-key", OPENAI_BASE_URL: baseUrl }),
+    { ...policy, ...overrides },
+    { sleep: async (ms) => { sleeps.push(ms); }, random: () => 1, ...options }
+  );
+  return { provider, sleeps };
+}
+
+function extract(provider, attempts = []) {
+  return provider.textToStructured("Invoice 42", { model: "gpt-test", onAttempt: (attempt) => attempts.push(attempt) });
+}
+
+test("waits as long as Retry-After asks after a 429", async () => {
+  const { provider, sleeps } = createProvider({}, { random: () => 0 });
+  replies = [failure(429, { "Retry-After": "2" }), completion('{"invoiceNumber":"42"}')];
+  const attempts = [];
+
+  assert.deepEqual(await extract(provider, attempts), { invoiceNumber: "42" });
+  assert.deepEqual(sleeps, [2000]);
+  assert.deepEqual(attempts.map((attempt) => [attempt.outcome, attempt.status, attempt.retryAfterMs, attempt.retryInMs]), [
+    ["error", 429, 2000, 2000],
+    ["success", null, null, null],
+  ]);
+});
+
+test("fails at once when Retry-After asks for longer than the longest wait", async () => {
+  const { provider, sleeps } = createProvider();
+  replies = [failure(429, { "Retry-After": "120" })];
+
+  await assert.rejects(extract(provider), { status: 429 });
+  assert.equal(requests, 1);
+  assert.deepEqual(sleeps, []);
+});
+
+test("retries server errors with exponential backoff", async () => {
+  const { provider, sleeps } = createProvider();
+  replies = [failure(500), failure(503), completion('{"ok":true}')];
+
+  assert.deepEqual(await extract(provider), { ok: true });
+  assert.equal(requests, 3);
+  assert.deepEqual(sleeps, [100, 200]);
+});
+
+test("gives up after the last attempt and does not retry client errors", async () => {
+  const { provider } = createProvider();
+  replies = [failure(502), failure(502), failure(502)];
+  await assert.rejects(extract(provider), { status: 502 });
+  assert.equal(requests, 3);
+
+  requests = 0;
+  replies = [failure(400)];
+  await assert.rejects(extract(provider), { status: 400 });
+  assert.equal(requests, 1);
+});
+
+test("times out an attempt that gets no response and retries it", async () => {
+  const { provider } = createProvider({ timeoutMs: 200 });
+  replies = [silent, completion('{"ok":true}')];
+  const attempts = [];
+
+  assert.deepEqual(await extract(provider, attempts), { ok: true });
+  assert.deepEqual(attempts.map((attempt) => attempt.outcome), ["timeout", "success"]);
+  assert.ok(attempts[0].durationMs >= 200);
+});
+
+test("opens the circuit after repeated failures, then lets one trial call through", async () => {
+  let clock = 0;
+  const { provider } = createProvider(
+    { maxAttempts: 1, circuitThreshold: 2, circuitResetMs: 1000 },
+    { now: () => clock }
+  );
+  replies = [failure(500), failure(500)];
+  await assert.rejects(extract(provider), { status: 500 });
+  await assert.rejects(extract(provider), { status: 500 });
+  assert.equal(provider.circuit.describe().state, "open");
+
+  const attempts = [];
+  await assert.rejects(extract(provider, attempts), { code: AI_CIRCUIT_OPEN });
+  assert.equal(requests, 2);
+  assert.equal(attempts[0].outcome, "circuit_open");
+
+  clock = 1000;
+  const trial = held();
+  replies = [trial.handler];
+  const trialCall = extract(provider);
+  // Only the trial goes out while the circuit is half-open
+  await assert.rejects(extract(provider), { code: AI_CIRCUIT_OPEN });
+  assert.equal(provider.circuit.describe().state, "half_open");
+
+  while (requests < 3) await new Promise((resolve) => setTimeout(resolve, 10));
+  trial.release();
+  assert.deepEqual(await trialCall, { held: true });
+  assert.equal(provider.circuit.describe().state, "closed");
+  assert.equal(requests, 3);
+});
+
+test("a failed trial call opens the circuit again", async () => {
+  let clock = 0;
+  const { provider } = createProvider(
+    { maxAttempts: 1, circuitThreshold: 1, circuitResetMs: 1000 },
+    { now: () => clock }
+  );
+  replies = [failure(500)];
+  await assert.rejects(extract(provider), { status: 500 });
+
+  clock = 1000;
+  replies = [failure(503)];
+  await assert.rejects(extract(provider), { status: 503 });
+  const circuit = provider.circuit.describe();
+  assert.equal(circuit.state, "open");
+  assert.equal(circuit.retryAt, new Date(2000).toISOString());
+});
+
+test("extraction errors keep the provider's status and the circuit code", async () => {
+  // The shared provider reads its settings on first use
+  Object.assign(process.env, {
+    OPENAI_API_KEY: "test-key",
+    OPENAI_BASE_URL: baseUrl,
+    AI_MAX_ATTEMPTS: "1",
+    AI_CIRCUIT_THRESHOLD: "1",
+  });
+  const dir = await mkdtemp(path.join(tmpdir(), "ai-resilience-"));
+  const filePath = path.join(dir, "invoice.txt");
+  await writeFile(filePath, "Invoice 42");
+  const extract = () => extractWithAI(filePath, "text/plain", { provider: "openai", documentType: "invoice" });
+
+  try {
+    replies = [failure(429)];
+    await assert.rejects(extract(), (error) => error.status === 429 && /quota exceeded/.test(error.message) && error.cause?.status === 429);
+
+    await assert.rejects(extract(), { code: AI_CIRCUIT_OPEN });
+    assert.equal(requests, 1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
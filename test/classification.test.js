@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyByHeuristics } from "../server/services/classification.js";
+
+const invoice = [
+  "TAX INVOICE",
+  "Invoice number: INV-42",
+  "Bill to: Zoe Muller",
+  "Subtotal 100.00",
+  "VAT 15.00",
+  "Amount due 115.00",
+].join("\n");
+
+test("classifies a document by the keywords it names itself with", () => {
+  const result = classifyByHeuristics(invoice);
+
+  assert.equal(result.category, "invoice");
+  assert.equal(result.confidence, 1);
+  assert.equal(result.method, "heuristic");
+  assert.equal(result.scores.bank_statement, 0);
+
+  assert.equal(classifyByHeuristics("PAYSLIP\nGross pay 1000.00\nNet pay 800.00\nPay period June 2024").category, "payslip");
+  // Accents and case do not matter
+  assert.equal(classifyByHeuristics("MUNICIPAL ACCOUNT\nMeter reading 1234 kWh\nÉlectricité").category, "utility_bill");
+});
+
+test("a machine-readable zone tells passports from ID cards", () => {
+  assert.equal(classifyByHeuristics("", { mrz: { documentType: "P", valid: true } }).category, "passport");
+  assert.equal(classifyByHeuristics("", { mrz: { documentType: "I", valid: true } }).category, "id");
+});
+
+test("table headers and transaction lines count as statement evidence", () => {
+  const text = [
+    "01/02/2024 Coffee 30.00",
+    "02/02/2024 Rent 3000.00",
+    "03/02/2024 Salary 1000.00",
+    "04/02/2024 Fuel 500.00",
+    "05/02/2024 Groceries 200.00",
+  ].join("\n");
+  const tables = [{ rows: [["Date", "Description", "Amount", "Balance"]] }];
+
+  const result = classifyByHeuristics(text, { tables });
+  assert.equal(result.category, "bank_statement");
+  assert.equal(result.scores.bank_statement, 4);
+  assert.ok(result.confidence < 1);
+
+  assert.equal(classifyByHeuristics(text.split("\n").slice(0, 4).join("\n")).category, "other");
+});
+
+test("a document with no evidence, or as much for two categories, is other", () => {
+  assert.equal(classifyByHeuristics("See you tomorrow.").category, "other");
+
+  const mixed = classifyByHeuristics("Invoice\nBank statement\nOpening balance\nInvoice number 3");
+  assert.equal(mixed.category, "other");
+  assert.equal(mixed.scores.invoice, mixed.scores.bank_statement);
+});
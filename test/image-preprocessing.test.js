@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { preprocessImage } from "../server/services/image-preprocessing.js";
+
+// A small "page" of dark text bars on white, turned slightly as if photographed askew
+async function skewedPage() {
+  // The first bar stands apart so it can be found on its own
+  const bars = Array.from({ length: 6 }, (_, index) =>
+    `<rect x="40" y="${index === 0 ? 40 : 80 + index * 25}" width="${index === 0 ? 120 : 220}" height="10" fill="#000"/>`).join("");
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="300" height="240"><rect width="300" height="240" fill="#fff"/>${bars}</svg>`;
+  return sharp(Buffer.from(svg)).rotate(4, { background: "#ffffff" }).png().toBuffer();
+}
+
+// Bounding box of the dark pixels in rows y0 to y1 of an image
+async function darkBox(image, y0 = 0, y1 = Infinity) {
+  const { data, info } = await sharp(image).greyscale().raw().toBuffer({ resolveWithObject: true });
+  const box = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+  for (let y = Math.max(0, y0); y < Math.min(info.height, y1); y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[y * info.width + x] < 128) {
+        box.x0 = Math.min(box.x0, x);
+        box.y0 = Math.min(box.y0, y);
+        box.x1 = Math.max(box.x1, x + 1);
+        box.y1 = Math.max(box.y1, y + 1);
+      }
+    }
+  }
+  return box;
+}
+
+function assertNear(actual, expected, tolerance) {
+  for (const key of ["x0", "y0", "x1", "y1"]) {
+    assert.ok(Math.abs(actual[key] - expected[key]) <= tolerance, `${key}: ${actual[key]} is not within ${tolerance} of ${expected[key]}`);
+  }
+}
+
+test("maps boxes in the upscaled, straightened image back to the original", async () => {
+  const original = await skewedPage();
+  const { image, report, original: size, toOriginal } = await preprocessImage(original, ["upscale", "deskew"]);
+
+  assert.ok(report.scale > 1);
+  assert.ok(Math.abs(report.skewAngle) >= 3, `skew ${report.skewAngle}`);
+  assert.deepEqual(size, await sharp(original).metadata().then(({ width, height }) => ({ width, height })));
+  assert.equal(report.imageFile, undefined);
+
+  // The short first bar, found in the cleaned image, lands where it is in the original
+  const cleaned = await darkBox(image);
+  const firstBar = await darkBox(image, cleaned.y0, cleaned.y0 + 30 * report.scale);
+  const originalFirstBar = await darkBox(original, 0, 85);
+  assertNear(toOriginal(firstBar), originalFirstBar, 6);
+});
+
+test("keeps boxes within the original image", async () => {
+  const original = await skewedPage();
+  const { image, original: size, toOriginal } = await preprocessImage(original, ["upscale", "deskew"]);
+  const { width, height } = await sharp(image).metadata();
+
+  assert.deepEqual(toOriginal({ x0: -10, y0: -10, x1: width + 10, y1: height + 10 }), { x0: 0, y0: 0, x1: size.width, y1: size.height });
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JobQueue } from "../server/services/jobs.js";
+
+test("shutdown fails queued jobs, waits for running ones and refuses new ones", async () => {
+  const queue = new JobQueue({ concurrency: 1 });
+  let finishRunning;
+  const running = queue.enqueue(() => new Promise((resolve) => { finishRunning = resolve; }));
+  let cancelled = 0;
+  const queued = queue.enqueue(async () => assert.fail("queued job should not run"), {}, { onCancel: () => cancelled++ });
+
+  const events = [];
+  queue.subscribe(queued.id, (event) => events.push(event.status));
+  let shutdownNotified = false;
+  queue.onShutdown(() => { shutdownNotified = true; });
+
+  let stopped = false;
+  const shutdown = queue.shutdown().then(() => { stopped = true; });
+
+  assert.equal(queued.status, "failed");
+  assert.equal(queued.error.statusCode, 503);
+  assert.deepEqual(events, ["queued", "failed"]);
+  assert.equal(cancelled, 1);
+  assert.ok(shutdownNotified);
+  assert.throws(() => queue.enqueue(async () => {}), { statusCode: 503 });
+
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(stopped, false);
+
+  finishRunning({ id: "done" });
+  await shutdown;
+  assert.equal(running.status, "succeeded");
+  assert.equal(queue.stats().running, 0);
+});
+
+test("shutdown resolves at once when nothing is running", async () => {
+  await new JobQueue().shutdown();
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseMrz } from "../server/services/mrz.js";
+
+// ICAO 9303 specimens
+const td3 = [
+  "P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<",
+  "L898902C36UTO7408122F1204159ZE184226B<<<<<10",
+];
+const td2 = [
+  "I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<",
+  "D231458907UTO7408122F1204159<<<<<<<6",
+];
+const td1 = [
+  "I<UTOD231458907<<<<<<<<<<<<<<<",
+  "7408122F1204159UTO<<<<<<<<<<<6",
+  "ERIKSSON<<ANNA<MARIA<<<<<<<<<<",
+];
+
+const holder = {
+  issuingCountry: "UTO",
+  surname: "ERIKSSON",
+  givenNames: "ANNA MARIA",
+  nationality: "UTO",
+  dateOfBirth: "1974-08-12",
+  sex: "female",
+  expiryDate: "2012-04-15",
+};
+
+function fields(mrz) {
+  const { format, documentType, issuingCountry, surname, givenNames, documentNumber, nationality, dateOfBirth, sex, expiryDate, optionalData, valid } = mrz;
+  return { format, documentType, issuingCountry, surname, givenNames, documentNumber, nationality, dateOfBirth, sex, expiryDate, optionalData, valid };
+}
+
+test("parses a passport zone (TD3)", () => {
+  const mrz = parseMrz(["Passport / Passeport", ...td3].join("\n"));
+
+  assert.deepEqual(fields(mrz), { ...holder, format: "TD3", documentType: "P", documentNumber: "L898902C3", optionalData: "ZE184226B", valid: true });
+  assert.deepEqual(mrz.checks, { documentNumber: true, dateOfBirth: true, expiryDate: true, optionalData: true, composite: true });
+  assert.equal(mrz.corrected, false);
+});
+
+test("parses two-line (TD2) and three-line (TD1) ID card zones", () => {
+  assert.deepEqual(fields(parseMrz(td2.join("\n"))), { ...holder, format: "TD2", documentType: "I", documentNumber: "D23145890", optionalData: null, valid: true });
+  assert.deepEqual(fields(parseMrz(td1.join("\n"))), { ...holder, format: "TD1", documentType: "I", documentNumber: "D23145890", optionalData: null, valid: true });
+});
+
+test("a wrong check digit fails its own check and the composite", () => {
+  const mrz = parseMrz([td3[0], td3[1].replace("C36", "C37")].join("\n"));
+
+  assert.equal(mrz.valid, false);
+  assert.deepEqual(mrz.checks, { documentNumber: false, dateOfBirth: true, expiryDate: true, optionalData: true, composite: false });
+  assert.equal(mrz.documentNumber, "L898902C3");
+});
+
+test("corrects O for 0 in digits and K or « for fillers", () => {
+  const mrz = parseMrz([
+    "P<UTOERIKSSON«ANNA<MARIAKKKKKKKKKKKKKKKKKKK",
+    "L898902C36UTO74O8122F12O4159ZE184226B<<<<<1O",
+  ].join("\n"));
+
+  assert.equal(mrz.valid, true);
+  assert.equal(mrz.corrected, true);
+  assert.deepEqual(mrz.lines, td3);
+  assert.equal(mrz.givenNames, "ANNA MARIA");
+  assert.equal(mrz.dateOfBirth, "1974-08-12");
+});
+
+test("tolerates dropped trailing fillers and finds no zone in ordinary text", () => {
+  assert.equal(parseMrz([td3[0].replace(/<<$/, ""), td3[1]].join("\n")).valid, true);
+
+  assert.equal(parseMrz("Invoice number: INV-42\nTotal: 1,250.00"), null);
+  assert.equal(parseMrz(""), null);
+});
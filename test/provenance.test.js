@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { traceStructuredData } from "../server/services/provenance.js";
+
+const pageTexts = [
+  { pageNumber: 1, text: "Invoice INV-42\nCustomer: Zoey Muller" },
+  { pageNumber: 2, text: "Issued 3 March 2024\nTotal: 1 150,00\nPaid to Zoe" },
+];
+
+// OCR words of page 2's total line
+const pageLayouts = [{
+  pageNumber: 2,
+  source: "ocr",
+  blocks: [{
+    lines: [{
+      words: [
+        { text: "Total:", bbox: { x0: 10, y0: 10, x1: 50, y1: 20 }, confidence: 90 },
+        { text: "1", bbox: { x0: 55, y0: 10, x1: 60, y1: 20 }, confidence: 80 },
+        { text: "150,00", bbox: { x0: 62, y0: 10, x1: 100, y1: 20 }, confidence: 70 },
+      ],
+    }],
+  }],
+}];
+
+test("finds values verbatim, ignoring case, with their page and span", () => {
+  const { invoiceNumber } = traceStructuredData({ invoiceNumber: "inv-42" }, { pageTexts });
+
+  assert.deepEqual(invoiceNumber, {
+    confidence: 1,
+    source: "standard",
+    pageNumber: 1,
+    span: { start: 8, end: 14 },
+    text: "INV-42",
+    bbox: null,
+    hallucination: false,
+  });
+});
+
+test("matches whole words only", () => {
+  // "Zoe" is not the start of "Zoey" on page 1, so it is found on page 2
+  const { customerName } = traceStructuredData({ customerName: "Zoe" }, { pageTexts });
+  assert.equal(customerName.pageNumber, 2);
+  assert.equal(customerName.text, "Zoe");
+
+  assert.equal(traceStructuredData({ code: "INV" }, { pageTexts: [{ pageNumber: 1, text: "INVOICE" }] }).code.hallucination, true);
+});
+
+test("tries dates in their written forms", () => {
+  const { issueDate } = traceStructuredData({ issueDate: "2024-03-03" }, { pageTexts });
+  assert.equal(issueDate.text, "3 March 2024");
+  assert.equal(issueDate.confidence, 1);
+
+  const slashed = traceStructuredData({ issueDate: "2024-03-07" }, { pageTexts: [{ pageNumber: 1, text: "Date: 07/03/2024" }] });
+  assert.equal(slashed.issueDate.text, "07/03/2024");
+});
+
+test("finds formatted numbers and scales by the OCR confidence of their words", () => {
+  const { totalAmount } = traceStructuredData({ totalAmount: 1150 }, { pageTexts, pageLayouts });
+
+  assert.equal(totalAmount.text, "1 150,00");
+  assert.deepEqual(totalAmount.bbox, { x0: 55, y0: 10, x1: 100, y1: 20 });
+  // 0.85 for the formatting, times the words' mean confidence of 75%
+  assert.equal(totalAmount.confidence, 0.64);
+});
+
+test("falls back to the AI text, attributed to its page when the AI was sent pages", () => {
+  const rawPageTexts = [{ pageNumber: 1, text: "Acme Corp" }, { pageNumber: 2, text: "Thank you, Jo Smith" }];
+  const { vendor, contact } = traceStructuredData({ vendor: "Acme Corp", contact: "Jo Smith" }, {
+    pageTexts,
+    rawText: "Acme Corp\n\nThank you, Jo Smith",
+    rawPageTexts,
+  });
+
+  assert.equal(vendor.source, "ai");
+  assert.equal(vendor.confidence, 0.7);
+  assert.equal(vendor.pageNumber, 1);
+  assert.equal(contact.pageNumber, 2);
+  assert.deepEqual(contact.span, { start: 22, end: 30 });
+});
+
+test("flags values found nowhere and scores partial matches by their words", () => {
+  const provenance = traceStructuredData({
+    lineItems: [{ description: "Green widgets", amount: 5 }],
+    notes: "Paid in full by Zoe",
+    customer: "Zoey Muller Jones",
+  }, { pageTexts });
+
+  // Paths lead to nested values
+  assert.equal(provenance["lineItems[0].description"].hallucination, true);
+  assert.equal(provenance["lineItems[0].amount"].hallucination, true);
+  const { notes, customer } = provenance;
+  assert.equal(notes.hallucination, true);
+  assert.equal(notes.confidence, 0);
+  assert.equal(customer.hallucination, false);
+  assert.equal(customer.source, null);
+  assert.equal(customer.confidence, 0.4);
+});
@@ -0,0 +1,55 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import express from "express";
+import { registerRoutes } from "../server/routes.js";
+import { storage } from "../server/storage.js";
+
+let server;
+let baseUrl;
+let document;
+
+before(async () => {
+  const app = express();
+  server = await registerRoutes(app);
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  document = await storage.createProcessedDocument({
+    fileName: "March invoice (final).pdf",
+    fileSize: 1024,
+    mimeType: "application/pdf",
+    processingMethod: "standard",
+    tables: [
+      { pageNumber: 1, source: "text", bbox: null, columnCount: 2, confidence: 100, rows: [["Item", "Amount"], ["Widgets, large", "=SUM(A1)"], ["Discount", "-5.00"]] },
+    ],
+  });
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await once(server, "close");
+});
+
+test("downloads a table as CSV", async () => {
+  const response = await fetch(`${baseUrl}/api/processed-documents/${document.id}/tables/0.csv`);
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/csv/);
+  assert.equal(response.headers.get("content-disposition"), 'attachment; filename="March_invoice_final_-table-1.csv"');
+  // text() would drop the byte order mark, so read the bytes
+  const body = Buffer.from(await response.arrayBuffer());
+  assert.deepEqual([...body.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+  assert.equal(body.subarray(3).toString("utf8"), "Item,Amount\r\n\"Widgets, large\",'=SUM(A1)\r\nDiscount,-5.00\r\n");
+});
+
+test("answers 404 for a table the document does not have", async () => {
+  const response = await fetch(`${baseUrl}/api/processed-documents/${document.id}/tables/1.csv`);
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).message, "Table not found");
+
+  const missing = await fetch(`${baseUrl}/api/processed-documents/no-such-document/tables/0.csv`);
+  assert.equal(missing.status, 404);
+});
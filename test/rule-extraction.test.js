@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseMrz } from "../server/services/mrz.js";
+import { extractStructuredDataByRules } from "../server/services/rule-extraction.js";
+
+// ICAO 9303 specimen passport
+const specimen = [
+  "Passport",
+  "Surname: ERIKSON",
+  "Place of birth: Zenith",
+  "P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<",
+  "L898902C36UTO7408122F1204159ZE184226B<<<<<10",
+].join("\n");
+
+test("fills a passport from its machine-readable zone", () => {
+  const mrz = parseMrz(specimen);
+  assert.ok(mrz.valid);
+
+  const { structuredData, schemaValid } = extractStructuredDataByRules(specimen, { documentType: "passport", mrz });
+
+  assert.equal(schemaValid, true);
+  assert.deepEqual(structuredData, {
+    // The zone's check digits hold, so it wins over the misspelt label
+    surname: "ERIKSSON",
+    givenNames: "ANNA MARIA",
+    passportNumber: "L898902C3",
+    nationality: "UTO",
+    dateOfBirth: "1974-08-12",
+    placeOfBirth: "Zenith",
+    sex: "female",
+    issueDate: null,
+    expiryDate: "2012-04-15",
+    issuingCountry: "UTO",
+  });
+});
+
+test("a zone with failed check digits only fills empty fields", () => {
+  const mrz = { ...parseMrz(specimen), valid: false, surname: "ERIKSS0N" };
+  const { structuredData } = extractStructuredDataByRules(specimen, { documentType: "passport", mrz });
+
+  assert.equal(structuredData.surname, "ERIKSON");
+  assert.equal(structuredData.passportNumber, "L898902C3");
+});
+
+test("takes an ID card's number from the optional data", () => {
+  const mrz = {
+    surname: "MULLER",
+    givenNames: "ZOE",
+    documentNumber: "A01234567",
+    nationality: "ZAF",
+    dateOfBirth: "1990-01-01",
+    sex: "female",
+    expiryDate: null,
+    optionalData: "9001010001088",
+    valid: true,
+  };
+  const { structuredData } = extractStructuredDataByRules("", { documentType: "id_card", mrz });
+
+  assert.equal(structuredData.idNumber, "9001010001088");
+  assert.equal(structuredData.surname, "MULLER");
+  assert.equal(extractStructuredDataByRules("", { documentType: "invoice", mrz }).structuredData.surname, undefined);
+});
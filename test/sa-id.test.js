@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeSaIdNumber, findSaIdNumbers } from "../server/services/sa-id.js";
+
+const today = new Date("2026-01-01");
+
+test("decodes the date of birth, gender and citizenship", () => {
+  assert.deepEqual(decodeSaIdNumber("900101 5009 08 6", { today }), {
+    idNumber: "9001015009086",
+    valid: true,
+    checksumValid: true,
+    dateOfBirth: "1990-01-01",
+    gender: "male",
+    citizenship: "citizen",
+    dateOfBirthMatches: null,
+  });
+
+  const resident = decodeSaIdNumber("8802295000187", { today });
+  assert.equal(resident.dateOfBirth, "1988-02-29");
+  assert.equal(resident.citizenship, "permanent_resident");
+  assert.equal(decodeSaIdNumber("9001010001088", { today }).gender, "female");
+});
+
+test("takes the latest century that is not in the future", () => {
+  assert.equal(decodeSaIdNumber("0506150123186", { today }).dateOfBirth, "2005-06-15");
+  assert.equal(decodeSaIdNumber("0506150123186", { today: new Date("2005-01-01") }).dateOfBirth, "1905-06-15");
+});
+
+test("a wrong check digit, date or citizenship digit makes the number invalid", () => {
+  const misread = decodeSaIdNumber("9001015009087", { today });
+  assert.equal(misread.checksumValid, false);
+  assert.equal(misread.valid, false);
+  assert.equal(misread.dateOfBirth, "1990-01-01");
+
+  assert.equal(decodeSaIdNumber("9013015009081", { today }).dateOfBirth, null);
+  assert.equal(decodeSaIdNumber("9013015009081", { today }).valid, false);
+  assert.equal(decodeSaIdNumber("9001015009383", { today }).citizenship, null);
+  assert.equal(decodeSaIdNumber("9001015009383", { today }).valid, false);
+  assert.equal(decodeSaIdNumber("900101500908", { today }), null);
+});
+
+test("compares the date of birth with the submitted one", () => {
+  assert.equal(decodeSaIdNumber("9001015009086", { today, dateOfBirth: "1990-01-01" }).dateOfBirthMatches, true);
+  assert.equal(decodeSaIdNumber("9001015009086", { today, dateOfBirth: "1990-01-02" }).dateOfBirthMatches, false);
+});
+
+test("finds each number once with the methods that found it", () => {
+  const found = findSaIdNumbers([
+    { source: "standard", text: "ID No: 900101 5009 08 6\nAccount: 1234567890123" },
+    { source: "ai", text: "ID number 9001015009086, spouse 9001010001088" },
+    { source: "ai", text: '{"idNumber":"9001015009086"}' },
+  ], { today, dateOfBirth: "1990-01-01" });
+
+  assert.deepEqual(found.map(({ idNumber, sources, dateOfBirthMatches }) => ({ idNumber, sources, dateOfBirthMatches })), [
+    { idNumber: "9001015009086", sources: ["standard", "ai"], dateOfBirthMatches: true },
+    { idNumber: "9001010001088", sources: ["ai"], dateOfBirthMatches: true },
+  ]);
+});
+
+test("reports a misread number but not 13 digits that are no date or part of a longer number", () => {
+  const found = findSaIdNumbers([
+    { source: "standard", text: "ID 9001015009087 barcode 9913015009081 ref 19001015009086" },
+  ], { today });
+
+  assert.deepEqual(found.map(({ idNumber, checksumValid }) => [idNumber, checksumValid]), [["9001015009087", false]]);
+});
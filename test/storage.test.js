@@ -0,0 +1,178 @@
+// Contract tests run against both storage backends, so MemStorage and
+// DatabaseStorage are held to the same behaviour. DatabaseStorage runs on
+// PGlite behind its socket server, reached through the same pg driver and
+// migrations as a real PostgreSQL.
+
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import pg from "pg";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { PGlite } from "@electric-sql/pglite";
+import { PGLiteSocketServer } from "@electric-sql/pglite-socket";
+import * as schema from "../server/db-schema.js";
+import { DatabaseStorage, MemStorage, decodeCursor } from "../server/storage.js";
+import { listDocumentsQuerySchema } from "../shared/schema.js";
+
+function documentFor({ firstName, lastName = "Muller", age = 30, text = "", ...fields }) {
+  return {
+    firstName,
+    lastName,
+    dateOfBirth: "1990-01-01",
+    fullName: `${firstName} ${lastName}`,
+    age,
+    fileName: `${firstName.toLowerCase()}.pdf`,
+    fileType: "application/pdf",
+    processingMethod: "standard",
+    standardExtractedText: text,
+    rawExtractedText: text,
+    processingTime: 100,
+    ...fields,
+  };
+}
+
+const backends = {
+  memory: async () => ({ storage: new MemStorage(), stop: async () => {} }),
+  postgres: async () => {
+    const db = await PGlite.create();
+    const server = new PGLiteSocketServer({ db, host: "127.0.0.1", port: 0 });
+    await server.start();
+    const pool = new pg.Pool({ connectionString: `postgresql://postgres:postgres@${server.getServerConn()}/postgres`, max: 1 });
+    const storage = new DatabaseStorage({ db: drizzle(pool, { schema }), pool });
+    return {
+      storage,
+      stop: async () => {
+        await storage.close();
+        await server.stop();
+        await db.close();
+      },
+    };
+  },
+};
+
+for (const [name, createBackend] of Object.entries(backends)) {
+  describe(`${name} storage`, () => {
+    let backend;
+    let storage;
+
+    before(async () => {
+      backend = await createBackend();
+      storage = backend.storage;
+      await storage.init();
+    });
+
+    after(() => backend.stop());
+
+    beforeEach(() => storage.clearAll());
+
+    // Documents created one by one so createdAt follows the order given
+    async function createAll(docs) {
+      const created = [];
+      for (const doc of docs) {
+        created.push(await storage.createProcessedDocument(documentFor(doc)));
+        await new Promise((resolve) => setTimeout(resolve, 2));
+      }
+      return created;
+    }
+
+    test("creates, reads, counts and clears documents", async () => {
+      const created = await storage.createProcessedDocument(documentFor({
+        firstName: "Zoe",
+        aiExtractedData: { structuredData: { invoiceNumber: "INV-1" }, provider: "mock", model: "mock-1" },
+      }));
+
+      assert.match(created.id, /^[0-9a-f-]{36}$/);
+      assert.ok(created.createdAt instanceof Date);
+      assert.equal(created.searchVector, undefined);
+
+      const read = await storage.getProcessedDocument(created.id);
+      assert.equal(read.fullName, "Zoe Muller");
+      assert.deepEqual(read.aiExtractedData.structuredData, { invoiceNumber: "INV-1" });
+      assert.equal(await storage.getProcessedDocument("00000000-0000-0000-0000-000000000000"), undefined);
+
+      await createAll([{ firstName: "Adam" }]);
+      assert.equal(await storage.getDocumentCount(), 2);
+      assert.deepEqual((await storage.getRecentProcessedDocuments(1)).map((doc) => doc.firstName), ["Adam"]);
+
+      await storage.clearAll();
+      assert.equal(await storage.getDocumentCount(), 0);
+    });
+
+    test("pages through every document once with cursors", async () => {
+      await createAll(["Eve", "bob", "Carol", "Dave", "Alice"].map((firstName, index) => ({ firstName, age: 20 + (index % 2) })));
+
+      for (const [sortBy, sortOrder] of [["createdAt", "desc"], ["fullName", "asc"], ["age", "desc"]]) {
+        const names = [];
+        let cursor = null;
+        do {
+          const query = listDocumentsQuerySchema.parse({ limit: "2", sortBy, sortOrder });
+          const page = await storage.queryProcessedDocuments(query, cursor && decodeCursor(cursor, sortBy));
+          assert.equal(page.total, 5);
+          names.push(...page.documents.map((doc) => doc.firstName));
+          cursor = page.nextCursor;
+        } while (cursor);
+
+        assert.equal(names.length, 5, `${sortBy} ${sortOrder}`);
+        assert.equal(new Set(names).size, 5, `${sortBy} ${sortOrder}`);
+        if (sortBy === "fullName") assert.deepEqual(names, ["Alice", "bob", "Carol", "Dave", "Eve"]);
+        if (sortBy === "createdAt") assert.deepEqual(names, ["Alice", "Dave", "Carol", "bob", "Eve"]);
+      }
+    });
+
+    test("filters by method, type, category, age, name and date", async () => {
+      await createAll([
+        { firstName: "Anna", age: 25, processingMethod: "ai", documentCategory: "invoice" },
+        { firstName: "Ben", age: 40, fileType: "image/png", documentCategory: "passport" },
+        { firstName: "Annika", age: 60, documentCategory: "invoice" },
+      ]);
+      const names = async (filters) => {
+        const page = await storage.queryProcessedDocuments(listDocumentsQuerySchema.parse({ sortBy: "fullName", sortOrder: "asc", ...filters }));
+        assert.equal(page.total, page.documents.length);
+        return page.documents.map((doc) => doc.firstName);
+      };
+
+      assert.deepEqual(await names({ processingMethod: "ai" }), ["Anna"]);
+      assert.deepEqual(await names({ fileType: "image/png" }), ["Ben"]);
+      assert.deepEqual(await names({ documentCategory: "invoice" }), ["Anna", "Annika"]);
+      assert.deepEqual(await names({ minAge: "30", maxAge: "60" }), ["Annika", "Ben"]);
+      assert.deepEqual(await names({ name: "ANN" }), ["Anna", "Annika"]);
+      assert.deepEqual(await names({ name: "100%" }), []);
+      assert.deepEqual(await names({ createdFrom: new Date(Date.now() + 60000).toISOString() }), []);
+      assert.deepEqual(await names({ createdTo: "2000-01-01" }), []);
+    });
+
+    test("ranks search hits by how often the terms occur", async () => {
+      await createAll([
+        { firstName: "Once", text: "Invoice for consulting services rendered in March" },
+        { firstName: "Thrice", text: "Invoice invoice invoice from Acme" },
+        { firstName: "Never", text: "Bank statement for the month" },
+        { firstName: "Accent", text: "Payment from Zoë Müller" },
+        { firstName: "Form", text: "Application", formFields: [{ name: "employer", label: "Employer", value: "Globex Corporation" }] },
+      ]);
+
+      const invoice = await storage.searchProcessedDocuments("invoice");
+      assert.equal(invoice.total, 2);
+      assert.deepEqual(invoice.results.map((result) => result.document.fullName), ["Thrice Muller", "Once Muller"]);
+      assert.ok(invoice.results[0].score > invoice.results[1].score);
+      assert.ok(invoice.results[0].snippets.some((snippet) => snippet.segments.some((segment) => segment.highlight)));
+
+      assert.deepEqual((await storage.searchProcessedDocuments("ZOE muller")).results.map((result) => result.document.fullName), ["Accent Muller"]);
+      assert.deepEqual((await storage.searchProcessedDocuments("globex")).results.map((result) => result.document.fullName), ["Form Muller"]);
+      assert.deepEqual(await storage.searchProcessedDocuments("!!!"), { total: 0, results: [] });
+      assert.equal((await storage.searchProcessedDocuments("invoice", 1)).results.length, 1);
+    });
+
+    if (name === "postgres") {
+      test("re-indexes rows stored by an older search index on startup", async () => {
+        const [stale] = await createAll([{ firstName: "Stale", text: "Résumé", formFields: [{ name: "city", label: "City", value: "Durban" }] }]);
+        // As left by the original backfill: accents kept, form fields missing
+        await storage.pool.query("update processed_documents set search_vector = to_tsvector('simple', 'résumé'), search_version = null where id = $1", [stale.id]);
+        assert.equal((await storage.searchProcessedDocuments("durban")).total, 0);
+
+        await storage.init();
+
+        assert.equal(await storage.reindexSearch(), 0);
+        assert.deepEqual((await storage.searchProcessedDocuments("resume durban")).results.map((result) => result.document.id), [stale.id]);
+      });
+    }
+  });
+}
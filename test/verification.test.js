@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { verifyIdentity } from "../server/services/verification.js";
+
+const john = { firstName: "John", lastName: "Smith", dateOfBirth: "1985-02-03" };
+
+const passportText = [
+  "Surname: JONES",
+  "First names: PETER",
+  "Date of birth: 1970-01-01",
+  "Date of issue: 1985-02-03",
+  "Authorised by: John Smith",
+].join("\n");
+
+function verdicts(result) {
+  return Object.fromEntries(Object.entries(result.fields).map(([field, value]) => [field, value.verdict]));
+}
+
+test("a labelled value that differs is a mismatch even when the value appears elsewhere", () => {
+  const result = verifyIdentity(john, { standardText: passportText });
+
+  assert.equal(result.status, "mismatch");
+  assert.deepEqual(verdicts(result), { firstName: "mismatch", lastName: "mismatch", dateOfBirth: "mismatch" });
+  assert.equal(result.fields.lastName.found, "JONES");
+  assert.equal(result.fields.dateOfBirth.found, "1970-01-01");
+});
+
+test("labelled values that agree are a match", () => {
+  const result = verifyIdentity(john, {
+    standardText: "Surname: SMITH\nGiven names: JOHN\nDate of birth: 03/02/1985\nDate of issue: 1970-01-01",
+  });
+
+  assert.equal(result.status, "verified");
+  assert.equal(result.fields.dateOfBirth.found, "03/02/1985");
+});
+
+test("form fields, the MRZ and AI keys count as labelled values", () => {
+  const formFields = [{ name: "surname", label: "Surname", value: "Jones" }];
+  assert.equal(verifyIdentity(john, { standardText: "Signed by John Smith", formFields }).fields.lastName.verdict, "mismatch");
+
+  const mrz = { surname: "JONES", givenNames: "PETER", dateOfBirth: "1970-01-01" };
+  assert.deepEqual(verdicts(verifyIdentity(john, { standardText: "John Smith 1985-02-03", mrz })), {
+    firstName: "mismatch", lastName: "mismatch", dateOfBirth: "mismatch",
+  });
+
+  const aiExtractedData = {
+    rawText: "Issued by John Smith on 1985-02-03",
+    structuredData: { firstName: "Peter", lastName: "Jones", dateOfBirth: "1970-01-01" },
+  };
+  const result = verifyIdentity(john, { standardText: "", aiExtractedData });
+  assert.deepEqual(verdicts(result), { firstName: "mismatch", lastName: "mismatch", dateOfBirth: "mismatch" });
+  assert.equal(result.fields.lastName.source, "ai");
+});
+
+test("free text is searched only when nothing is labelled", () => {
+  const result = verifyIdentity(john, { standardText: "Letter to John Smith, born 3 February 1985, about his account." });
+  assert.equal(result.status, "verified");
+
+  assert.equal(verifyIdentity(john, { standardText: "A letter about an account." }).status, "incomplete");
+});
+
+test("an AI match does not override a standard mismatch", () => {
+  const result = verifyIdentity(john, {
+    standardText: passportText,
+    aiExtractedData: {
+      rawText: "",
+      structuredData: { firstName: "John", lastName: "Smith", dateOfBirth: "1985-02-03" },
+    },
+  });
+
+  assert.equal(result.status, "mismatch");
+  assert.equal(result.fields.lastName.verdict, "mismatch");
+  assert.equal(result.fields.lastName.source, "standard");
+  assert.equal(result.fields.lastName.methods.ai.verdict, "match");
+});
+
+test("a standard mismatch stands even when AI extraction failed", () => {
+  const result = verifyIdentity(john, {
+    standardText: passportText,
+    aiExtractedData: { errorOccurred: true, structuredData: { lastName: "Smith" } },
+  });
+
+  assert.equal(result.fields.lastName.verdict, "mismatch");
+  assert.equal(result.fields.lastName.methods.ai, null);
+});